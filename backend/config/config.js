@@ -4,9 +4,110 @@ const config = {
   env: process.env.NODE_ENV || 'development',
   port: process.env.PORT || 5000,
   jwtSecret: process.env.JWT_SECRET,
-  jwtExpire: process.env.JWT_EXPIRE || '30d',
+  // Access tokens are short-lived; sessions are extended with refresh tokens
+  jwtExpire: process.env.JWT_ACCESS_EXPIRE || '15m',
+  refreshTokenExpireDays: parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30,
   mongoUri: process.env.MONGODB_URI,
+  frontendUrl: process.env.FRONTEND_URL || 'http://localhost:5174',
   
+  // Google OAuth configuration
+  google: {
+    clientId: process.env.GOOGLE_CLIENT_ID,
+    clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+    callbackUrl: process.env.GOOGLE_CALLBACK_URL,
+    fitCallbackUrl: process.env.GOOGLE_FIT_CALLBACK_URL ||
+      (process.env.GOOGLE_CALLBACK_URL || '').replace(/\/callback$/, '/fit/callback'),
+    stateExpireMinutes: 10,
+    // Seconds the frontend has to exchange the code from a Google sign-in
+    loginCodeExpireSeconds: 60,
+    // Overridable so syncs can run against a local stub of Google's APIs
+    tokenUrl: process.env.GOOGLE_TOKEN_URL || 'https://oauth2.googleapis.com/token',
+    fitApiUrl: process.env.GOOGLE_FIT_API_URL || 'https://www.googleapis.com/fitness/v1'
+  },
+
+  // Scheduled background jobs (see services/jobDefinitions.js). Schedules
+  // are cron expressions in UTC.
+  jobs: {
+    enabled: process.env.JOBS_ENABLED !== 'false',
+    // Attempts per run, including the first; the delay doubles each time
+    maxAttempts: 3,
+    retryDelaySeconds: 60,
+    // A lock is released this long after it was last renewed if its instance
+    // stops; running jobs renew it every third of this
+    lockMinutes: 30,
+    runRetentionDays: parseInt(process.env.JOB_RUN_RETENTION_DAYS) || 30,
+    googleFitSyncSchedule: process.env.GOOGLE_FIT_SYNC_SCHEDULE || '0 */6 * * *',
+    anomalyDigestSchedule: process.env.ANOMALY_DIGEST_SCHEDULE || '30 * * * *',
+    goalReminderSchedule: process.env.GOAL_REMINDER_SCHEDULE || '0 8 * * *',
+    exportPurgeSchedule: process.env.EXPORT_PURGE_SCHEDULE || '0 * * * *',
+    // Imports and exports still running after this long were interrupted
+    staleJobHours: 6
+  },
+
+  // Google Fit sync
+  googleFit: {
+    // How far back the first sync reads
+    initialSyncDays: parseInt(process.env.GOOGLE_FIT_INITIAL_SYNC_DAYS) || 30,
+    // Days before the last sync that are read again, for late uploads
+    overlapDays: 2,
+    maxDaysPerRequest: 30,
+    requestTimeoutMs: 15000,
+    // Scheduled syncs skip users who synced more recently than this
+    minSyncIntervalMinutes: 60
+  },
+
+  // Personal API tokens
+  apiTokens: {
+    maxPerUser: parseInt(process.env.API_TOKENS_MAX_PER_USER) || 25,
+    // Minimum interval between last-used updates for a token
+    lastUsedUpdateSeconds: 60
+  },
+
+  // Caregiver and delegate access
+  delegation: {
+    inviteExpireDays: parseInt(process.env.DELEGATION_INVITE_EXPIRE_DAYS) || 7
+  },
+
+  // Share links for clinicians
+  shareLinks: {
+    defaultExpireDays: parseInt(process.env.SHARE_LINK_DEFAULT_EXPIRE_DAYS) || 7,
+    maxExpireDays: parseInt(process.env.SHARE_LINK_MAX_EXPIRE_DAYS) || 90,
+    // Incorrect PINs before a link is locked
+    maxPinAttempts: 5,
+    maxReadingsPerType: 1000
+  },
+
+  // Audit log of access to health data
+  audit: {
+    retentionDays: parseInt(process.env.AUDIT_RETENTION_DAYS) || 365
+  },
+
+  // User-defined metric types
+  metricTypes: {
+    maxCustomPerUser: parseInt(process.env.CUSTOM_METRIC_TYPES_MAX_PER_USER) || 50
+  },
+
+  // Flagging readings that are unusual for the user
+  anomalies: {
+    // Types compared with a baseline; cumulative counts such as steps are
+    // left out because their readings cover very different periods
+    types: ['heart_rate', 'blood_pressure', 'weight', 'glucose', 'temperature', 'oxygen_saturation', 'sleep', 'custom'],
+    baselineDays: parseInt(process.env.ANOMALY_BASELINE_DAYS) || 30,
+    minBaselineCount: parseInt(process.env.ANOMALY_MIN_BASELINE_COUNT) || 7,
+    // Robust z-score above which a reading is flagged
+    zThreshold: parseFloat(process.env.ANOMALY_Z_THRESHOLD) || 3.5,
+    // Only anomalies this recent are handed to notifications
+    notifyWithinHours: 48
+  },
+
+  // Time series of metrics for charts
+  metricSeries: {
+    maxBuckets: parseInt(process.env.METRIC_SERIES_MAX_BUCKETS) || 1000,
+    defaultPercentiles: [25, 75, 90],
+    // Each percentile adds a computation per bucket
+    maxPercentiles: 5
+  },
+
   // AI service configuration
   aiService: {
     useExternalAI: process.env.USE_EXTERNAL_AI === 'true',
@@ -30,16 +131,102 @@ const config = {
     provider: process.env.EMAIL_PROVIDER || 'sendgrid',
     apiKey: process.env.EMAIL_API_KEY,
     fromEmail: process.env.FROM_EMAIL || 'noreply@healthprevent.com',
-    fromName: process.env.FROM_NAME || 'HealthPrevent'
+    fromName: process.env.FROM_NAME || 'HealthPrevent',
+    // Directory used by the 'file' transport
+    outputDir: process.env.EMAIL_OUTPUT_DIR
+  },
+
+  // Password reset configuration
+  passwordReset: {
+    expireMinutes: parseInt(process.env.RESET_PASSWORD_EXPIRE_MINUTES) || 10
+  },
+
+  // Login brute-force protection
+  loginProtection: {
+    // Failed attempts before an account is locked
+    maxFailedAttempts: parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS) || 5,
+    lockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15,
+    // Failed attempts after which each retry must wait, doubling every time
+    delayAfterFailures: 2,
+    baseDelaySeconds: 1,
+    maxDelaySeconds: 30,
+    // Failed attempts allowed from one IP across all accounts
+    ipMaxFailures: parseInt(process.env.LOGIN_IP_MAX_FAILURES) || 20,
+    ipWindowMinutes: 15,
+    historyRetentionDays: 90
+  },
+
+  // Account deletion configuration
+  accountDeletion: {
+    // Days during which a deletion request can be cancelled; 0 erases immediately
+    graceDays: process.env.ACCOUNT_DELETION_GRACE_DAYS !== undefined
+      ? parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS)
+      : 14,
+    // Cron expression for erasing accounts whose grace period has ended
+    purgeSchedule: process.env.ACCOUNT_DELETION_PURGE_SCHEDULE || '0 * * * *'
+  },
+
+  // Two-factor authentication configuration
+  twoFactor: {
+    issuer: process.env.TWO_FACTOR_ISSUER || 'HealthPrevent',
+    challengeExpire: process.env.TWO_FACTOR_CHALLENGE_EXPIRE || '5m',
+    recoveryCodeCount: 10
+  },
+
+  // Email verification configuration
+  emailVerification: {
+    tokenExpireHours: parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS) || 24,
+    resendCooldownSeconds: parseInt(process.env.EMAIL_VERIFICATION_RESEND_COOLDOWN) || 60,
+    // What unverified users may do outside /api/auth:
+    // 'full' (everything), 'read_only' (GET requests only) or 'none'
+    unverifiedAccess: process.env.UNVERIFIED_ACCESS || 'read_only'
   },
   
   // Storage configuration
   storage: {
     provider: process.env.STORAGE_PROVIDER || 'local',
     awsBucket: process.env.AWS_BUCKET_NAME,
-    awsRegion: process.env.AWS_REGION
+    awsRegion: process.env.AWS_REGION,
+    // Local directory for data export archives
+    exportDir: process.env.EXPORT_DIR,
+    exportRetentionDays: parseInt(process.env.EXPORT_RETENTION_DAYS) || 7,
+    exportLinkExpire: process.env.EXPORT_LINK_EXPIRE || '1h'
   },
   
+  // File upload configuration
+  uploads: {
+    tempDir: process.env.UPLOAD_TEMP_DIR,
+    maxSizeMb: parseInt(process.env.UPLOAD_MAX_SIZE_MB) || 100
+  },
+
+  // CSV import of health metrics
+  csvImport: {
+    maxRows: parseInt(process.env.CSV_IMPORT_MAX_ROWS) || 100000,
+    // Rows shown in a dry-run preview
+    previewRows: 20,
+    // Leading rows used to detect the date format
+    dateSampleRows: 50
+  },
+
+  // Background imports of app and device exports, which can be large
+  exportImports: {
+    maxSizeMb: parseInt(process.env.EXPORT_IMPORT_MAX_SIZE_MB) || 1024
+  },
+
+  // Batches of metrics sent by apps and devices
+  metricBatch: {
+    maxItems: parseInt(process.env.METRIC_BATCH_MAX_ITEMS) || 1000
+  },
+
+  // Idempotency-Key header on write requests
+  idempotency: {
+    // How long the response to a key is kept for replaying
+    keyTtlHours: parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24,
+    // A request with a key that has not finished after this long (e.g. the
+    // server restarted) no longer blocks retries with the key
+    processingTimeoutSeconds: 60
+  },
+
   // Logging configuration
   logging: {
     level: process.env.LOG_LEVEL || 'info',
@@ -0,0 +1,334 @@
+const User = require('../models/User');
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../middleware/asyncHandler');
+const emailService = require('../services/emailService');
+const sessionService = require('../services/sessionService');
+const apiTokenService = require('../services/apiTokenService');
+const loginProtection = require('../services/loginProtectionService');
+const auditService = require('../services/auditService');
+const jobService = require('../services/jobService');
+const config = require('../config/config');
+
+const ROLES = ['user', 'clinician', 'admin'];
+
+// @desc    List and search users
+// @route   GET /api/admin/users
+// @access  Private/Admin
+exports.getUsers = asyncHandler(async (req, res, next) => {
+  const { search, role, disabled } = req.query;
+
+  const query = {};
+
+  if (search) {
+    // Escape user input before building a case-insensitive pattern
+    const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    query.$or = [
+      { firstName: pattern },
+      { lastName: pattern },
+      { email: pattern }
+    ];
+  }
+
+  if (role) {
+    query.role = role;
+  }
+
+  if (disabled !== undefined) {
+    query.disabled = disabled === 'true';
+  }
+
+  // Pagination
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 25, 200);
+  const startIndex = (page - 1) * limit;
+  const endIndex = page * limit;
+  const total = await User.countDocuments(query);
+
+  const users = await User.find(query)
+    .sort('-createdAt')
+    .skip(startIndex)
+    .limit(limit);
+
+  // Pagination result
+  const pagination = {};
+
+  if (endIndex < total) {
+    pagination.next = {
+      page: page + 1,
+      limit
+    };
+  }
+
+  if (startIndex > 0) {
+    pagination.prev = {
+      page: page - 1,
+      limit
+    };
+  }
+
+  res.status(200).json({
+    success: true,
+    count: users.length,
+    total,
+    pagination,
+    data: users
+  });
+});
+
+// @desc    Get single user
+// @route   GET /api/admin/users/:id
+// @access  Private/Admin
+exports.getUser = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return next(
+      new ErrorResponse(`User not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  res.status(200).json({
+    success: true,
+    data: user
+  });
+});
+
+// @desc    Disable a user account
+// @route   PUT /api/admin/users/:id/disable
+// @access  Private/Admin
+exports.disableUser = asyncHandler(async (req, res, next) => {
+  if (req.params.id === req.user.id) {
+    return next(new ErrorResponse('You cannot disable your own account', 400));
+  }
+
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return next(
+      new ErrorResponse(`User not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  user.disabled = true;
+  user.disabledAt = new Date();
+  user.disabledReason = req.body.reason;
+  await user.save({ validateBeforeSave: false });
+
+  // Sign the user out everywhere, including scripts using API tokens
+  await sessionService.revokeAllSessions(user._id, 'disabled');
+  await apiTokenService.revokeAllTokens(user._id);
+
+  res.status(200).json({
+    success: true,
+    data: user
+  });
+});
+
+// @desc    Re-enable a user account
+// @route   PUT /api/admin/users/:id/enable
+// @access  Private/Admin
+exports.enableUser = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return next(
+      new ErrorResponse(`User not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  user.disabled = false;
+  user.disabledAt = undefined;
+  user.disabledReason = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    data: user
+  });
+});
+
+// @desc    Change a user's role
+// @route   PUT /api/admin/users/:id/role
+// @access  Private/Admin
+exports.updateUserRole = asyncHandler(async (req, res, next) => {
+  const { role } = req.body;
+
+  if (!ROLES.includes(role)) {
+    return next(
+      new ErrorResponse(`Role must be one of: ${ROLES.join(', ')}`, 400)
+    );
+  }
+
+  if (req.params.id === req.user.id && role !== 'admin') {
+    return next(new ErrorResponse('You cannot remove your own admin role', 400));
+  }
+
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return next(
+      new ErrorResponse(`User not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  user.role = role;
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    data: user
+  });
+});
+
+// @desc    Force a user to reset their password
+// @route   POST /api/admin/users/:id/forcereset
+// @access  Private/Admin
+exports.forcePasswordReset = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return next(
+      new ErrorResponse(`User not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  const resetToken = user.getResetPasswordToken(config.passwordReset.expireMinutes);
+  user.passwordResetRequired = true;
+  await user.save({ validateBeforeSave: false });
+
+  await sessionService.revokeAllSessions(user._id, 'password_change');
+  await apiTokenService.revokeAllTokens(user._id);
+
+  let emailSent = true;
+  try {
+    await emailService.sendPasswordResetEmail(user, resetToken, { forced: true });
+  } catch (err) {
+    // The reset is still enforced; the user can request a new link
+    emailSent = false;
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      passwordResetRequired: true,
+      emailSent
+    }
+  });
+});
+
+// @desc    Unlock an account locked after failed logins
+// @route   PUT /api/admin/users/:id/unlock
+// @access  Private/Admin
+exports.unlockUser = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return next(
+      new ErrorResponse(`User not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  await loginProtection.unlock(user._id);
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
+
+// @desc    Query the audit log across all users
+// @route   GET /api/admin/audit
+// @access  Private/Admin
+exports.getAuditEvents = asyncHandler(async (req, res, next) => {
+  const filter = auditService.buildFilter(req.query, [
+    'actor',
+    'subject',
+    'actorType',
+    'resource',
+    'resourceId',
+    'action',
+    'ip',
+    'statusCode'
+  ]);
+
+  const { events, total, pagination } = await auditService.queryEvents(filter, req.query);
+
+  res.status(200).json({
+    success: true,
+    count: events.length,
+    total,
+    pagination,
+    data: events
+  });
+});
+
+// @desc    List scheduled jobs with their latest run and recent failures
+// @route   GET /api/admin/jobs
+// @access  Private/Admin
+exports.getJobs = asyncHandler(async (req, res, next) => {
+  const jobs = await jobService.listJobs();
+
+  res.status(200).json({
+    success: true,
+    count: jobs.length,
+    data: jobs
+  });
+});
+
+// @desc    List runs of a scheduled job
+// @route   GET /api/admin/jobs/:name/runs
+// @access  Private/Admin
+exports.getJobRuns = asyncHandler(async (req, res, next) => {
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 25, 200);
+
+  const { runs, total } = await jobService.getJobRuns(req.params.name, {
+    status: req.query.status,
+    page,
+    limit
+  });
+
+  // Pagination result
+  const pagination = {};
+
+  if (page * limit < total) {
+    pagination.next = {
+      page: page + 1,
+      limit
+    };
+  }
+
+  if (page > 1) {
+    pagination.prev = {
+      page: page - 1,
+      limit
+    };
+  }
+
+  res.status(200).json({
+    success: true,
+    count: runs.length,
+    total,
+    pagination,
+    data: runs
+  });
+});
+
+// @desc    Run a scheduled job now
+// @route   POST /api/admin/jobs/:name/run
+// @access  Private/Admin
+exports.runJob = asyncHandler(async (req, res, next) => {
+  const run = await jobService.startJob(req.params.name, {
+    trigger: 'manual',
+    triggeredBy: req.user.id
+  });
+
+  if (!run) {
+    return next(new ErrorResponse(`Job ${req.params.name} is already running`, 409));
+  }
+
+  res.status(202).json({
+    success: true,
+    data: run
+  });
+});
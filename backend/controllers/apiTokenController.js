@@ -0,0 +1,76 @@
+const ApiToken = require('../models/ApiToken');
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../middleware/asyncHandler');
+const apiTokenService = require('../services/apiTokenService');
+
+const toResponse = (apiToken) => ({
+  id: apiToken._id,
+  name: apiToken.name,
+  prefix: apiToken.prefix,
+  scopes: apiToken.scopes,
+  createdAt: apiToken.createdAt,
+  lastUsedAt: apiToken.lastUsedAt,
+  lastUsedIp: apiToken.lastUsedIp,
+  expiresAt: apiToken.expiresAt,
+  revokedAt: apiToken.revokedAt,
+  active: apiToken.isActive()
+});
+
+// @desc    List API tokens for the current user
+// @route   GET /api/auth/tokens
+// @access  Private
+exports.getApiTokens = asyncHandler(async (req, res, next) => {
+  const tokens = await ApiToken.find({ user: req.user.id }).sort('-createdAt');
+
+  res.status(200).json({
+    success: true,
+    count: tokens.length,
+    data: tokens.map(toResponse)
+  });
+});
+
+// @desc    Create an API token
+// @route   POST /api/auth/tokens
+// @access  Private
+exports.createApiToken = asyncHandler(async (req, res, next) => {
+  const { name, scopes, expiresInDays } = req.body;
+
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return next(
+      new ErrorResponse(`Please add scopes from: ${ApiToken.SCOPES.join(', ')}`, 400)
+    );
+  }
+
+  const { token, apiToken } = await apiTokenService.createToken(req.user.id, {
+    name,
+    scopes,
+    expiresInDays
+  });
+
+  res.status(201).json({
+    success: true,
+    data: {
+      ...toResponse(apiToken),
+      // Shown once; only a hash is stored
+      token
+    }
+  });
+});
+
+// @desc    Revoke an API token
+// @route   DELETE /api/auth/tokens/:id
+// @access  Private
+exports.revokeApiToken = asyncHandler(async (req, res, next) => {
+  const revoked = await apiTokenService.revokeToken(req.params.id, req.user.id);
+
+  if (!revoked) {
+    return next(
+      new ErrorResponse(`API token not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
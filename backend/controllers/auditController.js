@@ -0,0 +1,39 @@
+const asyncHandler = require('../middleware/asyncHandler');
+const auditService = require('../services/auditService');
+
+// @desc    See who accessed the current user's data
+// @route   GET /api/audit
+// @access  Private
+exports.getMyAuditEvents = asyncHandler(async (req, res, next) => {
+  const filter = auditService.buildFilter(req.query, [
+    'actor',
+    'actorType',
+    'resource',
+    'resourceId',
+    'action'
+  ]);
+
+  filter.subject = req.user._id;
+
+  const { events, total, pagination } = await auditService.queryEvents(filter, req.query);
+
+  res.status(200).json({
+    success: true,
+    count: events.length,
+    total,
+    pagination,
+    data: events.map(event => ({
+      id: event._id,
+      actor: event.actor,
+      actorType: event.actorType,
+      resource: event.resource,
+      resourceId: event.resourceId,
+      action: event.action,
+      success: event.success,
+      viaApiToken: !!event.apiToken,
+      ip: event.ip,
+      userAgent: event.userAgent,
+      createdAt: event.createdAt
+    }))
+  });
+});
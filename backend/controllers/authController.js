@@ -1,6 +1,17 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { google } = require('googleapis');
 const User = require('../models/User');
+const LoginAttempt = require('../models/LoginAttempt');
 const ErrorResponse = require('../utils/errorResponse');
 const asyncHandler = require('../middleware/asyncHandler');
+const emailService = require('../services/emailService');
+const sessionService = require('../services/sessionService');
+const apiTokenService = require('../services/apiTokenService');
+const totpService = require('../services/totpService');
+const loginProtection = require('../services/loginProtectionService');
+const accountDeletion = require('../services/accountDeletionService');
+const config = require('../config/config');
 
 // @desc    Register a new user
 // @route   POST /api/auth/register
@@ -13,10 +24,18 @@ exports.register = asyncHandler(async (req, res, next) => {
     firstName,
     lastName,
     email,
-    password
+    password,
+    emailVerified: false
   });
 
-  sendTokenResponse(user, 201, res);
+  // A failed email should not fail registration; the user can resend
+  try {
+    await issueVerificationEmail(user);
+  } catch (err) {
+    console.error('Error sending verification email:', err.message);
+  }
+
+  await sendTokenResponse(user, 201, req, res);
 });
 
 // @desc    Login user
@@ -30,21 +49,99 @@ exports.login = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Please provide an email and password', 400));
   }
 
+  await loginProtection.checkIp(req, res);
+
   // Check for user
   const user = await User.findOne({ email }).select('+password');
 
   if (!user) {
+    await loginProtection.recordFailure(req, { email });
     return next(new ErrorResponse('Invalid credentials', 401));
   }
 
-  // Check if password matches
-  const isMatch = await user.matchPassword(password);
+  await loginProtection.checkAccount(user, req, res);
+
+  // Check if password matches (accounts created through Google have none)
+  const isMatch = !!user.password && await user.matchPassword(password);
 
   if (!isMatch) {
+    await loginProtection.recordFailure(req, { user });
     return next(new ErrorResponse('Invalid credentials', 401));
   }
 
-  sendTokenResponse(user, 200, res);
+  if (user.disabled) {
+    await loginProtection.recordAttempt(req, { user, success: false, reason: 'disabled' });
+    return next(new ErrorResponse('This account has been disabled', 403));
+  }
+
+  if (user.passwordResetRequired) {
+    return next(
+      new ErrorResponse('A password reset is required. Please check your email for a reset link', 403)
+    );
+  }
+
+  // Hold back the session until the second factor is presented
+  if (user.twoFactor && user.twoFactor.enabled) {
+    return res.status(200).json({
+      success: true,
+      twoFactorRequired: true,
+      challengeToken: user.getTwoFactorChallengeToken()
+    });
+  }
+
+  await loginProtection.recordSuccess(req, user);
+
+  await sendTokenResponse(user, 200, req, res);
+});
+
+// @desc    Complete a login with a two-factor code
+// @route   POST /api/auth/login/2fa
+// @access  Public
+exports.loginTwoFactor = asyncHandler(async (req, res, next) => {
+  const { challengeToken, code, recoveryCode } = req.body;
+
+  if (!challengeToken || (!code && !recoveryCode)) {
+    return next(
+      new ErrorResponse('Please provide the challenge token and a two-factor code', 400)
+    );
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+  } catch (err) {
+    return next(new ErrorResponse('Login challenge has expired, please log in again', 401));
+  }
+
+  if (decoded.purpose !== '2fa') {
+    return next(new ErrorResponse('Invalid login challenge', 401));
+  }
+
+  const user = await User.findById(decoded.id)
+    .select('+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep');
+
+  if (!user || user.disabled) {
+    return next(new ErrorResponse('Invalid login challenge', 401));
+  }
+
+  // An admin may have forced a reset after the challenge was issued
+  if (user.passwordResetRequired) {
+    return next(
+      new ErrorResponse('A password reset is required. Please check your email for a reset link', 403)
+    );
+  }
+
+  // Failed codes count towards the same lockout as failed passwords
+  await loginProtection.checkAccount(user, req, res);
+
+  if (!(await totpService.consumeSecondFactor(user, { code, recoveryCode }))) {
+    await loginProtection.recordFailure(req, { user, method: 'two_factor' });
+    return next(new ErrorResponse('Invalid two-factor code', 401));
+  }
+
+  await loginProtection.recordSuccess(req, user, 'two_factor');
+
+  await sendTokenResponse(user, 200, req, res);
 });
 
 // @desc    Get current logged in user
@@ -70,17 +167,118 @@ exports.updateProfile = asyncHandler(async (req, res, next) => {
     profile: req.body.profile
   };
 
+  // A new email address has to be verified again
+  const emailChanged = req.body.email && req.body.email !== req.user.email;
+
+  if (emailChanged) {
+    fieldsToUpdate.emailVerified = false;
+    fieldsToUpdate.emailVerifiedAt = undefined;
+  }
+
   const user = await User.findByIdAndUpdate(req.user.id, fieldsToUpdate, {
     new: true,
     runValidators: true
   });
 
+  if (emailChanged) {
+    try {
+      await issueVerificationEmail(user);
+    } catch (err) {
+      console.error('Error sending verification email:', err.message);
+    }
+  }
+
   res.status(200).json({
     success: true,
     data: user
   });
 });
 
+// @desc    Delete account and all health data
+// @route   DELETE /api/auth/me
+// @access  Private
+exports.deleteAccount = asyncHandler(async (req, res, next) => {
+  const { password, googleIdToken } = req.body;
+
+  const user = await User.findById(req.user.id).select('+password');
+
+  if (user.deletionScheduledFor) {
+    return next(new ErrorResponse('Account deletion is already scheduled', 400));
+  }
+
+  // Re-authenticate: password accounts confirm their password, Google-only
+  // accounts present a fresh Google ID token for the same Google account
+  if (user.password) {
+    if (!password || !(await user.matchPassword(password))) {
+      return next(new ErrorResponse('Password is incorrect', 401));
+    }
+  } else {
+    if (!googleIdToken) {
+      return next(new ErrorResponse('Please sign in with Google again to confirm', 400));
+    }
+
+    const googleId = await verifyGoogleIdToken(googleIdToken);
+
+    if (!googleId || googleId !== user.googleId) {
+      return next(new ErrorResponse('Google re-authentication failed', 401));
+    }
+  }
+
+  const { graceDays } = config.accountDeletion;
+
+  if (graceDays <= 0) {
+    const erased = await accountDeletion.eraseUser(user._id);
+
+    return res.status(200).json({
+      success: true,
+      data: { deleted: true, erased }
+    });
+  }
+
+  const scheduledFor = new Date(Date.now() + graceDays * 24 * 60 * 60 * 1000);
+
+  user.deletionRequestedAt = new Date();
+  user.deletionScheduledFor = scheduledFor;
+  await user.save({ validateBeforeSave: false });
+
+  // Sign out other devices; this session stays so the request can be cancelled
+  await sessionService.revokeAllSessions(user._id, 'logout_all', req.sessionId);
+
+  try {
+    await emailService.sendDeletionScheduledEmail(user, scheduledFor);
+  } catch (err) {
+    console.error('Error sending deletion email:', err.message);
+  }
+
+  res.status(202).json({
+    success: true,
+    data: {
+      deleted: false,
+      deletionScheduledFor: scheduledFor
+    }
+  });
+});
+
+// @desc    Cancel a pending account deletion
+// @route   POST /api/auth/me/canceldeletion
+// @access  Private
+exports.cancelAccountDeletion = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id);
+
+  if (!user.deletionScheduledFor) {
+    return next(new ErrorResponse('No account deletion is scheduled', 400));
+  }
+
+  user.deletionRequestedAt = undefined;
+  user.deletionScheduledFor = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    data: { deletionScheduledFor: null }
+  });
+});
+
 // @desc    Update password
 // @route   PUT /api/auth/updatepassword
 // @access  Private
@@ -95,23 +293,295 @@ exports.updatePassword = asyncHandler(async (req, res, next) => {
   user.password = req.body.newPassword;
   await user.save();
 
-  sendTokenResponse(user, 200, res);
+  // Sign out every other device and script; the caller gets a fresh session below
+  await sessionService.revokeAllSessions(user._id, 'password_change');
+  await apiTokenService.revokeAllTokens(user._id);
+
+  await sendTokenResponse(user, 200, req, res);
 });
 
-// @desc    Log user out / clear cookie
+// @desc    Log user out of the current session
 // @route   GET /api/auth/logout
 // @access  Private
 exports.logout = asyncHandler(async (req, res, next) => {
+  await sessionService.revokeSession(req.sessionId, req.user.id, 'logout');
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
+
+// @desc    Log user out of all devices
+// @route   POST /api/auth/logoutall
+// @access  Private
+exports.logoutAll = asyncHandler(async (req, res, next) => {
+  const revoked = await sessionService.revokeAllSessions(req.user.id, 'logout_all');
+
+  res.status(200).json({
+    success: true,
+    data: { revoked }
+  });
+});
+
+// @desc    Exchange a refresh token for a new token pair
+// @route   POST /api/auth/refresh
+// @access  Public
+exports.refreshToken = asyncHandler(async (req, res, next) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken) {
+    return next(new ErrorResponse('Please provide a refresh token', 400));
+  }
+
+  const { session, refreshToken: newRefreshToken } =
+    await sessionService.rotateRefreshToken(refreshToken, req);
+
+  const user = await User.findById(session.user);
+
+  if (!user || user.disabled) {
+    return next(new ErrorResponse('Invalid refresh token', 401));
+  }
+
+  res.status(200).json({
+    success: true,
+    token: user.getSignedJwtToken(session._id),
+    refreshToken: newRefreshToken
+  });
+});
+
+// @desc    Get login history for current user
+// @route   GET /api/auth/loginhistory
+// @access  Private
+exports.getLoginHistory = asyncHandler(async (req, res, next) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+  const attempts = await LoginAttempt.find({ user: req.user.id })
+    .sort('-createdAt')
+    .limit(limit)
+    .select('success method reason ip userAgent createdAt');
+
+  res.status(200).json({
+    success: true,
+    count: attempts.length,
+    data: attempts
+  });
+});
+
+// @desc    Get active sessions for current user
+// @route   GET /api/auth/sessions
+// @access  Private
+exports.getSessions = asyncHandler(async (req, res, next) => {
+  const sessions = await sessionService.getActiveSessions(req.user.id);
+
+  res.status(200).json({
+    success: true,
+    count: sessions.length,
+    data: sessions.map(session => ({
+      id: session._id,
+      userAgent: session.userAgent,
+      ip: session.ip,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      expiresAt: session.expiresAt,
+      current: session._id.toString() === req.sessionId
+    }))
+  });
+});
+
+// @desc    Revoke one of the current user's sessions
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+exports.revokeSession = asyncHandler(async (req, res, next) => {
+  const revoked = await sessionService.revokeSession(
+    req.params.id,
+    req.user.id,
+    'revoked_by_user'
+  );
+
+  if (!revoked) {
+    return next(
+      new ErrorResponse(`Session not found with id of ${req.params.id}`, 404)
+    );
+  }
+
   res.status(200).json({
     success: true,
     data: {}
   });
 });
 
-// Get token from model, create cookie and send response
-const sendTokenResponse = (user, statusCode, res) => {
-  // Create token
-  const token = user.getSignedJwtToken();
+// @desc    Forgot password
+// @route   POST /api/auth/forgotpassword
+// @access  Public
+exports.forgotPassword = asyncHandler(async (req, res, next) => {
+  const { email } = req.body;
+
+  if (!email) {
+    return next(new ErrorResponse('Please provide an email', 400));
+  }
+
+  const user = await User.findOne({ email });
+
+  // Respond identically whether or not the account exists so the endpoint
+  // cannot be used to discover registered emails
+  const response = {
+    success: true,
+    data: 'If an account exists for that email, a reset link has been sent'
+  };
+
+  if (!user) {
+    return res.status(200).json(response);
+  }
+
+  // Get reset token
+  const resetToken = user.getResetPasswordToken(config.passwordReset.expireMinutes);
+
+  await user.save({ validateBeforeSave: false });
+
+  try {
+    await emailService.sendPasswordResetEmail(user, resetToken);
+  } catch (err) {
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpire = undefined;
+
+    await user.save({ validateBeforeSave: false });
+
+    return next(new ErrorResponse('Email could not be sent', 500));
+  }
+
+  res.status(200).json(response);
+});
+
+// @desc    Reset password
+// @route   PUT /api/auth/resetpassword/:token
+// @access  Public
+exports.resetPassword = asyncHandler(async (req, res, next) => {
+  const { password } = req.body;
+
+  if (!password) {
+    return next(new ErrorResponse('Please provide a new password', 400));
+  }
+
+  // Get hashed token
+  const resetPasswordToken = crypto
+    .createHash('sha256')
+    .update(req.params.token)
+    .digest('hex');
+
+  const user = await User.findOne({
+    resetPasswordToken,
+    resetPasswordExpire: { $gt: Date.now() }
+  });
+
+  if (!user) {
+    return next(new ErrorResponse('Invalid or expired reset token', 400));
+  }
+
+  // Set new password and clear the token so it cannot be used again
+  user.password = password;
+  user.resetPasswordToken = undefined;
+  user.resetPasswordExpire = undefined;
+  user.passwordResetRequired = false;
+  await user.save();
+
+  await sessionService.revokeAllSessions(user._id, 'password_change');
+  await apiTokenService.revokeAllTokens(user._id);
+
+  await sendTokenResponse(user, 200, req, res);
+});
+
+// @desc    Verify email address
+// @route   GET /api/auth/verify/:token
+// @access  Public
+exports.verifyEmail = asyncHandler(async (req, res, next) => {
+  const emailVerificationToken = crypto
+    .createHash('sha256')
+    .update(req.params.token)
+    .digest('hex');
+
+  const user = await User.findOne({
+    emailVerificationToken,
+    emailVerificationExpire: { $gt: Date.now() }
+  });
+
+  if (!user) {
+    return next(new ErrorResponse('Invalid or expired verification token', 400));
+  }
+
+  user.emailVerified = true;
+  user.emailVerifiedAt = new Date();
+  user.emailVerificationToken = undefined;
+  user.emailVerificationExpire = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    data: { email: user.email, emailVerified: true }
+  });
+});
+
+// @desc    Resend email verification link
+// @route   POST /api/auth/verify/resend
+// @access  Private
+exports.resendVerification = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id);
+
+  if (!user.isEmailUnverified()) {
+    return next(new ErrorResponse('Email is already verified', 400));
+  }
+
+  const { resendCooldownSeconds } = config.emailVerification;
+
+  if (user.verificationEmailSentAt) {
+    const elapsed = (Date.now() - user.verificationEmailSentAt.getTime()) / 1000;
+
+    if (elapsed < resendCooldownSeconds) {
+      const retryAfter = Math.ceil(resendCooldownSeconds - elapsed);
+      res.set('Retry-After', String(retryAfter));
+      return next(
+        new ErrorResponse(`Please wait ${retryAfter} seconds before requesting another email`, 429)
+      );
+    }
+  }
+
+  await issueVerificationEmail(user);
+
+  res.status(200).json({
+    success: true,
+    data: 'Verification email sent'
+  });
+});
+
+// Verify a Google ID token and return the Google account id it belongs to
+const verifyGoogleIdToken = async (idToken) => {
+  try {
+    const client = new google.auth.OAuth2(process.env.GOOGLE_CLIENT_ID);
+    const ticket = await client.verifyIdToken({
+      idToken,
+      audience: process.env.GOOGLE_CLIENT_ID
+    });
+    return ticket.getPayload().sub;
+  } catch (err) {
+    return null;
+  }
+};
+
+// Create a verification token for the user and email it
+const issueVerificationEmail = async (user) => {
+  const verificationToken = user.getEmailVerificationToken(
+    config.emailVerification.tokenExpireHours
+  );
+
+  await user.save({ validateBeforeSave: false });
+
+  await emailService.sendVerificationEmail(user, verificationToken);
+};
+
+// Start a session, create tokens and send response
+const sendTokenResponse = async (user, statusCode, req, res) => {
+  // Create session with access and refresh tokens
+  const { token, refreshToken } = await sessionService.createSession(user, req);
 
   const options = {
     expires: new Date(
@@ -129,11 +599,15 @@ const sendTokenResponse = (user, statusCode, res) => {
     .json({
       success: true,
       token,
+      refreshToken,
       user: {
         id: user._id,
         firstName: user.firstName,
         lastName: user.lastName,
         email: user.email,
+        role: user.role,
+        emailVerified: !user.isEmailUnverified(),
+        deletionScheduledFor: user.deletionScheduledFor,
         profile: user.profile,
         preferences: user.preferences
       }
@@ -0,0 +1,228 @@
+const crypto = require('crypto');
+const Delegation = require('../models/Delegation');
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../middleware/asyncHandler');
+const emailService = require('../services/emailService');
+const config = require('../config/config');
+
+const hashToken = (token) =>
+  crypto.createHash('sha256').update(token).digest('hex');
+
+// Find a pending invitation by its emailed token
+const findInvitation = (token) =>
+  Delegation.findOne({
+    inviteTokenHash: hashToken(token),
+    status: 'pending',
+    inviteExpiresAt: { $gt: Date.now() }
+  });
+
+// Invitations are stored lowercased, but accounts keep the case they
+// registered with
+const isSentTo = (delegation, user) =>
+  delegation.email === user.email.toLowerCase();
+
+// @desc    List delegations granted by the current user
+// @route   GET /api/delegations
+// @access  Private
+exports.getDelegations = asyncHandler(async (req, res, next) => {
+  const delegations = await Delegation.find({
+    owner: req.user.id,
+    status: { $in: ['pending', 'accepted'] }
+  })
+    .populate('delegate', 'firstName lastName email')
+    .sort('-createdAt');
+
+  res.status(200).json({
+    success: true,
+    count: delegations.length,
+    data: delegations
+  });
+});
+
+// @desc    List accounts the current user can act for
+// @route   GET /api/delegations/received
+// @access  Private
+exports.getReceivedDelegations = asyncHandler(async (req, res, next) => {
+  const delegations = await Delegation.find({
+    delegate: req.user.id,
+    status: 'accepted'
+  })
+    .populate('owner', 'firstName lastName email')
+    .sort('-acceptedAt');
+
+  res.status(200).json({
+    success: true,
+    count: delegations.length,
+    data: delegations
+  });
+});
+
+// @desc    Invite someone to access the current user's records
+// @route   POST /api/delegations
+// @access  Private
+exports.createDelegation = asyncHandler(async (req, res, next) => {
+  const { email, access, resources } = req.body;
+
+  if (!email || typeof email !== 'string') {
+    return next(new ErrorResponse('Please add the email of the person to invite', 400));
+  }
+
+  const inviteEmail = email.trim().toLowerCase();
+
+  if (inviteEmail === req.user.email.toLowerCase()) {
+    return next(new ErrorResponse('You cannot invite yourself', 400));
+  }
+
+  const existing = await Delegation.findOne({
+    owner: req.user.id,
+    email: inviteEmail,
+    status: { $in: ['pending', 'accepted'] }
+  });
+
+  if (existing) {
+    return next(
+      new ErrorResponse('This person already has access or a pending invitation', 400)
+    );
+  }
+
+  const inviteToken = crypto.randomBytes(20).toString('hex');
+
+  const delegation = await Delegation.create({
+    owner: req.user.id,
+    email: inviteEmail,
+    access,
+    resources,
+    inviteTokenHash: hashToken(inviteToken),
+    inviteExpiresAt: Date.now() + config.delegation.inviteExpireDays * 24 * 60 * 60 * 1000
+  });
+
+  try {
+    await emailService.sendDelegationInviteEmail(req.user, delegation, inviteToken);
+  } catch (err) {
+    await delegation.deleteOne();
+    return next(new ErrorResponse('Invitation email could not be sent', 500));
+  }
+
+  delegation.inviteTokenHash = undefined;
+
+  res.status(201).json({
+    success: true,
+    data: delegation
+  });
+});
+
+// @desc    Change the access granted by a delegation
+// @route   PUT /api/delegations/:id
+// @access  Private
+exports.updateDelegation = asyncHandler(async (req, res, next) => {
+  const delegation = await Delegation.findOne({
+    _id: req.params.id,
+    owner: req.user.id,
+    status: { $in: ['pending', 'accepted'] }
+  });
+
+  if (!delegation) {
+    return next(
+      new ErrorResponse(`Delegation not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  const { access, resources } = req.body;
+
+  if (access !== undefined) delegation.access = access;
+  if (resources !== undefined) delegation.resources = resources;
+
+  await delegation.save();
+
+  res.status(200).json({
+    success: true,
+    data: delegation
+  });
+});
+
+// @desc    End a delegation, as its owner or its delegate
+// @route   DELETE /api/delegations/:id
+// @access  Private
+exports.revokeDelegation = asyncHandler(async (req, res, next) => {
+  const delegation = await Delegation.findOne({
+    _id: req.params.id,
+    $or: [{ owner: req.user.id }, { delegate: req.user.id }],
+    status: { $in: ['pending', 'accepted'] }
+  });
+
+  if (!delegation) {
+    return next(
+      new ErrorResponse(`Delegation not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  delegation.status = 'revoked';
+  delegation.revokedAt = new Date();
+  delegation.inviteTokenHash = undefined;
+  await delegation.save();
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
+
+// @desc    Accept an invitation
+// @route   POST /api/delegations/accept/:token
+// @access  Private
+exports.acceptInvitation = asyncHandler(async (req, res, next) => {
+  // The invitation is addressed to an email, so that address must be proven
+  if (req.user.isEmailUnverified()) {
+    return next(
+      new ErrorResponse('Please verify your email address before accepting invitations', 403)
+    );
+  }
+
+  const delegation = await findInvitation(req.params.token);
+
+  if (!delegation) {
+    return next(new ErrorResponse('Invitation is invalid or has expired', 400));
+  }
+
+  if (!isSentTo(delegation, req.user)) {
+    return next(
+      new ErrorResponse('This invitation was sent to a different email address', 403)
+    );
+  }
+
+  if (delegation.owner.toString() === req.user.id) {
+    return next(new ErrorResponse('You cannot accept your own invitation', 400));
+  }
+
+  delegation.delegate = req.user.id;
+  delegation.status = 'accepted';
+  delegation.acceptedAt = new Date();
+  delegation.inviteTokenHash = undefined;
+  delegation.inviteExpiresAt = undefined;
+  await delegation.save();
+
+  res.status(200).json({
+    success: true,
+    data: delegation
+  });
+});
+
+// @desc    Decline an invitation
+// @route   POST /api/delegations/decline/:token
+// @access  Private
+exports.declineInvitation = asyncHandler(async (req, res, next) => {
+  const delegation = await findInvitation(req.params.token);
+
+  if (!delegation || !isSentTo(delegation, req.user)) {
+    return next(new ErrorResponse('Invitation is invalid or has expired', 400));
+  }
+
+  delegation.status = 'declined';
+  delegation.inviteTokenHash = undefined;
+  await delegation.save();
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
@@ -0,0 +1,121 @@
+const fs = require('fs');
+const jwt = require('jsonwebtoken');
+const ExportJob = require('../models/ExportJob');
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../middleware/asyncHandler');
+const exportService = require('../services/exportService');
+const config = require('../config/config');
+
+// Add a signed, short-lived download link to completed jobs
+const withDownloadUrl = (job, req) => {
+  const data = job.toJSON();
+
+  if (job.status === 'completed') {
+    const token = jwt.sign(
+      { exportId: job._id, purpose: 'export_download' },
+      process.env.JWT_SECRET,
+      { expiresIn: config.storage.exportLinkExpire }
+    );
+    data.downloadUrl = `${req.protocol}://${req.get('host')}/api/export/${job._id}/download?token=${token}`;
+  }
+
+  return data;
+};
+
+// @desc    Request a new export of all personal data
+// @route   POST /api/export
+// @access  Private
+exports.createExport = asyncHandler(async (req, res, next) => {
+  const running = await ExportJob.findOne({
+    user: req.user.id,
+    status: { $in: ['pending', 'processing'] }
+  });
+
+  if (running) {
+    return next(new ErrorResponse('An export is already in progress', 409));
+  }
+
+  const job = await ExportJob.create({ user: req.user.id });
+
+  // Build the archive in the background; progress is read from the job
+  setImmediate(() => {
+    exportService.runExport(job._id).catch(err =>
+      console.error(`Export ${job._id} crashed:`, err.message)
+    );
+  });
+
+  res.status(202).json({
+    success: true,
+    data: job
+  });
+});
+
+// @desc    List exports for the current user
+// @route   GET /api/export
+// @access  Private
+exports.getExports = asyncHandler(async (req, res, next) => {
+  const jobs = await ExportJob.find({ user: req.user.id })
+    .sort('-createdAt')
+    .limit(20);
+
+  res.status(200).json({
+    success: true,
+    count: jobs.length,
+    data: jobs.map(job => withDownloadUrl(job, req))
+  });
+});
+
+// @desc    Get export status
+// @route   GET /api/export/:id
+// @access  Private
+exports.getExport = asyncHandler(async (req, res, next) => {
+  const job = await ExportJob.findById(req.params.id);
+
+  if (!job) {
+    return next(
+      new ErrorResponse(`Export not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  // Make sure user owns the export
+  if (job.user.toString() !== req.user.id) {
+    return next(
+      new ErrorResponse(`User not authorized to access this export`, 401)
+    );
+  }
+
+  res.status(200).json({
+    success: true,
+    data: withDownloadUrl(job, req)
+  });
+});
+
+// @desc    Download an export archive with a signed link
+// @route   GET /api/export/:id/download?token=
+// @access  Public (signed link)
+exports.downloadExport = asyncHandler(async (req, res, next) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(req.query.token || '', process.env.JWT_SECRET);
+  } catch (err) {
+    return next(new ErrorResponse('Download link is invalid or has expired', 401));
+  }
+
+  if (decoded.purpose !== 'export_download' || decoded.exportId !== req.params.id) {
+    return next(new ErrorResponse('Download link is invalid or has expired', 401));
+  }
+
+  const job = await ExportJob.findById(req.params.id).select('+filePath');
+
+  if (!job || job.status !== 'completed' || !job.filePath) {
+    return next(new ErrorResponse('Export is no longer available', 410));
+  }
+
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader('Content-Disposition', `attachment; filename="${job.fileName}"`);
+  res.setHeader('Content-Length', job.fileSize);
+
+  const stream = fs.createReadStream(job.filePath);
+  stream.on('error', next);
+  stream.pipe(res);
+});
@@ -1,6 +1,8 @@
 const HealthGoal = require('../models/HealthGoal');
+const User = require('../models/User');
 const ErrorResponse = require('../utils/errorResponse');
 const asyncHandler = require('../middleware/asyncHandler');
+const { canAccessRecord } = require('../middleware/access');
 const aiService = require('../services/aiService');
 
 // @desc    Get all goals for a user
@@ -10,7 +12,7 @@ exports.getGoals = asyncHandler(async (req, res, next) => {
   const { status, category } = req.query;
   
   // Build query
-  const query = { user: req.user.id };
+  const query = { user: req.ownerId };
   
   if (status) {
     query.status = status;
@@ -48,8 +50,8 @@ exports.getGoal = asyncHandler(async (req, res, next) => {
     );
   }
 
-  // Make sure user owns the goal
-  if (goal.user.toString() !== req.user.id) {
+  // Make sure the goal belongs to the user being acted for
+  if (!canAccessRecord(req, goal)) {
     return next(
       new ErrorResponse(`User not authorized to access this goal`, 401)
     );
@@ -73,7 +75,7 @@ exports.getGoal = asyncHandler(async (req, res, next) => {
 // @access  Private
 exports.createGoal = asyncHandler(async (req, res, next) => {
   // Add user to req.body
-  req.body.user = req.user.id;
+  req.body.user = req.ownerId;
 
   const goal = await HealthGoal.create(req.body);
 
@@ -81,7 +83,7 @@ exports.createGoal = asyncHandler(async (req, res, next) => {
   if (req.query.recommend === 'true') {
     try {
       // Get user profile
-      const user = await User.findById(req.user.id);
+      const user = await User.findById(req.ownerId);
       
       // Prepare data for AI analysis
       const goalData = {
@@ -138,13 +140,16 @@ exports.updateGoal = asyncHandler(async (req, res, next) => {
     );
   }
 
-  // Make sure user owns the goal
-  if (goal.user.toString() !== req.user.id) {
+  // Make sure the goal belongs to the user being acted for
+  if (!canAccessRecord(req, goal)) {
     return next(
       new ErrorResponse(`User not authorized to update this goal`, 401)
     );
   }
 
+  // Records cannot be moved to another user
+  delete req.body.user;
+
   goal = await HealthGoal.findByIdAndUpdate(req.params.id, req.body, {
     new: true,
     runValidators: true
@@ -175,14 +180,14 @@ exports.deleteGoal = asyncHandler(async (req, res, next) => {
     );
   }
 
-  // Make sure user owns the goal
-  if (goal.user.toString() !== req.user.id) {
+  // Make sure the goal belongs to the user being acted for
+  if (!canAccessRecord(req, goal)) {
     return next(
       new ErrorResponse(`User not authorized to delete this goal`, 401)
     );
   }
 
-  await goal.remove();
+  await goal.deleteOne();
 
   res.status(200).json({
     success: true,
@@ -208,8 +213,8 @@ exports.addCheckIn = asyncHandler(async (req, res, next) => {
     );
   }
   
-  // Make sure user owns the goal
-  if (goal.user.toString() !== req.user.id) {
+  // Make sure the goal belongs to the user being acted for
+  if (!canAccessRecord(req, goal)) {
     return next(
       new ErrorResponse(`User not authorized to update this goal`, 401)
     );
@@ -256,17 +261,17 @@ exports.addCheckIn = asyncHandler(async (req, res, next) => {
 exports.getGoalStats = asyncHandler(async (req, res, next) => {
   // Calculate statistics
   const activeGoals = await HealthGoal.countDocuments({
-    user: req.user.id,
+    user: req.ownerId,
     status: 'active'
   });
   
   const completedGoals = await HealthGoal.countDocuments({
-    user: req.user.id,
+    user: req.ownerId,
     status: 'completed'
   });
   
   const abandonedGoals = await HealthGoal.countDocuments({
-    user: req.user.id,
+    user: req.ownerId,
     status: 'abandoned'
   });
   
@@ -280,14 +285,14 @@ exports.getGoalStats = asyncHandler(async (req, res, next) => {
   
   for (const category of categories) {
     categoryCounts[category] = await HealthGoal.countDocuments({
-      user: req.user.id,
+      user: req.ownerId,
       category
     });
   }
   
   // Get average streak
   const goals = await HealthGoal.find({
-    user: req.user.id,
+    user: req.ownerId,
     status: 'active'
   });
   
@@ -2,13 +2,11 @@ const { google } = require('googleapis');
 const asyncHandler = require('../middleware/asyncHandler');
 const ErrorResponse = require('../utils/errorResponse');
 const User = require('../models/User');
-
-// Google OAuth2 configuration
-const oauth2Client = new google.auth.OAuth2(
-  process.env.GOOGLE_CLIENT_ID,
-  process.env.GOOGLE_CLIENT_SECRET,
-  process.env.GOOGLE_CALLBACK_URL
-);
+const sessionService = require('../services/sessionService');
+const googleOAuth = require('../services/googleOAuthService');
+const googleFit = require('../services/googleFitService');
+const { isValidTimezone } = require('../utils/dates');
+const config = require('../config/config');
 
 // Google Fit API configuration
 const fitApiScopes = [
@@ -21,22 +19,40 @@ const fitApiScopes = [
 // Flag to indicate if we're in development/testing mode
 const isDevelopment = process.env.NODE_ENV === 'development';
 
+// Send the browser back to a frontend error page
+const redirectWithError = (res, page, message) =>
+  res.redirect(`${config.frontendUrl}${page}?error=${encodeURIComponent(message)}`);
+
+// Bind an OAuth state to this browser, so that a callback URL cannot be
+// completed in someone else's browser
+const setNonceCookie = (res, name, nonce) =>
+  res.cookie(name, nonce, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'lax',
+    path: '/api/auth/google',
+    maxAge: config.google.stateExpireMinutes * 60 * 1000
+  });
+
 // Google authentication for sign-in
 exports.googleAuth = asyncHandler(async (req, res, next) => {
   try {
+    const { state, nonce } = googleOAuth.createState('signin');
+    const oauth2Client = googleOAuth.createClient(config.google.callbackUrl);
+
     const authUrl = oauth2Client.generateAuthUrl({
       access_type: 'offline',
       scope: ['profile', 'email'],
+      state,
       // Add special parameters for testing mode
       ...(isDevelopment && {
         include_granted_scopes: true,
         prompt: 'consent'
       })
     });
-    
-    console.log('Generated Google Auth URL:', authUrl);
-    
-    // Respond with auth URL
+
+    setNonceCookie(res, googleOAuth.NONCE_COOKIE, nonce);
+
     return res.redirect(authUrl);
   } catch (error) {
     console.error('Error generating Google auth URL:', error);
@@ -46,32 +62,62 @@ exports.googleAuth = asyncHandler(async (req, res, next) => {
 
 // Google callback processing
 exports.googleCallback = asyncHandler(async (req, res, next) => {
-  const { code } = req.query;
-  
+  const { code, state } = req.query;
+  const errorPage = '/auth/google/error';
+
+  const nonce = googleOAuth.readCookie(req, googleOAuth.NONCE_COOKIE);
+  res.clearCookie(googleOAuth.NONCE_COOKIE, { path: '/api/auth/google' });
+
   if (!code) {
-    return next(new ErrorResponse('No authorization code provided', 400));
+    return redirectWithError(res, errorPage, 'No authorization code provided');
   }
-  
+
+  const decodedState = await googleOAuth.consumeState(state, 'signin', nonce);
+  if (!decodedState) {
+    return redirectWithError(res, errorPage, 'Sign-in request is invalid or has expired');
+  }
+
   try {
     // Exchange auth code for tokens
+    const oauth2Client = googleOAuth.createClient(config.google.callbackUrl);
     const { tokens } = await oauth2Client.getToken(code);
     oauth2Client.setCredentials(tokens);
-    
+
     // Get user info from Google
     const oauth2 = google.oauth2({
       auth: oauth2Client,
       version: 'v2'
     });
-    
+
     const userInfo = await oauth2.userinfo.get();
-    
+
     if (!userInfo.data || !userInfo.data.email) {
-      return next(new ErrorResponse('Failed to get user info from Google', 500));
+      return redirectWithError(res, errorPage, 'Failed to get user info from Google');
     }
-    
-    // Find or create user
-    let user = await User.findOne({ email: userInfo.data.email });
-    
+
+    // Prefer the account already linked to this Google identity
+    let user = await User.findOne({ googleId: userInfo.data.id });
+
+    if (!user) {
+      user = await User.findOne({ email: userInfo.data.email });
+
+      // Only link an existing account when Google vouches for the address,
+      // and never replace a different Google identity. An account whose
+      // address was never verified may have been registered by someone else
+      // in advance, with a password they still know.
+      if (user && (!userInfo.data.verified_email || user.googleId || user.isEmailUnverified())) {
+        return redirectWithError(
+          res,
+          errorPage,
+          'This email is already registered. Sign in with your password to continue'
+        );
+      }
+    }
+
+    if (user && user.disabled) {
+      return redirectWithError(res, errorPage, 'This account has been disabled');
+    }
+
     if (!user) {
       // Create new user with Google data
       user = await User.create({
@@ -79,12 +125,16 @@ exports.googleCallback = asyncHandler(async (req, res, next) => {
         firstName: userInfo.data.given_name || 'User',
         lastName: userInfo.data.family_name || '',
         googleId: userInfo.data.id,
-        // Add connected services array if it doesn't exist
+        googleTokens: tokens,
+        // Google has already confirmed ownership of the address
+        emailVerified: true,
+        emailVerifiedAt: new Date(),
         connectedServices: ['google']
       });
     } else {
       // Update existing user with Google data
       user.googleId = userInfo.data.id;
+      user.googleTokens = tokens;
       // Add Google to connected services if not already there
       if (!user.connectedServices) {
         user.connectedServices = ['google'];
@@ -93,40 +143,63 @@ exports.googleCallback = asyncHandler(async (req, res, next) => {
       }
       await user.save();
     }
-    
-    // Create token
-    const token = user.getSignedJwtToken();
-    
-    // Redirect to frontend with token
-    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5174';
-    res.redirect(`${frontendUrl}/auth/google/success?token=${token}`);
+
+    // Start a session. Tokens in a URL end up in browser history and logs,
+    // so the frontend gets a one-time code to exchange for them instead.
+    const loginCode = await sessionService.createLoginCode(user, req);
+
+    res.redirect(`${config.frontendUrl}/auth/google/success?code=${encodeURIComponent(loginCode)}`);
   } catch (error) {
     console.error('Error in Google callback:', error);
-    
-    // Redirect to error page with details
-    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5174';
-    res.redirect(`${frontendUrl}/auth/google/error?error=${encodeURIComponent(error.message)}`);
+    redirectWithError(res, errorPage, error.message);
+  }
+});
+
+// @desc    Exchange the code from a Google sign-in for a token pair
+// @route   POST /api/auth/google/exchange
+// @access  Public
+exports.exchangeLoginCode = asyncHandler(async (req, res, next) => {
+  const { code } = req.body;
+
+  if (!code) {
+    return next(new ErrorResponse('Please provide a login code', 400));
+  }
+
+  const { session, refreshToken } = await sessionService.redeemLoginCode(code, req);
+
+  const user = await User.findById(session.user);
+
+  if (!user || user.disabled) {
+    return next(new ErrorResponse('Invalid login code', 401));
   }
+
+  res.status(200).json({
+    success: true,
+    token: user.getSignedJwtToken(session._id),
+    refreshToken
+  });
 });
 
 // Google Fit authorization
 exports.googleFitAuth = asyncHandler(async (req, res, next) => {
   try {
-    // Make sure user is authenticated
-    if (!req.user) {
-      return next(new ErrorResponse('Not authorized', 401));
-    }
-    
+    // The state carries the user, since the callback arrives without a token
+    const { state, nonce } = googleOAuth.createState('fit', req.user.id);
+    const oauth2Client = googleOAuth.createClient(config.google.fitCallbackUrl);
+
     const authUrl = oauth2Client.generateAuthUrl({
       access_type: 'offline',
       scope: fitApiScopes,
+      state,
       // Add these parameters to ensure we get a refresh token
       prompt: 'consent',
       include_granted_scopes: true
     });
-    
-    console.log('Generated Google Fit Auth URL:', authUrl);
-    
+
+    // Without this, a user could send their own authUrl to someone else and
+    // receive that person's Google Fit data
+    setNonceCookie(res, googleOAuth.FIT_NONCE_COOKIE, nonce);
+
     return res.status(200).json({
       success: true,
       data: { authUrl }
@@ -139,83 +212,135 @@ exports.googleFitAuth = asyncHandler(async (req, res, next) => {
 
 // Google Fit callback
 exports.googleFitCallback = asyncHandler(async (req, res, next) => {
-  const { code } = req.query;
-  const { state } = req.query;
-  
+  const { code, state } = req.query;
+  const errorPage = '/auth/google/fit/error';
+
+  const nonce = googleOAuth.readCookie(req, googleOAuth.FIT_NONCE_COOKIE);
+  res.clearCookie(googleOAuth.FIT_NONCE_COOKIE, { path: '/api/auth/google' });
+
   if (!code) {
-    return next(new ErrorResponse('No authorization code provided', 400));
+    return redirectWithError(res, errorPage, 'No authorization code provided');
   }
-  
+
+  const decodedState = await googleOAuth.consumeState(state, 'fit', nonce);
+  if (!decodedState || !decodedState.uid) {
+    return redirectWithError(res, errorPage, 'Connection request is invalid or has expired');
+  }
+
   try {
+    const user = await User.findById(decodedState.uid);
+
+    if (!user || user.disabled) {
+      return redirectWithError(res, errorPage, 'User not found');
+    }
+
     // Exchange code for tokens
+    const oauth2Client = googleOAuth.createClient(config.google.fitCallbackUrl);
     const { tokens } = await oauth2Client.getToken(code);
-    
-    // Store these tokens with the user
-    const user = await User.findById(req.user.id);
-    
-    if (!user) {
-      return next(new ErrorResponse('User not found', 404));
-    }
-    
+
     // Save tokens to user record
+    const previous = user.googleFitTokens || {};
     user.googleFitTokens = {
       access_token: tokens.access_token,
-      refresh_token: tokens.refresh_token,
+      // Google leaves out the refresh token when it issued one before
+      refresh_token: tokens.refresh_token || previous.refresh_token,
       expiry_date: tokens.expiry_date
     };
-    
+
     // Add googleFit to connected services
     if (!user.connectedServices) {
       user.connectedServices = ['googleFit'];
     } else if (!user.connectedServices.includes('googleFit')) {
       user.connectedServices.push('googleFit');
     }
-    
+
     await user.save();
-    
+
     // Redirect to frontend
-    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5174';
-    res.redirect(`${frontendUrl}/auth/google/fit/success?connected=true`);
+    res.redirect(`${config.frontendUrl}/auth/google/fit/success?connected=true`);
   } catch (error) {
     console.error('Error in Google Fit callback:', error);
-    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5174';
-    res.redirect(`${frontendUrl}/auth/google/fit/error?error=${encodeURIComponent(error.message)}`);
+    redirectWithError(res, errorPage, error.message);
+  }
+});
+
+// @desc    Unlink Google sign-in from the account
+// @route   DELETE /api/auth/google/link
+// @access  Private
+exports.unlinkGoogle = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id).select('+password +googleTokens');
+
+  if (!user.googleId) {
+    return next(new ErrorResponse('Google sign-in is not linked to this account', 400));
+  }
+
+  // Without a password the account would have no way to sign in
+  if (!user.password) {
+    return next(
+      new ErrorResponse('Set a password before unlinking Google sign-in', 400)
+    );
+  }
+
+  const tokens = user.googleTokens || {};
+  await googleOAuth.revokeToken(tokens.refresh_token || tokens.access_token);
+
+  user.googleId = undefined;
+  user.googleTokens = undefined;
+  user.connectedServices = (user.connectedServices || []).filter(s => s !== 'google');
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    data: { connectedServices: user.connectedServices }
+  });
+});
+
+// @desc    Disconnect Google Fit
+// @route   DELETE /api/auth/google/fit
+// @access  Private
+exports.disconnectGoogleFit = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id);
+
+  if (!user.googleFitTokens && !(user.connectedServices || []).includes('googleFit')) {
+    return next(new ErrorResponse('Google Fit is not connected', 400));
   }
+
+  const tokens = user.googleFitTokens || {};
+  await googleOAuth.revokeToken(tokens.refresh_token || tokens.access_token);
+
+  user.googleFitTokens = undefined;
+  user.googleFitSync = undefined;
+  user.connectedServices = (user.connectedServices || []).filter(s => s !== 'googleFit');
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    data: { connectedServices: user.connectedServices }
+  });
 });
 
-// Sync Google Fit data
+// @desc    Sync readings from Google Fit since the last sync
+// @route   POST /api/auth/google/fit/sync
+// @access  Private
 exports.syncGoogleFitData = asyncHandler(async (req, res, next) => {
-  try {
-    // Implementation for syncing Google Fit data
-    // For now, we'll return mock data since we're focusing on the auth flow
-    
-    console.log('Syncing Google Fit data requested');
-    
-    // Return mock data for development/testing
-    if (isDevelopment) {
-      return res.status(200).json({
-        success: true,
-        data: {
-          metrics: [
-            { type: 'steps', value: 8432, timestamp: new Date().toISOString() },
-            { type: 'heart_rate', value: 72, timestamp: new Date().toISOString() },
-            { type: 'weight', value: 70.5, timestamp: new Date().toISOString() },
-            { type: 'calories', value: 1850, timestamp: new Date().toISOString() }
-          ]
-        }
-      });
-    }
-    
-    // For actual implementation, we'd use the Google Fitness API here
-    // This would be implemented with real data fetching
-    
-    res.status(501).json({
-      success: false,
-      error: 'Sync functionality not fully implemented yet'
-    });
-    
-  } catch (error) {
-    console.error('Error syncing Google Fit data:', error);
-    return next(new ErrorResponse('Error syncing data from Google Fit', 500));
+  const user = await User.findById(req.user.id);
+
+  const tokens = user.googleFitTokens || {};
+
+  if (!tokens.refresh_token && !tokens.access_token) {
+    return next(new ErrorResponse('Google Fit is not connected', 400));
   }
+
+  const { timezone } = req.body;
+
+  if (timezone && !isValidTimezone(timezone)) {
+    return next(new ErrorResponse(`Unknown timezone: ${timezone}`, 400));
+  }
+
+  const summary = await googleFit.syncUser(user, { timezone });
+
+  res.status(200).json({
+    success: true,
+    data: summary
+  });
 });
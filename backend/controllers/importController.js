@@ -0,0 +1,191 @@
+const fs = require('fs');
+const ImportJob = require('../models/ImportJob');
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../middleware/asyncHandler');
+const importService = require('../services/importService');
+const importJobService = require('../services/importJobService');
+const { isValidTimezone } = require('../utils/dates');
+
+// @desc    Import a data export archive
+// @route   POST /api/import/archive
+// @access  Private
+exports.importArchive = asyncHandler(async (req, res, next) => {
+  const dryRun = req.query.dryRun === 'true' || req.body.dryRun === 'true';
+
+  try {
+    const report = await importService.importArchive(req.file.path, req.user.id, { dryRun });
+
+    res.status(dryRun ? 200 : 201).json({
+      success: true,
+      data: report
+    });
+  } finally {
+    await fs.promises.rm(req.file.path, { force: true });
+  }
+});
+
+// @desc    Import health metrics from a CSV file
+// @route   POST /api/import/metrics/csv
+// @access  Private
+exports.importMetricsCsv = asyncHandler(async (req, res, next) => {
+  const dryRun = req.query.dryRun === 'true' || req.body.dryRun === 'true';
+
+  try {
+    // Multipart fields are strings, so the mapping is sent as JSON
+    let mapping = {};
+    if (req.body.mapping) {
+      try {
+        mapping = JSON.parse(req.body.mapping);
+      } catch (err) {
+        mapping = null;
+      }
+
+      if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+        return next(new ErrorResponse('mapping must be a JSON object of field to column name', 400));
+      }
+    }
+
+    const report = await importService.importMetricsCsv(req.file.path, req.user.id, {
+      mapping,
+      type: req.body.type,
+      customType: req.body.customType,
+      unit: req.body.unit,
+      dateFormat: req.body.dateFormat,
+      timezone: req.body.timezone,
+      preferences: req.user.preferences,
+      dryRun
+    });
+
+    res.status(dryRun ? 200 : 201).json({
+      success: true,
+      data: report
+    });
+  } finally {
+    await fs.promises.rm(req.file.path, { force: true });
+  }
+});
+
+// Start a background import of the uploaded export; one runs at a time
+const startImportJob = async (req, res, next, source, options = {}) => {
+  const running = await ImportJob.findOne({
+    user: req.user.id,
+    status: { $in: ['pending', 'processing'] }
+  });
+
+  if (running) {
+    await fs.promises.rm(req.file.path, { force: true });
+    return next(new ErrorResponse('An import is already in progress', 409));
+  }
+
+  const job = await ImportJob.create({
+    user: req.user.id,
+    source,
+    options,
+    fileName: req.file.originalname,
+    filePath: req.file.path,
+    fileSize: req.file.size
+  });
+
+  // Read the export in the background; progress is read from the job
+  setImmediate(() => {
+    importJobService.runImportJob(job._id).catch(err =>
+      console.error(`Import ${job._id} crashed:`, err.message)
+    );
+  });
+
+  // The upload's location stays on the server
+  const { filePath, ...data } = job.toJSON();
+
+  res.status(202).json({
+    success: true,
+    data
+  });
+};
+
+// Timezone of exports whose times have no UTC offset
+const readTimezone = async (req, next) => {
+  const timezone = req.body.timezone || 'UTC';
+
+  if (!isValidTimezone(timezone)) {
+    await fs.promises.rm(req.file.path, { force: true });
+    next(new ErrorResponse(`Unknown timezone: ${timezone}`, 400));
+    return null;
+  }
+
+  return timezone;
+};
+
+// @desc    Import an Apple Health export in the background
+// @route   POST /api/import/apple-health
+// @access  Private
+exports.importAppleHealth = asyncHandler(async (req, res, next) => {
+  await startImportJob(req, res, next, 'apple_health');
+});
+
+// @desc    Import a Fitbit account archive in the background
+// @route   POST /api/import/fitbit
+// @access  Private
+exports.importFitbit = asyncHandler(async (req, res, next) => {
+  const timezone = await readTimezone(req, next);
+  if (!timezone) return;
+
+  // Fitbit logs weight in the unit set in the app, which the archive omits
+  const weightUnit = req.body.weightUnit || req.user.preferences.units.weight;
+
+  if (!['kg', 'lbs'].includes(weightUnit)) {
+    await fs.promises.rm(req.file.path, { force: true });
+    return next(new ErrorResponse('weightUnit must be kg or lbs', 400));
+  }
+
+  await startImportJob(req, res, next, 'fitbit', { timezone, weightUnit });
+});
+
+// @desc    Import a Withings data export in the background
+// @route   POST /api/import/withings
+// @access  Private
+exports.importWithings = asyncHandler(async (req, res, next) => {
+  const timezone = await readTimezone(req, next);
+  if (!timezone) return;
+
+  await startImportJob(req, res, next, 'withings', { timezone });
+});
+
+// @desc    List background imports for the current user
+// @route   GET /api/import/jobs
+// @access  Private
+exports.getImportJobs = asyncHandler(async (req, res, next) => {
+  const jobs = await ImportJob.find({ user: req.user.id })
+    .sort('-createdAt')
+    .limit(20);
+
+  res.status(200).json({
+    success: true,
+    count: jobs.length,
+    data: jobs
+  });
+});
+
+// @desc    Get background import status and report
+// @route   GET /api/import/jobs/:id
+// @access  Private
+exports.getImportJob = asyncHandler(async (req, res, next) => {
+  const job = await ImportJob.findById(req.params.id);
+
+  if (!job) {
+    return next(
+      new ErrorResponse(`Import not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  // Make sure user owns the import
+  if (job.user.toString() !== req.user.id) {
+    return next(
+      new ErrorResponse(`User not authorized to access this import`, 401)
+    );
+  }
+
+  res.status(200).json({
+    success: true,
+    data: job
+  });
+});
@@ -1,6 +1,7 @@
 const JournalEntry = require('../models/JournalEntry');
 const ErrorResponse = require('../utils/errorResponse');
 const asyncHandler = require('../middleware/asyncHandler');
+const { canAccessRecord } = require('../middleware/access');
 const aiService = require('../services/aiService');
 const User = require('../models/User');
 
@@ -14,7 +15,7 @@ exports.getJournalEntries = asyncHandler(async (req, res, next) => {
   const reqQuery = { ...req.query };
   
   // Add user filter
-  reqQuery.user = req.user.id;
+  reqQuery.user = req.ownerId;
 
   // Fields to exclude
   const removeFields = ['select', 'sort', 'page', 'limit'];
@@ -94,8 +95,8 @@ exports.getJournalEntry = asyncHandler(async (req, res, next) => {
     );
   }
 
-  // Make sure user owns the entry
-  if (entry.user.toString() !== req.user.id) {
+  // Make sure the entry belongs to the user being acted for
+  if (!canAccessRecord(req, entry)) {
     return next(
       new ErrorResponse(`User not authorized to access this journal entry`, 401)
     );
@@ -112,7 +113,7 @@ exports.getJournalEntry = asyncHandler(async (req, res, next) => {
 // @access  Private
 exports.createJournalEntry = asyncHandler(async (req, res, next) => {
   // Add user to req.body
-  req.body.user = req.user.id;
+  req.body.user = req.ownerId;
 
   const entry = await JournalEntry.create(req.body);
 
@@ -120,7 +121,7 @@ exports.createJournalEntry = asyncHandler(async (req, res, next) => {
   if (req.query.analyze === 'true' && entry.symptoms && entry.symptoms.length > 0) {
     try {
       // Get user profile
-      const user = await User.findById(req.user.id);
+      const user = await User.findById(req.ownerId);
       
       // Prepare data for AI analysis
       const symptomsData = {
@@ -182,13 +183,16 @@ exports.updateJournalEntry = asyncHandler(async (req, res, next) => {
     );
   }
 
-  // Make sure user owns the entry
-  if (entry.user.toString() !== req.user.id) {
+  // Make sure the entry belongs to the user being acted for
+  if (!canAccessRecord(req, entry)) {
     return next(
       new ErrorResponse(`User not authorized to update this journal entry`, 401)
     );
   }
 
+  // Records cannot be moved to another user
+  delete req.body.user;
+
   entry = await JournalEntry.findByIdAndUpdate(req.params.id, req.body, {
     new: true,
     runValidators: true
@@ -212,14 +216,14 @@ exports.deleteJournalEntry = asyncHandler(async (req, res, next) => {
     );
   }
 
-  // Make sure user owns the entry
-  if (entry.user.toString() !== req.user.id) {
+  // Make sure the entry belongs to the user being acted for
+  if (!canAccessRecord(req, entry)) {
     return next(
       new ErrorResponse(`User not authorized to delete this journal entry`, 401)
     );
   }
 
-  await entry.remove();
+  await entry.deleteOne();
 
   res.status(200).json({
     success: true,
@@ -238,7 +242,7 @@ exports.searchJournalEntries = asyncHandler(async (req, res, next) => {
   }
   
   const entries = await JournalEntry.find({
-    user: req.user.id,
+    user: req.ownerId,
     $text: { $search: query }
   }).sort('-date');
   
@@ -255,7 +259,7 @@ exports.searchJournalEntries = asyncHandler(async (req, res, next) => {
 exports.getJournalInsights = asyncHandler(async (req, res, next) => {
   // Get recent journal entries
   const entries = await JournalEntry.find({
-    user: req.user.id
+    user: req.ownerId
   })
   .sort('-date')
   .limit(10);
@@ -272,7 +276,7 @@ exports.getJournalInsights = asyncHandler(async (req, res, next) => {
   
   try {
     // Prepare data for AI analysis
-    const user = await User.findById(req.user.id);
+    const user = await User.findById(req.ownerId);
     
     const entriesData = entries.map(entry => ({
       date: entry.date,
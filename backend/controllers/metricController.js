@@ -1,6 +1,20 @@
 const HealthMetric = require('../models/HealthMetric');
 const ErrorResponse = require('../utils/errorResponse');
 const asyncHandler = require('../middleware/asyncHandler');
+const { canAccessRecord } = require('../middleware/access');
+const statsService = require('../services/statsService');
+const unitService = require('../services/unitService');
+const referenceRanges = require('../services/referenceRangeService');
+const anomalies = require('../services/anomalyService');
+const metricBatchService = require('../services/metricBatchService');
+const config = require('../config/config');
+
+// Values are stored in canonical units and shown in the reader's units,
+// classified against the owner's reference ranges
+const present = (req, metric, ranges) => ({
+  ...unitService.presentMetric(metric, req.user.preferences),
+  classification: referenceRanges.classify(metric, ranges)
+});
 
 // @desc    Get all metrics for a user
 // @route   GET /api/metrics
@@ -12,7 +26,7 @@ exports.getMetrics = asyncHandler(async (req, res, next) => {
   const reqQuery = { ...req.query };
   
   // Add user filter
-  reqQuery.user = req.user.id;
+  reqQuery.user = req.ownerId;
 
   // Fields to exclude
   const removeFields = ['select', 'sort', 'page', 'limit'];
@@ -54,6 +68,7 @@ exports.getMetrics = asyncHandler(async (req, res, next) => {
 
   // Executing query
   const metrics = await query;
+  const ranges = await referenceRanges.getRangesForUser(req.ownerId);
 
   // Pagination result
   const pagination = {};
@@ -76,7 +91,7 @@ exports.getMetrics = asyncHandler(async (req, res, next) => {
     success: true,
     count: metrics.length,
     pagination,
-    data: metrics
+    data: metrics.map(metric => present(req, metric, ranges))
   });
 });
 
@@ -92,16 +107,18 @@ exports.getMetric = asyncHandler(async (req, res, next) => {
     );
   }
 
-  // Make sure user owns the metric
-  if (metric.user.toString() !== req.user.id) {
+  // Make sure the metric belongs to the user being acted for
+  if (!canAccessRecord(req, metric)) {
     return next(
       new ErrorResponse(`User not authorized to access this metric`, 401)
     );
   }
 
+  const ranges = await referenceRanges.getRangesForUser(req.ownerId);
+
   res.status(200).json({
     success: true,
-    data: metric
+    data: present(req, metric, ranges)
   });
 });
 
@@ -110,13 +127,28 @@ exports.getMetric = asyncHandler(async (req, res, next) => {
 // @access  Private
 exports.createMetric = asyncHandler(async (req, res, next) => {
   // Add user to req.body
-  req.body.user = req.user.id;
-
-  const metric = await HealthMetric.create(req.body);
+  req.body.user = req.ownerId;
+  // Anomaly flags are only set by the server
+  delete req.body.anomaly;
+
+  let metric;
+  try {
+    metric = await HealthMetric.create(req.body);
+  } catch (err) {
+    // A reading with this externalId was sent before
+    if (err.code === 11000) {
+      return next(
+        new ErrorResponse(`Metric already exists with externalId of ${req.body.externalId}`, 409)
+      );
+    }
+    throw err;
+  }
+  await anomalies.evaluateMetrics([metric]);
+  const ranges = await referenceRanges.getRangesForUser(req.ownerId);
 
   res.status(201).json({
     success: true,
-    data: metric
+    data: present(req, metric, ranges)
   });
 });
 
@@ -124,7 +156,7 @@ exports.createMetric = asyncHandler(async (req, res, next) => {
 // @route   PUT /api/metrics/:id
 // @access  Private
 exports.updateMetric = asyncHandler(async (req, res, next) => {
-  let metric = await HealthMetric.findById(req.params.id);
+  const metric = await HealthMetric.findById(req.params.id);
 
   if (!metric) {
     return next(
@@ -132,21 +164,44 @@ exports.updateMetric = asyncHandler(async (req, res, next) => {
     );
   }
 
-  // Make sure user owns the metric
-  if (metric.user.toString() !== req.user.id) {
+  // Make sure the metric belongs to the user being acted for
+  if (!canAccessRecord(req, metric)) {
     return next(
       new ErrorResponse(`User not authorized to update this metric`, 401)
     );
   }
 
-  metric = await HealthMetric.findByIdAndUpdate(req.params.id, req.body, {
-    new: true,
-    runValidators: true
-  });
+  // Records cannot be moved to another user
+  delete req.body.user;
+  delete req.body.anomaly;
+
+  // The stored value is in canonical units, so a new unit only makes sense
+  // with the value it applies to
+  if (req.body.unit !== undefined && req.body.value === undefined && req.body.unit !== metric.unit) {
+    return next(new ErrorResponse('Please send the value along with its unit', 400));
+  }
+
+  // A value sent without a unit is in the unit the user reads it in
+  if (req.body.value !== undefined && req.body.unit === undefined) {
+    req.body.unit = unitService.getPreferredUnit(req.body.type || metric.type, req.user.preferences) ||
+      metric.unit;
+  }
+
+  // Saving (rather than findByIdAndUpdate) converts the value to canonical units
+  metric.set(req.body);
+  const changed = ['type', 'customType', 'value', 'unit', 'timestamp'].some(path => metric.isModified(path));
+  await metric.save();
+
+  // Compare the new reading with the baseline again
+  if (changed) {
+    await anomalies.evaluateMetrics([metric]);
+  }
+
+  const ranges = await referenceRanges.getRangesForUser(req.ownerId);
 
   res.status(200).json({
     success: true,
-    data: metric
+    data: present(req, metric, ranges)
   });
 });
 
@@ -162,14 +217,14 @@ exports.deleteMetric = asyncHandler(async (req, res, next) => {
     );
   }
 
-  // Make sure user owns the metric
-  if (metric.user.toString() !== req.user.id) {
+  // Make sure the metric belongs to the user being acted for
+  if (!canAccessRecord(req, metric)) {
     return next(
       new ErrorResponse(`User not authorized to delete this metric`, 401)
     );
   }
 
-  await metric.remove();
+  await metric.deleteOne();
 
   res.status(200).json({
     success: true,
@@ -185,7 +240,7 @@ exports.getMetricsByType = asyncHandler(async (req, res, next) => {
   const { from, to, limit } = req.query;
   
   const query = {
-    user: req.user.id,
+    user: req.ownerId,
     type
   };
 
@@ -199,11 +254,12 @@ exports.getMetricsByType = asyncHandler(async (req, res, next) => {
   const metrics = await HealthMetric.find(query)
     .sort('-timestamp')
     .limit(parseInt(limit) || 100);
+  const ranges = await referenceRanges.getRangesForUser(req.ownerId);
 
   res.status(200).json({
     success: true,
     count: metrics.length,
-    data: metrics
+    data: metrics.map(metric => present(req, metric, ranges))
   });
 });
 
@@ -211,7 +267,7 @@ exports.getMetricsByType = asyncHandler(async (req, res, next) => {
 // @route   GET /api/metrics/stats
 // @access  Private
 exports.getMetricsStats = asyncHandler(async (req, res, next) => {
-  const { type, period } = req.query;
+  const { type, customType, period } = req.query;
   
   // Define time periods
   const periods = {
@@ -228,109 +284,64 @@ exports.getMetricsStats = asyncHandler(async (req, res, next) => {
   const startDate = new Date();
   startDate.setDate(startDate.getDate() - days);
   
-  // Build the query
-  const query = {
-    user: req.user.id,
-    timestamp: {
-      $gte: startDate,
-      $lte: endDate
-    }
-  };
-  
-  if (type) {
-    query.type = type;
-  }
-  
-  // For blood pressure we need to handle differently due to the object structure
-  if (type === 'blood_pressure') {
-    const metrics = await HealthMetric.find(query).sort('timestamp');
-    
-    // Calculate stats manually
-    if (metrics.length === 0) {
-      return res.status(200).json({
-        success: true,
-        data: {
-          count: 0,
-          average: { systolic: null, diastolic: null },
-          min: { systolic: null, diastolic: null },
-          max: { systolic: null, diastolic: null },
-          latest: null
-        }
-      });
-    }
-    
-    let totalSystolic = 0;
-    let totalDiastolic = 0;
-    let minSystolic = metrics[0].value.systolic;
-    let maxSystolic = metrics[0].value.systolic;
-    let minDiastolic = metrics[0].value.diastolic;
-    let maxDiastolic = metrics[0].value.diastolic;
-    
-    metrics.forEach(metric => {
-      totalSystolic += metric.value.systolic;
-      totalDiastolic += metric.value.diastolic;
-      
-      minSystolic = Math.min(minSystolic, metric.value.systolic);
-      maxSystolic = Math.max(maxSystolic, metric.value.systolic);
-      minDiastolic = Math.min(minDiastolic, metric.value.diastolic);
-      maxDiastolic = Math.max(maxDiastolic, metric.value.diastolic);
-    });
-    
-    const stats = {
-      count: metrics.length,
-      average: {
-        systolic: Math.round(totalSystolic / metrics.length),
-        diastolic: Math.round(totalDiastolic / metrics.length)
-      },
-      min: { systolic: minSystolic, diastolic: minDiastolic },
-      max: { systolic: maxSystolic, diastolic: maxDiastolic },
-      latest: metrics[metrics.length - 1]
-    };
-    
-    return res.status(200).json({
-      success: true,
-      data: stats
-    });
-  }
-  
-  // For other metrics
-  const metrics = await HealthMetric.find(query).sort('timestamp');
-  
-  if (metrics.length === 0) {
-    return res.status(200).json({
-      success: true,
-      data: {
-        count: 0,
-        average: null,
-        min: null,
-        max: null,
-        latest: null
-      }
-    });
-  }
-  
-  // Calculate statistics
-  let total = 0;
-  let min = metrics[0].value;
-  let max = metrics[0].value;
-  
-  metrics.forEach(metric => {
-    total += parseFloat(metric.value);
-    min = Math.min(min, parseFloat(metric.value));
-    max = Math.max(max, parseFloat(metric.value));
+  const ranges = await referenceRanges.getRangesForUser(req.ownerId);
+  const stats = await statsService.getMetricStats(req.ownerId, {
+    type,
+    customType,
+    startDate,
+    endDate,
+    ranges
   });
-  
-  const stats = {
-    count: metrics.length,
-    average: parseFloat((total / metrics.length).toFixed(2)),
-    min,
-    max,
-    latest: metrics[metrics.length - 1]
-  };
-  
+
+  res.status(200).json({
+    success: true,
+    data: unitService.presentStats(stats, type, req.user.preferences)
+  });
+});
+
+// @desc    Get a metric type as a time series of buckets for charts
+// @route   GET /api/metrics/series
+// @access  Private
+exports.getMetricSeries = asyncHandler(async (req, res, next) => {
+  const { type, customType, interval = 'day', timezone = 'UTC' } = req.query;
+
+  // Default to the last 30 days
+  const to = req.query.to ? new Date(req.query.to) : new Date();
+  const from = req.query.from
+    ? new Date(req.query.from)
+    : new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+
+  // An empty list (e.g. percentiles=) means the defaults; blank entries
+  // would otherwise read as 0
+  const requested = String(req.query.percentiles || '')
+    .split(',')
+    .map(p => p.trim())
+    .filter(Boolean);
+  const percentiles = requested.length > 0 ? requested.map(Number) : undefined;
+
+  const series = await statsService.getMetricSeries(req.ownerId, {
+    type,
+    customType,
+    from,
+    to,
+    interval,
+    timezone,
+    percentiles
+  });
+
   res.status(200).json({
     success: true,
-    data: stats
+    count: series.length,
+    data: {
+      type,
+      customType,
+      interval,
+      timezone,
+      from,
+      to,
+      unit: unitService.getPreferredUnit(type, req.user.preferences),
+      buckets: unitService.presentSeries(series, type, req.user.preferences)
+    }
   });
 });
 
@@ -343,18 +354,108 @@ exports.batchCreateMetrics = asyncHandler(async (req, res, next) => {
   if (!metrics || !Array.isArray(metrics)) {
     return next(new ErrorResponse('Please provide an array of metrics', 400));
   }
-  
-  // Add user to each metric
-  const metricsWithUser = metrics.map(metric => ({
-    ...metric,
-    user: req.user.id
-  }));
-  
-  const createdMetrics = await HealthMetric.insertMany(metricsWithUser);
-  
-  res.status(201).json({
+
+  if (metrics.length > config.metricBatch.maxItems) {
+    return next(
+      new ErrorResponse(`Please send at most ${config.metricBatch.maxItems} metrics at a time`, 400)
+    );
+  }
+
+  // Each metric is created, or reported as a duplicate or invalid, on its own
+  const { results, created } = await metricBatchService.createMetrics(req.ownerId, metrics);
+  const ranges = await referenceRanges.getRangesForUser(req.ownerId);
+
+  const summary = { created: 0, duplicate: 0, invalid: 0 };
+  for (const result of results) summary[result.status]++;
+
+  res.status(created.length > 0 ? 201 : 200).json({
     success: true,
-    count: createdMetrics.length,
-    data: createdMetrics
+    count: created.length,
+    summary,
+    results,
+    data: created.map(metric => present(req, metric, ranges))
+  });
+});
+
+// @desc    Get metrics flagged as unusual for the user
+// @route   GET /api/metrics/anomalies
+// @access  Private
+exports.getAnomalies = asyncHandler(async (req, res, next) => {
+  const { type } = req.query;
+  const from = req.query.from ? new Date(req.query.from) : undefined;
+  const to = req.query.to ? new Date(req.query.to) : undefined;
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 25, 100);
+
+  const { metrics, total } = await anomalies.queryAnomalies(req.ownerId, {
+    type,
+    from,
+    to,
+    page,
+    limit
+  });
+  const ranges = await referenceRanges.getRangesForUser(req.ownerId);
+
+  const pagination = {};
+  if (page * limit < total) pagination.next = { page: page + 1, limit };
+  if (page > 1) pagination.prev = { page: page - 1, limit };
+
+  res.status(200).json({
+    success: true,
+    count: metrics.length,
+    total,
+    pagination,
+    data: metrics.map(metric => present(req, metric, ranges))
+  });
+});
+
+// @desc    Get reference ranges used to classify metrics
+// @route   GET /api/metrics/ranges
+// @access  Private
+exports.getReferenceRanges = asyncHandler(async (req, res, next) => {
+  const ranges = await referenceRanges.getRangesForUser(req.ownerId);
+
+  res.status(200).json({
+    success: true,
+    data: referenceRanges.presentRanges(ranges, req.user.preferences)
+  });
+});
+
+// @desc    Override the reference range of a metric type
+// @route   PUT /api/metrics/ranges/:type
+// @access  Private
+exports.setReferenceRange = asyncHandler(async (req, res, next) => {
+  // Ranges set by a clinician acting for the user are marked as such
+  const role = req.delegation && req.user.role === 'clinician' ? 'clinician' : 'user';
+
+  await referenceRanges.setOverride(req.ownerId, req.params.type, req.body, {
+    user: req.user.id,
+    role
+  }, req.user.preferences);
+
+  const ranges = await referenceRanges.getRangesForUser(req.ownerId);
+  const presented = referenceRanges.presentRanges(ranges, req.user.preferences);
+
+  res.status(200).json({
+    success: true,
+    data: presented[req.params.type]
+  });
+});
+
+// @desc    Remove a reference range override, restoring the default
+// @route   DELETE /api/metrics/ranges/:type
+// @access  Private
+exports.deleteReferenceRange = asyncHandler(async (req, res, next) => {
+  const removed = await referenceRanges.removeOverride(req.ownerId, req.params.type);
+
+  if (!removed) {
+    return next(
+      new ErrorResponse(`No reference range override for ${req.params.type}`, 404)
+    );
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {}
   });
 });
@@ -0,0 +1,150 @@
+const CustomMetricType = require('../models/CustomMetricType');
+const HealthMetric = require('../models/HealthMetric');
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../middleware/asyncHandler');
+const metricTypes = require('../services/metricTypeService');
+const config = require('../config/config');
+
+// Fields of a custom type that can be set by clients
+const FIELDS = ['key', 'name', 'description', 'unit', 'valueType', 'min', 'max', 'precision'];
+
+const pickFields = (body) => {
+  const fields = {};
+  for (const field of FIELDS) {
+    if (body[field] !== undefined) fields[field] = body[field];
+  }
+  return fields;
+};
+
+// @desc    List built-in and custom metric types
+// @route   GET /api/metrics/types
+// @access  Private
+exports.getMetricTypes = asyncHandler(async (req, res, next) => {
+  const types = await metricTypes.listTypes(req.ownerId, req.user.preferences);
+
+  res.status(200).json({
+    success: true,
+    data: types
+  });
+});
+
+// @desc    Define a custom metric type
+// @route   POST /api/metrics/types
+// @access  Private
+exports.createMetricType = asyncHandler(async (req, res, next) => {
+  const count = await CustomMetricType.countDocuments({ user: req.ownerId });
+
+  if (count >= config.metricTypes.maxCustomPerUser) {
+    return next(
+      new ErrorResponse(
+        `You can have at most ${config.metricTypes.maxCustomPerUser} custom metric types`,
+        400
+      )
+    );
+  }
+
+  const fields = pickFields(req.body);
+
+  if (typeof fields.key === 'string' &&
+      await CustomMetricType.exists({ user: req.ownerId, key: fields.key.toLowerCase().trim() })) {
+    return next(new ErrorResponse(`A metric type with key ${fields.key} already exists`, 400));
+  }
+
+  const metricType = await CustomMetricType.create({ ...fields, user: req.ownerId });
+
+  res.status(201).json({
+    success: true,
+    data: metricType
+  });
+});
+
+// @desc    Update a custom metric type
+// @route   PUT /api/metrics/types/:id
+// @access  Private
+exports.updateMetricType = asyncHandler(async (req, res, next) => {
+  const metricType = await CustomMetricType.findById(req.params.id);
+
+  if (!metricType) {
+    return next(
+      new ErrorResponse(`Metric type not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  // Make sure the type belongs to the user being acted for
+  if (metricType.user.toString() !== req.ownerId.toString()) {
+    return next(
+      new ErrorResponse(`User not authorized to update this metric type`, 401)
+    );
+  }
+
+  const fields = pickFields(req.body);
+
+  // Metrics refer to the type by key
+  if (fields.key !== undefined && fields.key !== metricType.key) {
+    return next(new ErrorResponse('The key of a metric type cannot be changed', 400));
+  }
+
+  const changesValues = ['unit', 'valueType'].some(
+    field => fields[field] !== undefined && fields[field] !== metricType[field]
+  );
+
+  if (changesValues && await HealthMetric.exists({
+    user: req.ownerId,
+    type: 'custom',
+    customType: metricType.key
+  })) {
+    return next(
+      new ErrorResponse('The unit and value type cannot be changed once metrics are recorded', 400)
+    );
+  }
+
+  metricType.set(fields);
+  await metricType.save();
+
+  res.status(200).json({
+    success: true,
+    data: metricType
+  });
+});
+
+// @desc    Delete a custom metric type
+// @route   DELETE /api/metrics/types/:id
+// @access  Private
+exports.deleteMetricType = asyncHandler(async (req, res, next) => {
+  const metricType = await CustomMetricType.findById(req.params.id);
+
+  if (!metricType) {
+    return next(
+      new ErrorResponse(`Metric type not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  // Make sure the type belongs to the user being acted for
+  if (metricType.user.toString() !== req.ownerId.toString()) {
+    return next(
+      new ErrorResponse(`User not authorized to delete this metric type`, 401)
+    );
+  }
+
+  const inUse = await HealthMetric.countDocuments({
+    user: req.ownerId,
+    type: 'custom',
+    customType: metricType.key
+  });
+
+  if (inUse > 0) {
+    return next(
+      new ErrorResponse(
+        `${metricType.name} has ${inUse} recorded metric(s); delete them before deleting the type`,
+        400
+      )
+    );
+  }
+
+  await metricType.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
@@ -0,0 +1,104 @@
+const ShareLink = require('../models/ShareLink');
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../middleware/asyncHandler');
+const shareService = require('../services/shareService');
+const auditService = require('../services/auditService');
+const config = require('../config/config');
+
+// @desc    List share links for the current user
+// @route   GET /api/shares
+// @access  Private
+exports.getShareLinks = asyncHandler(async (req, res, next) => {
+  const shareLinks = await ShareLink.find({ user: req.user.id }).sort('-createdAt');
+
+  res.status(200).json({
+    success: true,
+    count: shareLinks.length,
+    data: shareLinks.map(shareLink => ({
+      ...shareLink.toJSON(),
+      active: shareLink.isActive()
+    }))
+  });
+});
+
+// @desc    Create a share link
+// @route   POST /api/shares
+// @access  Private
+exports.createShareLink = asyncHandler(async (req, res, next) => {
+  const { token, shareLink } = await shareService.createShareLink(req.user.id, req.body);
+
+  const data = shareLink.toJSON();
+  delete data.tokenHash;
+  delete data.pinHash;
+
+  res.status(201).json({
+    success: true,
+    data: {
+      ...data,
+      // Shown once; only a hash is stored
+      token,
+      url: `${config.frontendUrl}/share/${token}`
+    }
+  });
+});
+
+// @desc    Revoke a share link
+// @route   DELETE /api/shares/:id
+// @access  Private
+exports.revokeShareLink = asyncHandler(async (req, res, next) => {
+  const shareLink = await ShareLink.findOne({
+    _id: req.params.id,
+    user: req.user.id
+  });
+
+  if (!shareLink) {
+    return next(
+      new ErrorResponse(`Share link not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  if (!shareLink.revokedAt) {
+    shareLink.revokedAt = new Date();
+    await shareLink.save();
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
+
+// @desc    View the summary behind a share link
+// @route   GET /api/shares/view/:token
+// @access  Public (PIN in X-Share-Pin header when set)
+exports.viewSharedSummary = asyncHandler(async (req, res, next) => {
+  const shareLink = await shareService.openShareLink(
+    req.params.token,
+    req.headers['x-share-pin']
+  );
+
+  const summary = await shareService.buildSummary(shareLink);
+
+  auditService.record({
+    actorType: 'share_link',
+    subject: shareLink.user,
+    resource: 'share',
+    resourceId: shareLink._id.toString(),
+    action: 'read',
+    method: req.method,
+    path: '/api/shares/view',
+    statusCode: 200,
+    success: true,
+    shareLink: shareLink._id,
+    ip: req.ip,
+    userAgent: (req.headers['user-agent'] || '').slice(0, 500)
+  });
+
+  // Health data must not be kept by shared caches
+  res.setHeader('Cache-Control', 'no-store');
+
+  res.status(200).json({
+    success: true,
+    data: summary
+  });
+});
@@ -1,8 +1,11 @@
 const Symptom = require('../models/Symptom');
 const HealthMetric = require('../models/HealthMetric');
+const User = require('../models/User');
 const ErrorResponse = require('../utils/errorResponse');
 const asyncHandler = require('../middleware/asyncHandler');
+const { canAccessRecord, canReadResource } = require('../middleware/access');
 const aiService = require('../services/aiService');
+const statsService = require('../services/statsService');
 
 // @desc    Get all symptoms for a user
 // @route   GET /api/symptoms
@@ -14,7 +17,7 @@ exports.getSymptoms = asyncHandler(async (req, res, next) => {
   const reqQuery = { ...req.query };
   
   // Add user filter
-  reqQuery.user = req.user.id;
+  reqQuery.user = req.ownerId;
 
   // Fields to exclude
   const removeFields = ['select', 'sort', 'page', 'limit', 'populate'];
@@ -47,7 +50,9 @@ exports.getSymptoms = asyncHandler(async (req, res, next) => {
 
   // Populate
   if (req.query.populate) {
-    const fields = req.query.populate.split(',');
+    // Linked metrics are only shown to delegates who may read metrics
+    const fields = req.query.populate.split(',')
+      .filter(field => field !== 'relatedHealthMetrics' || canReadResource(req, 'metrics'));
     fields.forEach(field => {
       query = query.populate(field);
     });
@@ -94,9 +99,14 @@ exports.getSymptoms = asyncHandler(async (req, res, next) => {
 // @route   GET /api/symptoms/:id
 // @access  Private
 exports.getSymptom = asyncHandler(async (req, res, next) => {
-  const symptom = await Symptom.findById(req.params.id)
-    .populate('relatedHealthMetrics')
-    .populate('relatedMedications');
+  let query = Symptom.findById(req.params.id).populate('relatedMedications');
+
+  // Linked metrics are only shown to delegates who may read metrics
+  if (canReadResource(req, 'metrics')) {
+    query = query.populate('relatedHealthMetrics');
+  }
+
+  const symptom = await query;
 
   if (!symptom) {
     return next(
@@ -104,8 +114,8 @@ exports.getSymptom = asyncHandler(async (req, res, next) => {
     );
   }
 
-  // Make sure user owns the symptom
-  if (symptom.user.toString() !== req.user.id) {
+  // Make sure the symptom belongs to the user being acted for
+  if (!canAccessRecord(req, symptom)) {
     return next(
       new ErrorResponse(`User not authorized to access this symptom`, 401)
     );
@@ -122,7 +132,7 @@ exports.getSymptom = asyncHandler(async (req, res, next) => {
 // @access  Private
 exports.createSymptom = asyncHandler(async (req, res, next) => {
   // Add user to req.body
-  req.body.user = req.user.id;
+  req.body.user = req.ownerId;
 
   const symptom = await Symptom.create(req.body);
 
@@ -135,16 +145,18 @@ exports.createSymptom = asyncHandler(async (req, res, next) => {
       const startTime = new Date(symptomTime.getTime() - timeWindow);
       const endTime = new Date(symptomTime.getTime() + timeWindow);
       
-      const relatedMetrics = await HealthMetric.find({
-        user: req.user.id,
-        timestamp: {
-          $gte: startTime,
-          $lte: endTime
-        }
-      });
+      const relatedMetrics = canReadResource(req, 'metrics')
+        ? await HealthMetric.find({
+          user: req.ownerId,
+          timestamp: {
+            $gte: startTime,
+            $lte: endTime
+          }
+        })
+        : [];
       
       // Prepare data for AI analysis
-      const user = await User.findById(req.user.id);
+      const user = await User.findById(req.ownerId);
       const analysisData = {
         symptom: {
           name: symptom.name,
@@ -198,13 +210,16 @@ exports.updateSymptom = asyncHandler(async (req, res, next) => {
     );
   }
 
-  // Make sure user owns the symptom
-  if (symptom.user.toString() !== req.user.id) {
+  // Make sure the symptom belongs to the user being acted for
+  if (!canAccessRecord(req, symptom)) {
     return next(
       new ErrorResponse(`User not authorized to update this symptom`, 401)
     );
   }
 
+  // Records cannot be moved to another user
+  delete req.body.user;
+
   symptom = await Symptom.findByIdAndUpdate(req.params.id, req.body, {
     new: true,
     runValidators: true
@@ -228,14 +243,14 @@ exports.deleteSymptom = asyncHandler(async (req, res, next) => {
     );
   }
 
-  // Make sure user owns the symptom
-  if (symptom.user.toString() !== req.user.id) {
+  // Make sure the symptom belongs to the user being acted for
+  if (!canAccessRecord(req, symptom)) {
     return next(
       new ErrorResponse(`User not authorized to delete this symptom`, 401)
     );
   }
 
-  await symptom.remove();
+  await symptom.deleteOne();
 
   res.status(200).json({
     success: true,
@@ -248,7 +263,7 @@ exports.deleteSymptom = asyncHandler(async (req, res, next) => {
 // @access  Private
 exports.getSymptomsByBodyPart = asyncHandler(async (req, res, next) => {
   const symptoms = await Symptom.find({ 
-    user: req.user.id,
+    user: req.ownerId,
     bodyPart: req.params.bodyPart
   }).sort('-startTime');
 
@@ -265,46 +280,15 @@ exports.getSymptomsByBodyPart = asyncHandler(async (req, res, next) => {
 exports.getSymptomFrequency = asyncHandler(async (req, res, next) => {
   const { startDate, endDate, symptom } = req.query;
   
-  let dateFilter = { user: req.user.id };
-  
-  if (startDate || endDate) {
-    dateFilter.startTime = {};
-    if (startDate) dateFilter.startTime.$gte = new Date(startDate);
-    if (endDate) dateFilter.startTime.$lte = new Date(endDate);
-  }
-  
-  if (symptom) {
-    dateFilter.name = symptom;
-  }
-  
-  const symptoms = await Symptom.find(dateFilter);
-  
-  // Calculate frequency by symptom name
-  const frequency = {};
-  symptoms.forEach(symptom => {
-    if (!frequency[symptom.name]) {
-      frequency[symptom.name] = 1;
-    } else {
-      frequency[symptom.name]++;
-    }
+  const frequency = await statsService.getSymptomFrequency(req.ownerId, {
+    startDate,
+    endDate,
+    symptom
   });
-  
-  // Convert to array for easier consumption by frontend
-  const frequencyArray = Object.keys(frequency).map(name => ({
-    name,
-    count: frequency[name],
-    percentage: Math.round((frequency[name] / symptoms.length) * 100)
-  }));
-  
-  // Sort by count in descending order
-  frequencyArray.sort((a, b) => b.count - a.count);
-  
+
   res.status(200).json({
     success: true,
-    data: {
-      total: symptoms.length,
-      frequency: frequencyArray
-    }
+    data: frequency
   });
 });
 
@@ -317,10 +301,16 @@ exports.getSymptomCorrelations = asyncHandler(async (req, res, next) => {
   if (!symptom) {
     return next(new ErrorResponse('Please provide a symptom name', 400));
   }
+
+  if (!canReadResource(req, 'metrics')) {
+    return next(
+      new ErrorResponse('You do not have read access to this user\'s metrics', 403)
+    );
+  }
   
   // Get all instances of this symptom
   const symptoms = await Symptom.find({
-    user: req.user.id,
+    user: req.ownerId,
     name: symptom
   }).sort('startTime');
   
@@ -345,7 +335,7 @@ exports.getSymptomCorrelations = asyncHandler(async (req, res, next) => {
     const endTime = new Date(symptomTime.getTime() + timeWindow);
     
     const metrics = await HealthMetric.find({
-      user: req.user.id,
+      user: req.ownerId,
       timestamp: {
         $gte: startTime,
         $lte: endTime
@@ -378,7 +368,7 @@ exports.getSymptomCorrelations = asyncHandler(async (req, res, next) => {
   }
   
   // Calculate correlations
-  Object.keys(metricCounts).forEach(metricType => {
+  for (const metricType of Object.keys(metricCounts)) {
     const correlation = {
       metricType,
       occurrenceRate: Math.round((metricCounts[metricType] / symptoms.length) * 100),
@@ -388,7 +378,7 @@ exports.getSymptomCorrelations = asyncHandler(async (req, res, next) => {
     
     // Get a sample metric to extract unit
     const sampleMetric = await HealthMetric.findOne({
-      user: req.user.id,
+      user: req.ownerId,
       type: metricType
     });
     
@@ -418,7 +408,7 @@ exports.getSymptomCorrelations = asyncHandler(async (req, res, next) => {
     }
     
     correlations.push(correlation);
-  });
+  }
   
   // Sort by occurrence rate
   correlations.sort((a, b) => b.occurrenceRate - a.occurrenceRate);
@@ -0,0 +1,169 @@
+const User = require('../models/User');
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../middleware/asyncHandler');
+const totpService = require('../services/totpService');
+const config = require('../config/config');
+
+const SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+// Create a fresh set of recovery codes, storing only their hashes
+const issueRecoveryCodes = (user) => {
+  const codes = totpService.generateRecoveryCodes(config.twoFactor.recoveryCodeCount);
+  user.twoFactor.recoveryCodes = codes.map(totpService.hashRecoveryCode);
+  return codes;
+};
+
+// @desc    Get two-factor status
+// @route   GET /api/auth/2fa
+// @access  Private
+exports.getTwoFactorStatus = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id).select('+twoFactor.recoveryCodes');
+
+  res.status(200).json({
+    success: true,
+    data: {
+      enabled: !!user.twoFactor.enabled,
+      enabledAt: user.twoFactor.enabledAt,
+      recoveryCodesRemaining: user.twoFactor.enabled
+        ? (user.twoFactor.recoveryCodes || []).length
+        : 0
+    }
+  });
+});
+
+// @desc    Start two-factor enrollment
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+exports.setupTwoFactor = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id).select(`+password ${SECRET_FIELDS}`);
+
+  if (user.twoFactor.enabled) {
+    return next(new ErrorResponse('Two-factor authentication is already enabled', 400));
+  }
+
+  // Two-factor protects password logins; Google-only accounts have none
+  if (!user.password) {
+    return next(new ErrorResponse('Please set a password before enabling two-factor authentication', 400));
+  }
+
+  const secret = totpService.generateSecret();
+  user.twoFactor.pendingSecret = secret;
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      secret,
+      otpauthUrl: totpService.getProvisioningUri(secret, user.email, config.twoFactor.issuer)
+    }
+  });
+});
+
+// @desc    Confirm enrollment with a code and enable two-factor
+// @route   POST /api/auth/2fa/enable
+// @access  Private
+exports.enableTwoFactor = asyncHandler(async (req, res, next) => {
+  const { code } = req.body;
+
+  if (!code) {
+    return next(new ErrorResponse('Please provide a code from your authenticator app', 400));
+  }
+
+  const user = await User.findById(req.user.id).select(SECRET_FIELDS);
+
+  if (user.twoFactor.enabled) {
+    return next(new ErrorResponse('Two-factor authentication is already enabled', 400));
+  }
+
+  if (!user.twoFactor.pendingSecret) {
+    return next(new ErrorResponse('Please start two-factor setup first', 400));
+  }
+
+  const step = totpService.verifyCode(user.twoFactor.pendingSecret, code);
+
+  if (step === null) {
+    return next(new ErrorResponse('Invalid code', 400));
+  }
+
+  user.twoFactor.secret = user.twoFactor.pendingSecret;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.enabled = true;
+  user.twoFactor.enabledAt = new Date();
+  user.twoFactor.lastUsedStep = step;
+  const recoveryCodes = issueRecoveryCodes(user);
+
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      enabled: true,
+      // Shown once; only hashes are stored
+      recoveryCodes
+    }
+  });
+});
+
+// @desc    Disable two-factor
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+exports.disableTwoFactor = asyncHandler(async (req, res, next) => {
+  const { password, code, recoveryCode } = req.body;
+
+  if (!password || (!code && !recoveryCode)) {
+    return next(
+      new ErrorResponse('Please provide your password and a two-factor code', 400)
+    );
+  }
+
+  const user = await User.findById(req.user.id).select(`+password ${SECRET_FIELDS}`);
+
+  if (!user.twoFactor.enabled) {
+    return next(new ErrorResponse('Two-factor authentication is not enabled', 400));
+  }
+
+  if (!user.password || !(await user.matchPassword(password))) {
+    return next(new ErrorResponse('Password is incorrect', 401));
+  }
+
+  if (!(await totpService.consumeSecondFactor(user, { code, recoveryCode }))) {
+    return next(new ErrorResponse('Invalid two-factor code', 401));
+  }
+
+  user.twoFactor = { enabled: false };
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    data: { enabled: false }
+  });
+});
+
+// @desc    Replace recovery codes
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+exports.regenerateRecoveryCodes = asyncHandler(async (req, res, next) => {
+  const { code } = req.body;
+
+  if (!code) {
+    return next(new ErrorResponse('Please provide a code from your authenticator app', 400));
+  }
+
+  const user = await User.findById(req.user.id).select(SECRET_FIELDS);
+
+  if (!user.twoFactor.enabled) {
+    return next(new ErrorResponse('Two-factor authentication is not enabled', 400));
+  }
+
+  if (!(await totpService.consumeSecondFactor(user, { code }))) {
+    return next(new ErrorResponse('Invalid two-factor code', 401));
+  }
+
+  const recoveryCodes = issueRecoveryCodes(user);
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    data: { recoveryCodes }
+  });
+});
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+const config = require('./config/config');
+const User = require('./models/User');
+
+// Promote an existing account to admin.
+// Usage: npm run create-admin -- user@example.com [--force]
+//
+// Without --force this only works while no admin exists, so it can be used
+// to bootstrap the first admin but not to bypass the admin API afterwards.
+
+const [email, flag] = process.argv.slice(2);
+const force = flag === '--force';
+
+if (!email) {
+  console.error('Usage: npm run create-admin -- <email> [--force]');
+  process.exit(1);
+}
+
+const run = async () => {
+  await mongoose.connect(config.mongoUri);
+
+  const existingAdmins = await User.countDocuments({ role: 'admin' });
+
+  if (existingAdmins > 0 && !force) {
+    throw new Error(
+      'An admin already exists. Use the admin API or pass --force to promote anyway.'
+    );
+  }
+
+  const user = await User.findOne({ email });
+
+  if (!user) {
+    throw new Error(`No user registered with email ${email}`);
+  }
+
+  user.role = 'admin';
+  user.disabled = false;
+  await user.save({ validateBeforeSave: false });
+
+  console.log(`${user.email} is now an admin`);
+};
+
+run()
+  .then(() => mongoose.disconnect())
+  .catch(async (error) => {
+    console.error(`Error: ${error.message}`);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
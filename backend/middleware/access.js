@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+const asyncHandler = require('./asyncHandler');
+const ErrorResponse = require('../utils/errorResponse');
+const Delegation = require('../models/Delegation');
+const User = require('../models/User');
+
+// Header a delegate sends to work with another user's records
+const ACT_AS_HEADER = 'x-act-as';
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Resolve whose records the request works with. Without the act-as header
+// that is the signed-in user; with it, the request must be covered by an
+// accepted delegation from that user. Sets req.ownerId for controllers.
+exports.actAs = (resource) => asyncHandler(async (req, res, next) => {
+  const ownerId = req.headers[ACT_AS_HEADER];
+
+  req.ownerId = req.user.id;
+  req.delegation = null;
+
+  if (!ownerId || ownerId === req.user.id) {
+    return next();
+  }
+
+  if (!mongoose.isValidObjectId(ownerId)) {
+    return next(new ErrorResponse(`Invalid ${ACT_AS_HEADER} header`, 400));
+  }
+
+  const delegation = await Delegation.findOne({
+    owner: ownerId,
+    delegate: req.user.id,
+    status: 'accepted'
+  });
+
+  const write = !READ_METHODS.includes(req.method);
+
+  if (!delegation || !delegation.allows(resource, write)) {
+    return next(
+      new ErrorResponse(
+        `You do not have ${write ? 'write' : 'read'} access to this user's ${resource}`,
+        403
+      )
+    );
+  }
+
+  const owner = await User.findById(ownerId).select('disabled');
+
+  if (!owner || owner.disabled) {
+    return next(new ErrorResponse('This account is not available', 403));
+  }
+
+  req.ownerId = ownerId;
+  req.delegation = delegation;
+
+  next();
+});
+
+// Shared ownership check for single records: the record must belong to the
+// user the request acts for
+exports.canAccessRecord = (req, record) =>
+  record.user.toString() === (req.ownerId || req.user.id);
+
+// Whether a delegated request may also read another resource type, for
+// handlers that combine data (e.g. symptoms with nearby metrics)
+exports.canReadResource = (req, resource) =>
+  !req.delegation || req.delegation.allows(resource, false);
@@ -0,0 +1,55 @@
+const auditService = require('../services/auditService');
+
+// Record every request to a health data route once the response is sent.
+// Place after protect so the actor is known. The subject is the user acted
+// for (see actAs), or the user named by options.subjectParam on admin routes.
+// options.action overrides the action derived from the HTTP method.
+exports.audit = (resource, options = {}) => (req, res, next) => {
+  const path = req.originalUrl.split('?')[0];
+
+  // Route params are not resolved yet when used with router.use, so take
+  // the record id from the path below the router's mount point
+  const idMatch = req.path.match(/^\/([a-f0-9]{24})(\/|$)/i);
+  const resourceId = idMatch ? idMatch[1] : undefined;
+
+  let action = options.action || auditService.METHOD_ACTIONS[req.method];
+  // POSTs below a record (e.g. a goal check-in) change that record
+  if (action === 'create' && idMatch) action = 'update';
+
+  if (!action || !req.user) return next();
+
+  // Per-route params are only reliable while the route is running
+  const paramSubject = options.subjectParam && req.params[options.subjectParam];
+
+  res.on('finish', () => {
+    const headerSubject = req.headers['x-act-as'];
+    const subject = paramSubject ||
+      req.ownerId || (/^[a-f0-9]{24}$/i.test(headerSubject || '') ? headerSubject : req.user.id);
+
+    let actorType = 'user';
+    if (options.admin) {
+      actorType = 'admin';
+    } else if (subject.toString() !== req.user.id) {
+      actorType = 'delegate';
+    }
+
+    auditService.record({
+      actor: req.user._id,
+      actorType,
+      subject,
+      resource,
+      resourceId,
+      action,
+      method: req.method,
+      path,
+      statusCode: res.statusCode,
+      success: res.statusCode < 400,
+      apiToken: req.apiToken ? req.apiToken._id : undefined,
+      delegation: req.delegation ? req.delegation._id : undefined,
+      ip: req.ip,
+      userAgent: (req.headers['user-agent'] || '').slice(0, 500)
+    });
+  });
+
+  next();
+};
@@ -2,6 +2,13 @@ const jwt = require('jsonwebtoken');
 const asyncHandler = require('./asyncHandler');
 const ErrorResponse = require('../utils/errorResponse');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const apiTokenService = require('../services/apiTokenService');
+const config = require('../config/config');
+
+// Routers that accept API tokens. Every route in them declares the scope it
+// needs with requireScope; everything else is limited to login sessions.
+const API_TOKEN_ROUTES = ['/api/metrics', '/api/symptoms', '/api/goals', '/api/journal'];
 
 // Protect routes
 exports.protect = asyncHandler(async (req, res, next) => {
@@ -24,18 +31,118 @@ exports.protect = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Not authorized to access this route', 401));
   }
 
+  if (apiTokenService.isApiToken(token)) {
+    return protectWithApiToken(token, req, next);
+  }
+
   try {
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+    // Every access token must belong to a live session so logout takes effect
+    const session = decoded.sid && await Session.findById(decoded.sid);
+
+    if (!session || !session.isActive() || session.user.toString() !== decoded.id) {
+      return next(new ErrorResponse('Session has expired or was revoked', 401));
+    }
+
     req.user = await User.findById(decoded.id);
 
+    if (!req.user) {
+      return next(new ErrorResponse('Not authorized to access this route', 401));
+    }
+
+    if (req.user.disabled) {
+      return next(new ErrorResponse('This account has been disabled', 403));
+    }
+
+    req.sessionId = session._id.toString();
+
+    if (!isAllowedWhileUnverified(req)) {
+      return next(
+        new ErrorResponse('Please verify your email address to access this route', 403)
+      );
+    }
+
     next();
   } catch (err) {
     return next(new ErrorResponse('Not authorized to access this route', 401));
   }
 });
 
+// Authenticate a request made with a personal API token
+const protectWithApiToken = async (token, req, next) => {
+  if (!API_TOKEN_ROUTES.includes(req.baseUrl)) {
+    return next(
+      new ErrorResponse('API tokens cannot be used to access this route', 403)
+    );
+  }
+
+  const apiToken = await apiTokenService.authenticate(token, req);
+
+  if (!apiToken) {
+    return next(new ErrorResponse('API token is invalid, expired or revoked', 401));
+  }
+
+  req.user = await User.findById(apiToken.user);
+
+  if (!req.user) {
+    return next(new ErrorResponse('Not authorized to access this route', 401));
+  }
+
+  if (req.user.disabled) {
+    return next(new ErrorResponse('This account has been disabled', 403));
+  }
+
+  // Tokens must not outlive a reset an admin forced on the account
+  if (req.user.passwordResetRequired) {
+    return next(
+      new ErrorResponse('A password reset is required. Please check your email for a reset link', 403)
+    );
+  }
+
+  req.apiToken = apiToken;
+
+  if (!isAllowedWhileUnverified(req)) {
+    return next(
+      new ErrorResponse('Please verify your email address to access this route', 403)
+    );
+  }
+
+  next();
+};
+
+// Apply the configured access policy for users who have not verified their
+// email. Account routes under /api/auth stay reachable so users can verify,
+// resend the link or log out.
+const isAllowedWhileUnverified = (req) => {
+  if (!req.user.isEmailUnverified()) return true;
+  if (req.baseUrl === '/api/auth') return true;
+
+  switch (config.emailVerification.unverifiedAccess) {
+    case 'full':
+      return true;
+    case 'none':
+      return false;
+    case 'read_only':
+    default:
+      return req.method === 'GET' || req.method === 'HEAD';
+  }
+};
+
+// Require a scope when the request is made with an API token. Requests from
+// login sessions have full access to the user's own data.
+exports.requireScope = (scope) => {
+  return (req, res, next) => {
+    if (req.apiToken && !req.apiToken.scopes.includes(scope)) {
+      return next(
+        new ErrorResponse(`API token is missing the required scope: ${scope}`, 403)
+      );
+    }
+    next();
+  };
+};
+
 // Grant access to specific roles
 exports.authorize = (...roles) => {
   return (req, res, next) => {
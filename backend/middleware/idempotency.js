@@ -0,0 +1,92 @@
+const crypto = require('crypto');
+const asyncHandler = require('./asyncHandler');
+const ErrorResponse = require('../utils/errorResponse');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const config = require('../config/config');
+
+const MAX_KEY_LENGTH = 255;
+
+// The same key sent with a different request is refused, not replayed
+const hashRequest = (req) => crypto
+  .createHash('sha256')
+  .update(`${req.method} ${req.originalUrl.split('?')[0]}\n${JSON.stringify(req.body || {})}`)
+  .digest('hex');
+
+// Claim the key for this request. Returns the stored record when the
+// request already completed, to be replayed.
+const claimKey = async (userId, key, requestHash) => {
+  const now = new Date();
+  const lockedUntil = new Date(now.getTime() + config.idempotency.processingTimeoutSeconds * 1000);
+
+  try {
+    return { record: await IdempotencyKey.create({ user: userId, key, requestHash, lockedUntil }) };
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  const existing = await IdempotencyKey.findOne({ user: userId, key });
+
+  if (existing && existing.requestHash !== requestHash) {
+    throw new ErrorResponse('Idempotency-Key was already used for a different request', 422);
+  }
+
+  if (existing && existing.status === 'completed') {
+    return { completed: existing };
+  }
+
+  // Take over from a request that never finished
+  const record = existing && await IdempotencyKey.findOneAndUpdate(
+    { _id: existing._id, status: 'processing', lockedUntil: { $lte: now } },
+    { $set: { lockedUntil } },
+    { new: true }
+  );
+
+  if (!record) {
+    throw new ErrorResponse('A request with this Idempotency-Key is still being processed', 409);
+  }
+
+  return { record };
+};
+
+// Make a write request safe to retry. A request sent with an
+// Idempotency-Key header that already succeeded gets the original response
+// again instead of being run twice; failed requests release the key so the
+// client can retry. Place after actAs, since keys belong to the user whose
+// records are written.
+exports.idempotent = () => asyncHandler(async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+
+  if (key === undefined) return next();
+
+  if (!key || key.length > MAX_KEY_LENGTH) {
+    return next(new ErrorResponse(`Idempotency-Key must be 1 to ${MAX_KEY_LENGTH} characters`, 400));
+  }
+
+  const { record, completed } = await claimKey(req.ownerId, key, hashRequest(req));
+
+  if (completed) {
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(completed.statusCode).json(completed.response);
+  }
+
+  // Store the response before sending it, so a retry never runs the request again
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    res.json = json;
+
+    const saved = res.statusCode < 300
+      ? IdempotencyKey.updateOne(
+        { _id: record._id },
+        { $set: { status: 'completed', statusCode: res.statusCode, response: body, completedAt: new Date() } }
+      )
+      : IdempotencyKey.deleteOne({ _id: record._id, status: 'processing' });
+
+    saved
+      .catch(err => console.error('Error storing idempotent response:', err.message))
+      .then(() => json(body));
+
+    return res;
+  };
+
+  next();
+});
@@ -0,0 +1,53 @@
+const os = require('os');
+const path = require('path');
+const multer = require('multer');
+const ErrorResponse = require('../utils/errorResponse');
+const config = require('../config/config');
+
+/**
+ * Builds middleware that accepts a single uploaded file, stored in a
+ * temporary directory. Handlers are responsible for removing the file.
+ * @param {Object} options
+ * @param {String} options.field - Form field holding the file
+ * @param {Array<String>} options.extensions - Accepted extensions, e.g. ['.zip']
+ * @param {Number} [options.maxSizeMb] - Size limit, defaults to config.uploads.maxSizeMb
+ * @returns {Function} Express middleware
+ */
+const uploadFile = ({ field, extensions, maxSizeMb = config.uploads.maxSizeMb }) => {
+  const upload = multer({
+    dest: config.uploads.tempDir || path.join(os.tmpdir(), 'healthprevent-uploads'),
+    limits: { fileSize: maxSizeMb * 1024 * 1024, files: 1 },
+    fileFilter: (req, file, cb) => {
+      const extension = path.extname(file.originalname).toLowerCase();
+
+      if (!extensions.includes(extension)) {
+        return cb(
+          new ErrorResponse(`Please upload a ${extensions.join(' or ')} file`, 400)
+        );
+      }
+
+      cb(null, true);
+    }
+  }).single(field);
+
+  return (req, res, next) => {
+    upload(req, res, (err) => {
+      if (err instanceof multer.MulterError) {
+        const message = err.code === 'LIMIT_FILE_SIZE'
+          ? `File is larger than ${maxSizeMb} MB`
+          : err.message;
+        return next(new ErrorResponse(message, 400));
+      }
+
+      if (err) return next(err);
+
+      if (!req.file) {
+        return next(new ErrorResponse(`Please upload a file in the '${field}' field`, 400));
+      }
+
+      next();
+    });
+  };
+};
+
+module.exports = uploadFile;
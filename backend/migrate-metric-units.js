@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+const config = require('./config/config');
+const HealthMetric = require('./models/HealthMetric');
+const unitService = require('./services/unitService');
+
+// Convert metrics saved before canonical units were enforced.
+// Usage: npm run migrate-units [-- --dry-run]
+//
+// Metrics whose unit cannot be converted are reported and left unchanged.
+
+const dryRun = process.argv.includes('--dry-run');
+
+const run = async () => {
+  await mongoose.connect(config.mongoUri);
+
+  const summary = { checked: 0, converted: 0, unsupported: 0 };
+
+  for await (const metric of HealthMetric.find().cursor()) {
+    summary.checked++;
+
+    const canonical = unitService.getCanonicalUnit(metric.type);
+    if (!canonical || metric.unit === canonical) continue;
+
+    const error = metric.normalizeUnit();
+
+    if (error) {
+      summary.unsupported++;
+      console.warn(`Metric ${metric._id}: ${error}`);
+      continue;
+    }
+
+    summary.converted++;
+    if (!dryRun) {
+      await metric.save({ validateBeforeSave: false });
+    }
+  }
+
+  console.log(`${dryRun ? '[dry run] ' : ''}Metric units:`, summary);
+};
+
+run()
+  .then(() => mongoose.disconnect())
+  .catch(async (error) => {
+    console.error(`Error: ${error.message}`);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
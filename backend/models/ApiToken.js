@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+// Scopes an API token can be granted. Each resource has a read scope and a
+// write scope; write does not imply read.
+const SCOPES = [
+  'metrics:read',
+  'metrics:write',
+  'symptoms:read',
+  'symptoms:write',
+  'goals:read',
+  'goals:write',
+  'journal:read',
+  'journal:write'
+];
+
+// A personal access token lets scripts and devices call the API on behalf
+// of a user without a login session. Only a hash of the token is stored.
+const ApiTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Please add a token name'],
+    trim: true,
+    maxlength: [100, 'Token name can not be more than 100 characters']
+  },
+  // First characters of the token, shown so users can tell tokens apart
+  prefix: {
+    type: String,
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  scopes: {
+    type: [{
+      type: String,
+      enum: SCOPES
+    }],
+    validate: {
+      validator: (scopes) => scopes.length > 0,
+      message: 'Please add at least one scope'
+    }
+  },
+  lastUsedAt: Date,
+  lastUsedIp: String,
+  expiresAt: Date,
+  revokedAt: Date
+}, {
+  timestamps: true
+});
+
+ApiTokenSchema.index({ user: 1, revokedAt: 1 });
+
+// Check whether the token can still authenticate requests
+ApiTokenSchema.methods.isActive = function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > Date.now());
+};
+
+ApiTokenSchema.statics.SCOPES = SCOPES;
+
+module.exports = mongoose.model('ApiToken', ApiTokenSchema);
@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+const config = require('../config/config');
+
+const RESOURCES = ['metrics', 'symptoms', 'goals', 'journal', 'profile', 'share'];
+const ACTIONS = ['read', 'create', 'update', 'delete'];
+
+// One access to health data. Events are append-only: the application never
+// changes or deletes them, and MongoDB expires them after the retention period.
+const AuditEventSchema = new mongoose.Schema({
+  // User who made the request; empty for share link visitors
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  actorType: {
+    type: String,
+    enum: ['user', 'delegate', 'admin', 'share_link'],
+    required: true
+  },
+  // User whose data was accessed
+  subject: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  resource: {
+    type: String,
+    enum: RESOURCES,
+    required: true
+  },
+  resourceId: String,
+  action: {
+    type: String,
+    enum: ACTIONS,
+    required: true
+  },
+  method: String,
+  path: String,
+  statusCode: Number,
+  success: Boolean,
+  apiToken: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiToken'
+  },
+  delegation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Delegation'
+  },
+  shareLink: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ShareLink'
+  },
+  ip: String,
+  userAgent: {
+    type: String,
+    maxlength: 500
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    immutable: true
+  }
+}, {
+  versionKey: false
+});
+
+AuditEventSchema.index({ subject: 1, createdAt: -1 });
+AuditEventSchema.index({ actor: 1, createdAt: -1 });
+AuditEventSchema.index({ resource: 1, action: 1, createdAt: -1 });
+
+AuditEventSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: config.audit.retentionDays * 24 * 60 * 60 }
+);
+
+// Refuse every write other than inserting new events
+const rejectChange = function(next) {
+  next(new Error('Audit events are append-only'));
+};
+
+AuditEventSchema.pre('save', function(next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+
+AuditEventSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+    'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndRemove'],
+  rejectChange
+);
+
+AuditEventSchema.statics.RESOURCES = RESOURCES;
+AuditEventSchema.statics.ACTIONS = ACTIONS;
+
+module.exports = mongoose.model('AuditEvent', AuditEventSchema);
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// A metric type defined by a user. Metrics of this type are stored with
+// type 'custom' and customType set to the key, and their values are
+// validated against this definition.
+const CustomMetricTypeSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  key: {
+    type: String,
+    required: [true, 'Please add a key for the metric type'],
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z][a-z0-9_]{1,39}$/, 'Key must be 2-40 lowercase letters, digits or underscores, starting with a letter']
+  },
+  name: {
+    type: String,
+    required: [true, 'Please add a name for the metric type'],
+    trim: true,
+    maxlength: [100, 'Name cannot be more than 100 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [500, 'Description cannot be more than 500 characters']
+  },
+  unit: {
+    type: String,
+    required: [true, 'Please specify the unit of measurement'],
+    trim: true,
+    maxlength: [20, 'Unit cannot be more than 20 characters']
+  },
+  valueType: {
+    type: String,
+    enum: ['number', 'integer'],
+    default: 'number'
+  },
+  // Plausible bounds in the type's unit; values outside are rejected
+  min: Number,
+  max: Number,
+  // Decimal places kept when storing a value
+  precision: {
+    type: Number,
+    min: [0, 'Precision cannot be negative'],
+    max: [6, 'Precision cannot be more than 6'],
+    default: 2
+  }
+}, {
+  timestamps: true
+});
+
+CustomMetricTypeSchema.index({ user: 1, key: 1 }, { unique: true });
+
+CustomMetricTypeSchema.pre('validate', function(next) {
+  if (this.valueType === 'integer') this.precision = 0;
+
+  if (typeof this.min === 'number' && typeof this.max === 'number' && this.min > this.max) {
+    this.invalidate('max', 'Maximum must not be less than minimum');
+  }
+  next();
+});
+
+module.exports = mongoose.model('CustomMetricType', CustomMetricTypeSchema);
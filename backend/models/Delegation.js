@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+// Resource types that can be shared with a delegate
+const RESOURCES = ['metrics', 'symptoms', 'goals', 'journal'];
+
+// A delegation lets another account (a caregiver or family member) read or
+// manage selected records of the owner. It starts as an emailed invitation
+// and only grants access once the invitee accepts it.
+const DelegationSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Set when the invitation is accepted
+  delegate: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  email: {
+    type: String,
+    required: [true, 'Please add the email of the person to invite'],
+    lowercase: true,
+    trim: true,
+    match: [
+      /^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/,
+      'Please add a valid email'
+    ]
+  },
+  access: {
+    type: String,
+    enum: ['read', 'read_write'],
+    default: 'read'
+  },
+  resources: {
+    type: [{
+      type: String,
+      enum: RESOURCES
+    }],
+    validate: {
+      validator: (resources) => resources.length > 0,
+      message: 'Please add at least one resource type'
+    }
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined', 'revoked'],
+    default: 'pending'
+  },
+  inviteTokenHash: {
+    type: String,
+    select: false
+  },
+  inviteExpiresAt: Date,
+  acceptedAt: Date,
+  revokedAt: Date
+}, {
+  timestamps: true
+});
+
+DelegationSchema.index({ owner: 1, status: 1 });
+DelegationSchema.index({ delegate: 1, owner: 1, status: 1 });
+DelegationSchema.index({ inviteTokenHash: 1 }, { sparse: true });
+
+// Check whether the delegation grants an action on a resource type
+DelegationSchema.methods.allows = function(resource, write) {
+  return this.status === 'accepted' &&
+    this.resources.includes(resource) &&
+    (!write || this.access === 'read_write');
+};
+
+DelegationSchema.statics.RESOURCES = RESOURCES;
+
+module.exports = mongoose.model('Delegation', DelegationSchema);
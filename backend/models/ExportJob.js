@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+const ExportJobSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'completed', 'failed', 'expired'],
+    default: 'pending'
+  },
+  // Number of records written per collection
+  counts: {
+    type: Map,
+    of: Number,
+    default: {}
+  },
+  fileName: String,
+  filePath: {
+    type: String,
+    select: false
+  },
+  fileSize: Number,
+  error: String,
+  startedAt: Date,
+  completedAt: Date,
+  // The archive is deleted after this date
+  expiresAt: Date
+}, {
+  timestamps: true
+});
+
+ExportJobSchema.index({ user: 1, createdAt: -1 });
+ExportJobSchema.index({ status: 1, expiresAt: 1 });
+
+module.exports = mongoose.model('ExportJob', ExportJobSchema);
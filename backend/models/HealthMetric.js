@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const unitService = require('../services/unitService');
+const metricTypes = require('../services/metricTypeService');
 
 const HealthMetricSchema = new mongoose.Schema({
   user: {
@@ -11,6 +13,13 @@ const HealthMetricSchema = new mongoose.Schema({
     required: [true, 'Please specify metric type'],
     enum: ['heart_rate', 'blood_pressure', 'weight', 'glucose', 'temperature', 'oxygen_saturation', 'steps', 'sleep', 'calories', 'water', 'custom']
   },
+  // Key of the user's CustomMetricType when type is 'custom'
+  customType: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  // Shape depends on the type; checked against the metric type registry
   value: {
     type: mongoose.Schema.Types.Mixed,
     required: [true, 'Please add a value for the metric']
@@ -32,10 +41,32 @@ const HealthMetricSchema = new mongoose.Schema({
     enum: ['manual', 'apple_health', 'google_fit', 'fitbit', 'withings', 'other'],
     default: 'manual'
   },
+  // Id of the reading in the app or device it came from, used to recognize
+  // it when the same export is imported or the same batch sent again.
+  // Unique per user and source.
+  externalId: String,
   tags: [String],
   customFields: {
     type: Map,
     of: mongoose.Schema.Types.Mixed
+  },
+  // Result of comparing the value with the user's own recent readings
+  // (see anomalyService); set by the server only
+  anomaly: {
+    flagged: Boolean,
+    // Robust z-score of the value; null when the baseline has no spread
+    score: Number,
+    direction: {
+      type: String,
+      enum: ['high', 'low']
+    },
+    baseline: {
+      median: mongoose.Schema.Types.Mixed,
+      count: Number,
+      days: Number
+    },
+    detectedAt: Date,
+    notifiedAt: Date
   }
 }, {
   timestamps: true
@@ -43,6 +74,86 @@ const HealthMetricSchema = new mongoose.Schema({
 
 // Index for efficient querying
 HealthMetricSchema.index({ user: 1, type: 1, timestamp: -1 });
+HealthMetricSchema.index({ user: 1, customType: 1 }, { sparse: true });
+HealthMetricSchema.index(
+  { user: 1, source: 1, externalId: 1 },
+  { unique: true, partialFilterExpression: { externalId: { $type: 'string' } }, name: 'external_id_by_source' }
+);
+HealthMetricSchema.index(
+  { user: 1, timestamp: -1 },
+  { partialFilterExpression: { 'anomaly.flagged': true }, name: 'anomalies_by_user' }
+);
+HealthMetricSchema.index(
+  { 'anomaly.notifiedAt': 1, timestamp: -1 },
+  { partialFilterExpression: { 'anomaly.flagged': true }, name: 'anomalies_to_notify' }
+);
+
+// Convert the value into the canonical unit of its type. Returns an error
+// message when the unit is not supported.
+HealthMetricSchema.methods.normalizeUnit = function() {
+  if (!this.type || this.value === undefined || !this.unit) return null;
+
+  try {
+    const { value, unit } = unitService.toCanonical(this.type, this.value, this.unit);
+    this.value = value;
+    this.unit = unit;
+    return null;
+  } catch (err) {
+    return err.message;
+  }
+};
+
+// Check the value against the registry definition of its type and round it
+// to the type's precision. Call after normalizeUnit, since built-in bounds
+// are in canonical units. Returns an error message when the value is invalid.
+HealthMetricSchema.methods.validateValue = async function() {
+  if (!this.type || this.value === undefined || this.value === null) return null;
+
+  if (this.type === 'custom' && !this.customType) {
+    return 'Please specify the custom metric type';
+  }
+
+  const definition = await metricTypes.getDefinition(this);
+
+  if (!definition) {
+    return this.type === 'custom' ? `Unknown custom metric type: ${this.customType}` : null;
+  }
+
+  if (this.type === 'custom') {
+    // Custom metrics are always recorded in their type's unit
+    if (!this.unit) this.unit = definition.unit;
+    if (this.unit !== definition.unit) {
+      return `Unit of ${definition.name} must be ${definition.unit}`;
+    }
+  }
+
+  const result = metricTypes.checkValue(definition.name, definition, this.value, this.unit);
+
+  if (result.error) return result.error;
+
+  this.value = result.value;
+  return null;
+};
+
+// Store every value in canonical units and reject values that do not fit
+// their type
+HealthMetricSchema.pre('validate', async function() {
+  if (!this.isNew && !this.isModified('value') && !this.isModified('unit') &&
+      !this.isModified('type') && !this.isModified('customType')) {
+    return;
+  }
+
+  if (this.type !== 'custom') this.customType = undefined;
+
+  const unitError = this.normalizeUnit();
+  if (unitError) {
+    this.invalidate('unit', unitError);
+    return;
+  }
+
+  const valueError = await this.validateValue();
+  if (valueError) this.invalidate('value', valueError);
+});
 
 // Create a virtual for formatted value based on type
 HealthMetricSchema.virtual('formattedValue').get(function() {
@@ -54,34 +165,4 @@ HealthMetricSchema.virtual('formattedValue').get(function() {
   }
 });
 
-// Method to check if value is within normal range
-HealthMetricSchema.methods.isWithinNormalRange = function() {
-  // Define normal ranges for each metric type
-  const normalRanges = {
-    heart_rate: { min: 60, max: 100 }, // bpm
-    blood_pressure: { 
-      systolic: { min: 90, max: 120 },
-      diastolic: { min: 60, max: 80 }
-    },
-    weight: { min: null, max: null }, // Depends on the person
-    glucose: { min: 70, max: 99 }, // mg/dL fasting
-    temperature: { min: 36.1, max: 37.2 }, // Celsius
-    oxygen_saturation: { min: 95, max: 100 } // percent
-  };
-
-  if (!normalRanges[this.type]) return null;
-
-  if (this.type === 'blood_pressure') {
-    const systolicNormal = this.value.systolic >= normalRanges.blood_pressure.systolic.min && 
-                           this.value.systolic <= normalRanges.blood_pressure.systolic.max;
-    const diastolicNormal = this.value.diastolic >= normalRanges.blood_pressure.diastolic.min && 
-                            this.value.diastolic <= normalRanges.blood_pressure.diastolic.max;
-    return systolicNormal && diastolicNormal;
-  } else {
-    const range = normalRanges[this.type];
-    return (range.min === null || this.value >= range.min) && 
-           (range.max === null || this.value <= range.max);
-  }
-};
-
 module.exports = mongoose.model('HealthMetric', HealthMetricSchema);
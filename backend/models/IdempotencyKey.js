@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+const config = require('../config/config');
+
+// Idempotency-Key values sent with write requests, with the response to
+// replay when the request is sent again (see middleware/idempotency)
+const IdempotencyKeySchema = new mongoose.Schema({
+  // User whose records the request writes
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  // Hash of the method, path and body; a key cannot be reused for another request
+  requestHash: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'completed'],
+    default: 'processing'
+  },
+  statusCode: Number,
+  response: mongoose.Schema.Types.Mixed,
+  // Until when a retry waits for the first request instead of taking over
+  lockedUntil: Date,
+  completedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+IdempotencyKeySchema.index({ user: 1, key: 1 }, { unique: true });
+IdempotencyKeySchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: config.idempotency.keyTtlHours * 60 * 60 }
+);
+
+module.exports = mongoose.model('IdempotencyKey', IdempotencyKeySchema);
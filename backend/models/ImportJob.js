@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+const ImportJobSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // App or device the uploaded export comes from
+  source: {
+    type: String,
+    enum: ['apple_health', 'fitbit', 'withings'],
+    required: true
+  },
+  // Settings sent with the upload, for exports whose times have no offset
+  options: {
+    timezone: { type: String, default: 'UTC' },
+    weightUnit: { type: String, enum: ['kg', 'lbs'] }
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'completed', 'failed'],
+    default: 'pending'
+  },
+  fileName: String,
+  // The upload is deleted once the import finishes
+  filePath: {
+    type: String,
+    select: false
+  },
+  fileSize: Number,
+  progress: {
+    bytesProcessed: { type: Number, default: 0 },
+    totalBytes: Number,
+    percent: { type: Number, default: 0 },
+    recordsRead: { type: Number, default: 0 }
+  },
+  // Created, duplicate and invalid counts, as for other imports, with the
+  // metrics created per type
+  report: mongoose.Schema.Types.Mixed,
+  error: String,
+  startedAt: Date,
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+ImportJobSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ImportJob', ImportJobSchema);
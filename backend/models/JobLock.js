@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// Held while a scheduled job runs, so that only one server instance runs
+// it. Locks expire in case the instance holding one stops mid-run.
+const JobLockSchema = new mongoose.Schema({
+  // Job name
+  _id: String,
+  // Instance holding the lock
+  owner: {
+    type: String,
+    required: true
+  },
+  lockedAt: Date,
+  lockedUntil: {
+    type: Date,
+    required: true
+  }
+});
+
+module.exports = mongoose.model('JobLock', JobLockSchema);
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+const config = require('../config/config');
+
+// One run of a scheduled job (see jobService). MongoDB expires runs after
+// the retention period.
+const JobRunSchema = new mongoose.Schema({
+  job: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['running', 'succeeded', 'failed'],
+    default: 'running'
+  },
+  // What started the run: its schedule, an admin, or a retry after failure
+  trigger: {
+    type: String,
+    enum: ['schedule', 'manual', 'retry'],
+    required: true
+  },
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  attempt: {
+    type: Number,
+    default: 1
+  },
+  // Failed run this one retries
+  retryOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JobRun'
+  },
+  // Server instance that ran the job
+  instance: String,
+  // Summary returned by the job, e.g. the number of records handled
+  result: mongoose.Schema.Types.Mixed,
+  error: String,
+  // When a failed run is due to be tried again. Unset when attempts are
+  // used up, once the retry starts, or when a later run supersedes it.
+  nextRetryAt: Date,
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: Date,
+  durationMs: Number
+});
+
+JobRunSchema.index({ job: 1, startedAt: -1 });
+JobRunSchema.index({ job: 1, status: 1, startedAt: -1 });
+JobRunSchema.index({ nextRetryAt: 1 }, { partialFilterExpression: { nextRetryAt: { $exists: true } } });
+JobRunSchema.index(
+  { startedAt: 1 },
+  { expireAfterSeconds: config.jobs.runRetentionDays * 24 * 60 * 60 }
+);
+
+module.exports = mongoose.model('JobRun', JobRunSchema);
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+const config = require('../config/config');
+
+const LoginAttemptSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Email as entered, lowercased, so attempts on unknown accounts are kept too
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  ip: String,
+  userAgent: {
+    type: String,
+    maxlength: 500
+  },
+  success: {
+    type: Boolean,
+    required: true
+  },
+  method: {
+    type: String,
+    enum: ['password', 'two_factor'],
+    default: 'password'
+  },
+  reason: {
+    type: String,
+    enum: ['invalid_credentials', 'invalid_two_factor', 'locked', 'throttled', 'disabled', null]
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+LoginAttemptSchema.index({ user: 1, createdAt: -1 });
+LoginAttemptSchema.index({ ip: 1, success: 1, createdAt: -1 });
+
+// Keep login history for a limited time only
+LoginAttemptSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: config.loginProtection.historyRetentionDays * 24 * 60 * 60 }
+);
+
+module.exports = mongoose.model('LoginAttempt', LoginAttemptSchema);
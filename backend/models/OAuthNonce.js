@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// Nonces from OAuth state values that have already been redeemed. The unique
+// index makes redemption atomic, so a state value cannot be replayed.
+const OAuthNonceSchema = new mongoose.Schema({
+  nonce: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  flow: {
+    type: String,
+    enum: ['signin', 'fit'],
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+OAuthNonceSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('OAuthNonce', OAuthNonceSchema);
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// Bounds of a reference range in the canonical unit of the metric type.
+// Values below low (or above high) are classified low (high); beyond the
+// critical bounds they are critical. Any bound may be left out.
+const BoundsSchema = new mongoose.Schema({
+  criticalLow: Number,
+  low: Number,
+  high: Number,
+  criticalHigh: Number
+}, { _id: false });
+
+// A user's own or clinician-set range for one metric type, replacing the
+// age and gender based default
+const ReferenceRangeSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    required: [true, 'Please specify metric type']
+  },
+  bounds: BoundsSchema,
+  // Blood pressure has separate bounds per component
+  systolic: BoundsSchema,
+  diastolic: BoundsSchema,
+  setBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  setByRole: {
+    type: String,
+    enum: ['user', 'clinician'],
+    default: 'user'
+  },
+  note: {
+    type: String,
+    maxlength: [500, 'Note cannot be more than 500 characters']
+  }
+}, {
+  timestamps: true
+});
+
+ReferenceRangeSchema.index({ user: 1, type: 1 }, { unique: true });
+
+module.exports = mongoose.model('ReferenceRange', ReferenceRangeSchema);
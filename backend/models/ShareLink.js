@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+
+// A share link gives anyone holding its URL (and PIN, if set) read-only
+// access to a summary of the owner's data for a fixed date range.
+const ShareLinkSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  label: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Label can not be more than 100 characters']
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  pinHash: {
+    type: String,
+    select: false
+  },
+  pinProtected: {
+    type: Boolean,
+    default: false
+  },
+  // Data included in the summary
+  metricTypes: [String],
+  includeSymptoms: {
+    type: Boolean,
+    default: false
+  },
+  includeJournal: {
+    type: Boolean,
+    default: false
+  },
+  from: {
+    type: Date,
+    required: [true, 'Please add the start of the date range']
+  },
+  to: {
+    type: Date,
+    required: [true, 'Please add the end of the date range']
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  accessCount: {
+    type: Number,
+    default: 0
+  },
+  lastAccessedAt: Date,
+  failedPinAttempts: {
+    type: Number,
+    default: 0
+  },
+  revokedAt: Date
+}, {
+  timestamps: true
+});
+
+ShareLinkSchema.index({ user: 1, createdAt: -1 });
+
+// Hash the PIN when it is set
+ShareLinkSchema.pre('save', async function(next) {
+  if (!this.isModified('pinHash') || !this.pinHash) {
+    return next();
+  }
+
+  const salt = await bcrypt.genSalt(10);
+  this.pinHash = await bcrypt.hash(this.pinHash, salt);
+  next();
+});
+
+// Check whether the link can still be opened
+ShareLinkSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > Date.now();
+};
+
+// Match the entered PIN to the hashed PIN
+ShareLinkSchema.methods.matchPin = async function(enteredPin) {
+  return !!this.pinHash && await bcrypt.compare(String(enteredPin || ''), this.pinHash);
+};
+
+module.exports = mongoose.model('ShareLink', ShareLinkSchema);
@@ -1,6 +1,8 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const config = require('../config/config');
 
 const UserSchema = new mongoose.Schema({
   firstName: {
@@ -26,10 +28,30 @@ const UserSchema = new mongoose.Schema({
   },
   password: {
     type: String,
-    required: [true, 'Please add a password'],
+    // Accounts created through Google sign-in have no local password
+    required: [function() { return !this.googleId; }, 'Please add a password'],
     minlength: 6,
     select: false
   },
+  role: {
+    type: String,
+    enum: ['user', 'clinician', 'admin'],
+    default: 'user'
+  },
+  disabled: {
+    type: Boolean,
+    default: false
+  },
+  disabledAt: Date,
+  disabledReason: {
+    type: String,
+    maxlength: [500, 'Reason cannot be more than 500 characters']
+  },
+  // Set by an admin to block password logins until the user resets
+  passwordResetRequired: {
+    type: Boolean,
+    default: false
+  },
   profile: {
     dateOfBirth: Date,
     gender: {
@@ -59,6 +81,11 @@ const UserSchema = new mongoose.Schema({
         type: String,
         enum: ['celsius', 'fahrenheit'],
         default: 'celsius'
+      },
+      glucose: {
+        type: String,
+        enum: ['mg/dL', 'mmol/L'],
+        default: 'mg/dL'
       }
     },
     notifications: {
@@ -100,6 +127,13 @@ const UserSchema = new mongoose.Schema({
     refresh_token: String,
     expiry_date: Number
   },
+  // Where the last Google Fit sync ended; the next one continues from here
+  googleFitSync: {
+    cursor: Date,
+    lastSyncedAt: Date,
+    // Timezone daily totals were bucketed in, reused by scheduled syncs
+    timezone: String
+  },
   avatar: {
     type: String
   },
@@ -110,6 +144,54 @@ const UserSchema = new mongoose.Schema({
   },
   resetPasswordToken: String,
   resetPasswordExpire: Date,
+  // Left unset (rather than defaulted) so accounts created before email
+  // verification existed are not locked out; only `false` means unverified
+  emailVerified: Boolean,
+  emailVerifiedAt: Date,
+  emailVerificationToken: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpire: {
+    type: Date,
+    select: false
+  },
+  verificationEmailSentAt: Date,
+  // Set while an account deletion is pending; cleared if cancelled
+  deletionRequestedAt: Date,
+  deletionScheduledFor: Date,
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastFailedLoginAt: Date,
+  lockUntil: Date,
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    enabledAt: Date,
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret generated during setup, promoted to `secret` once confirmed
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // SHA-256 hashes of unused recovery codes
+    recoveryCodes: {
+      type: [String],
+      select: false
+    },
+    // Time step of the last accepted code, to reject replays
+    lastUsedStep: {
+      type: Number,
+      select: false
+    }
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -118,20 +200,23 @@ const UserSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Find accounts due for erasure
+UserSchema.index({ deletionScheduledFor: 1 }, { sparse: true });
+
 // Encrypt password using bcrypt
 UserSchema.pre('save', async function(next) {
   if (!this.isModified('password')) {
-    next();
+    return next();
   }
 
   const salt = await bcrypt.genSalt(10);
   this.password = await bcrypt.hash(this.password, salt);
 });
 
-// Sign JWT and return
-UserSchema.methods.getSignedJwtToken = function() {
-  return jwt.sign({ id: this._id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE
+// Sign a short-lived access token bound to a session
+UserSchema.methods.getSignedJwtToken = function(sessionId) {
+  return jwt.sign({ id: this._id, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: config.jwtExpire
   });
 };
 
@@ -140,4 +225,52 @@ UserSchema.methods.matchPassword = async function(enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
+// Generate and hash password reset token
+UserSchema.methods.getResetPasswordToken = function(expireMinutes = 10) {
+  // Generate token
+  const resetToken = crypto.randomBytes(20).toString('hex');
+
+  // Only the hash is stored so a leaked database row cannot be used to reset
+  this.resetPasswordToken = crypto
+    .createHash('sha256')
+    .update(resetToken)
+    .digest('hex');
+
+  this.resetPasswordExpire = Date.now() + expireMinutes * 60 * 1000;
+
+  return resetToken;
+};
+
+// Generate and hash email verification token
+UserSchema.methods.getEmailVerificationToken = function(expireHours = 24) {
+  const verificationToken = crypto.randomBytes(20).toString('hex');
+
+  this.emailVerificationToken = crypto
+    .createHash('sha256')
+    .update(verificationToken)
+    .digest('hex');
+
+  this.emailVerificationExpire = Date.now() + expireHours * 60 * 60 * 1000;
+  this.verificationEmailSentAt = Date.now();
+
+  return verificationToken;
+};
+
+// Sign a short-lived token proving the password step of a 2FA login passed
+UserSchema.methods.getTwoFactorChallengeToken = function() {
+  return jwt.sign({ id: this._id, purpose: '2fa' }, process.env.JWT_SECRET, {
+    expiresIn: config.twoFactor.challengeExpire
+  });
+};
+
+// Check whether the account is temporarily locked after failed logins
+UserSchema.methods.isLocked = function() {
+  return !!this.lockUntil && this.lockUntil > Date.now();
+};
+
+// Check whether the account still has to confirm its email address
+UserSchema.methods.isEmailUnverified = function() {
+  return this.emailVerified === false;
+};
+
 module.exports = mongoose.model('User', UserSchema);
@@ -0,0 +1,61 @@
+const express = require('express');
+const {
+  getUsers,
+  getUser,
+  disableUser,
+  enableUser,
+  updateUserRole,
+  forcePasswordReset,
+  unlockUser,
+  getAuditEvents,
+  getJobs,
+  getJobRuns,
+  runJob
+} = require('../controllers/adminController');
+
+const router = express.Router();
+
+const { protect, authorize } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+
+// All admin routes require an authenticated admin
+router.use(protect);
+router.use(authorize('admin'));
+
+router.route('/users')
+  .get(getUsers);
+
+// Admin reads and changes of a profile show up in that user's audit log
+const auditProfile = audit('profile', { admin: true, subjectParam: 'id' });
+
+router.route('/users/:id')
+  .get(auditProfile, getUser);
+
+router.route('/users/:id/disable')
+  .put(auditProfile, disableUser);
+
+router.route('/users/:id/enable')
+  .put(auditProfile, enableUser);
+
+router.route('/users/:id/unlock')
+  .put(auditProfile, unlockUser);
+
+router.route('/users/:id/role')
+  .put(auditProfile, updateUserRole);
+
+router.route('/users/:id/forcereset')
+  .post(audit('profile', { admin: true, subjectParam: 'id', action: 'update' }), forcePasswordReset);
+
+router.route('/audit')
+  .get(getAuditEvents);
+
+router.route('/jobs')
+  .get(getJobs);
+
+router.route('/jobs/:name/runs')
+  .get(getJobRuns);
+
+router.route('/jobs/:name/run')
+  .post(runJob);
+
+module.exports = router;
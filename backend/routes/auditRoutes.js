@@ -0,0 +1,13 @@
+const express = require('express');
+const { getMyAuditEvents } = require('../controllers/auditController');
+
+const router = express.Router();
+
+const { protect } = require('../middleware/auth');
+
+router.use(protect);
+
+router.route('/')
+  .get(getMyAuditEvents);
+
+module.exports = router;
@@ -5,17 +5,66 @@ const {
   getMe,
   updateProfile,
   updatePassword,
-  logout
+  logout,
+  logoutAll,
+  refreshToken,
+  getSessions,
+  getLoginHistory,
+  revokeSession,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  loginTwoFactor,
+  deleteAccount,
+  cancelAccountDeletion
 } = require('../controllers/authController');
+const {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+} = require('../controllers/twoFactorController');
+const {
+  getApiTokens,
+  createApiToken,
+  revokeApiToken
+} = require('../controllers/apiTokenController');
 const { protect } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
 
 const router = express.Router();
 
 router.post('/register', register);
 router.post('/login', login);
-router.get('/me', protect, getMe);
-router.put('/updateprofile', protect, updateProfile);
+router.post('/login/2fa', loginTwoFactor);
+router.get('/me', protect, audit('profile'), getMe);
+router.delete('/me', protect, audit('profile'), deleteAccount);
+router.post('/me/canceldeletion', protect, cancelAccountDeletion);
+router.put('/updateprofile', protect, audit('profile'), updateProfile);
 router.put('/updatepassword', protect, updatePassword);
 router.get('/logout', protect, logout);
+router.post('/logoutall', protect, logoutAll);
+router.post('/refresh', refreshToken);
+router.get('/sessions', protect, getSessions);
+router.get('/loginhistory', protect, getLoginHistory);
+router.delete('/sessions/:id', protect, revokeSession);
+router.post('/forgotpassword', forgotPassword);
+router.put('/resetpassword/:token', resetPassword);
+router.post('/verify/resend', protect, resendVerification);
+router.get('/verify/:token', verifyEmail);
+
+// Two-factor authentication
+router.get('/2fa', protect, getTwoFactorStatus);
+router.post('/2fa/setup', protect, setupTwoFactor);
+router.post('/2fa/enable', protect, enableTwoFactor);
+router.post('/2fa/disable', protect, disableTwoFactor);
+router.post('/2fa/recovery-codes', protect, regenerateRecoveryCodes);
+
+// Personal API tokens
+router.get('/tokens', protect, getApiTokens);
+router.post('/tokens', protect, createApiToken);
+router.delete('/tokens/:id', protect, revokeApiToken);
 
 module.exports = router;
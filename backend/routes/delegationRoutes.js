@@ -0,0 +1,36 @@
+const express = require('express');
+const {
+  getDelegations,
+  getReceivedDelegations,
+  createDelegation,
+  updateDelegation,
+  revokeDelegation,
+  acceptInvitation,
+  declineInvitation
+} = require('../controllers/delegationController');
+
+const router = express.Router();
+
+const { protect } = require('../middleware/auth');
+
+// Apply auth middleware to all routes
+router.use(protect);
+
+router.route('/')
+  .get(getDelegations)
+  .post(createDelegation);
+
+router.route('/received')
+  .get(getReceivedDelegations);
+
+router.route('/accept/:token')
+  .post(acceptInvitation);
+
+router.route('/decline/:token')
+  .post(declineInvitation);
+
+router.route('/:id')
+  .put(updateDelegation)
+  .delete(revokeDelegation);
+
+module.exports = router;
@@ -0,0 +1,26 @@
+const express = require('express');
+const {
+  createExport,
+  getExports,
+  getExport,
+  downloadExport
+} = require('../controllers/exportController');
+
+const router = express.Router();
+
+const { protect } = require('../middleware/auth');
+
+// Download links are signed, so they work without an Authorization header
+router.route('/:id/download')
+  .get(downloadExport);
+
+router.use(protect);
+
+router.route('/')
+  .get(getExports)
+  .post(createExport);
+
+router.route('/:id')
+  .get(getExport);
+
+module.exports = router;
@@ -11,24 +11,32 @@ const {
 
 const router = express.Router();
 
-const { protect } = require('../middleware/auth');
+const { protect, requireScope } = require('../middleware/auth');
+const { actAs } = require('../middleware/access');
+const { audit } = require('../middleware/audit');
 
 // Apply auth middleware to all routes
 router.use(protect);
 
+// Record every access, including refused delegate requests
+router.use(audit('goals'));
+
+// Resolve whose goals are accessed (own or delegated)
+router.use(actAs('goals'));
+
 router.route('/')
-  .get(getGoals)
-  .post(createGoal);
+  .get(requireScope('goals:read'), getGoals)
+  .post(requireScope('goals:write'), createGoal);
 
 router.route('/stats')
-  .get(getGoalStats);
+  .get(requireScope('goals:read'), getGoalStats);
 
 router.route('/:id')
-  .get(getGoal)
-  .put(updateGoal)
-  .delete(deleteGoal);
+  .get(requireScope('goals:read'), getGoal)
+  .put(requireScope('goals:write'), updateGoal)
+  .delete(requireScope('goals:write'), deleteGoal);
 
 router.route('/:id/checkin')
-  .post(addCheckIn);
+  .post(requireScope('goals:write'), addCheckIn);
 
 module.exports = router;
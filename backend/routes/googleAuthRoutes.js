@@ -2,9 +2,12 @@ const express = require('express');
 const { 
   googleAuth, 
   googleCallback, 
+  exchangeLoginCode,
   googleFitAuth, 
   googleFitCallback,
-  syncGoogleFitData
+  syncGoogleFitData,
+  unlinkGoogle,
+  disconnectGoogleFit
 } = require('../controllers/googleAuthController');
 const { protect } = require('../middleware/auth');
 
@@ -18,10 +21,13 @@ router.get('/test', (req, res) => {
 // Google OAuth routes (removed extra "/google" prefix)
 router.get('/login', googleAuth);
 router.get('/callback', googleCallback);
+router.post('/exchange', exchangeLoginCode);
+router.delete('/link', protect, unlinkGoogle);
 
 // Google Fit specific routes
 router.get('/fit/auth', protect, googleFitAuth);
 router.get('/fit/callback', googleFitCallback);
 router.post('/fit/sync', protect, syncGoogleFitData);
+router.delete('/fit', protect, disconnectGoogleFit);
 
 module.exports = router;
@@ -0,0 +1,56 @@
+const express = require('express');
+const {
+  importArchive,
+  importMetricsCsv,
+  importAppleHealth,
+  importFitbit,
+  importWithings,
+  getImportJobs,
+  getImportJob
+} = require('../controllers/importController');
+
+const router = express.Router();
+
+const { protect } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const uploadFile = require('../middleware/upload');
+const config = require('../config/config');
+
+router.use(protect);
+
+// Imports create records, so each upload is audited like any other create.
+// Archives can hold every kind of record.
+const auditMetrics = audit('metrics');
+const auditArchive = ['metrics', 'symptoms', 'goals', 'journal'].map(resource => audit(resource));
+
+router.route('/archive')
+  .post(auditArchive, uploadFile({ field: 'archive', extensions: ['.zip'] }), importArchive);
+
+router.route('/metrics/csv')
+  .post(auditMetrics, uploadFile({ field: 'file', extensions: ['.csv', '.txt'] }), importMetricsCsv);
+
+router.route('/apple-health')
+  .post(
+    auditMetrics,
+    uploadFile({ field: 'file', extensions: ['.zip', '.xml'], maxSizeMb: config.exportImports.maxSizeMb }),
+    importAppleHealth
+  );
+
+router.route('/fitbit')
+  .post(
+    auditMetrics,
+    uploadFile({ field: 'file', extensions: ['.zip'], maxSizeMb: config.exportImports.maxSizeMb }),
+    importFitbit
+  );
+
+router.route('/withings')
+  .post(
+    auditMetrics,
+    uploadFile({ field: 'file', extensions: ['.zip', '.csv'], maxSizeMb: config.exportImports.maxSizeMb }),
+    importWithings
+  );
+
+router.route('/jobs').get(getImportJobs);
+router.route('/jobs/:id').get(getImportJob);
+
+module.exports = router;
@@ -11,24 +11,32 @@ const {
 
 const router = express.Router();
 
-const { protect } = require('../middleware/auth');
+const { protect, requireScope } = require('../middleware/auth');
+const { actAs } = require('../middleware/access');
+const { audit } = require('../middleware/audit');
 
 // Apply auth middleware to all routes
 router.use(protect);
 
+// Record every access, including refused delegate requests
+router.use(audit('journal'));
+
+// Resolve whose journal entries are accessed (own or delegated)
+router.use(actAs('journal'));
+
 router.route('/')
-  .get(getJournalEntries)
-  .post(createJournalEntry);
+  .get(requireScope('journal:read'), getJournalEntries)
+  .post(requireScope('journal:write'), createJournalEntry);
 
 router.route('/search')
-  .get(searchJournalEntries);
+  .get(requireScope('journal:read'), searchJournalEntries);
 
 router.route('/insights')
-  .get(getJournalInsights);
+  .get(requireScope('journal:read'), getJournalInsights);
 
 router.route('/:id')
-  .get(getJournalEntry)
-  .put(updateJournalEntry)
-  .delete(deleteJournalEntry);
+  .get(requireScope('journal:read'), getJournalEntry)
+  .put(requireScope('journal:write'), updateJournalEntry)
+  .delete(requireScope('journal:write'), deleteJournalEntry);
 
 module.exports = router;
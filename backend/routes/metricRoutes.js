@@ -7,29 +7,73 @@ const {
   deleteMetric,
   getMetricsByType,
   getMetricsStats,
-  batchCreateMetrics
+  batchCreateMetrics,
+  getMetricSeries,
+  getAnomalies,
+  getReferenceRanges,
+  setReferenceRange,
+  deleteReferenceRange
 } = require('../controllers/metricController');
+const {
+  getMetricTypes,
+  createMetricType,
+  updateMetricType,
+  deleteMetricType
+} = require('../controllers/metricTypeController');
 
 const router = express.Router();
 
-const { protect } = require('../middleware/auth');
+const { protect, requireScope } = require('../middleware/auth');
+const { actAs } = require('../middleware/access');
+const { audit } = require('../middleware/audit');
+const { idempotent } = require('../middleware/idempotency');
+
+// Apply auth middleware to all routes
+router.use(protect);
+
+// Record every access, including refused delegate requests
+router.use(audit('metrics'));
+
+// Resolve whose metrics are accessed (own or delegated)
+router.use(actAs('metrics'));
 
 router.route('/')
-  .get(protect, getMetrics)
-  .post(protect, createMetric);
+  .get(requireScope('metrics:read'), getMetrics)
+  .post(requireScope('metrics:write'), idempotent(), createMetric);
 
 router.route('/batch')
-  .post(protect, batchCreateMetrics);
+  .post(requireScope('metrics:write'), idempotent(), batchCreateMetrics);
 
 router.route('/stats')
-  .get(protect, getMetricsStats);
+  .get(requireScope('metrics:read'), getMetricsStats);
+
+router.route('/types')
+  .get(requireScope('metrics:read'), getMetricTypes)
+  .post(requireScope('metrics:write'), createMetricType);
+
+router.route('/types/:id')
+  .put(requireScope('metrics:write'), updateMetricType)
+  .delete(requireScope('metrics:write'), deleteMetricType);
+
+router.route('/ranges')
+  .get(requireScope('metrics:read'), getReferenceRanges);
+
+router.route('/ranges/:type')
+  .put(requireScope('metrics:write'), setReferenceRange)
+  .delete(requireScope('metrics:write'), deleteReferenceRange);
+
+router.route('/anomalies')
+  .get(requireScope('metrics:read'), getAnomalies);
+
+router.route('/series')
+  .get(requireScope('metrics:read'), getMetricSeries);
 
 router.route('/type/:type')
-  .get(protect, getMetricsByType);
+  .get(requireScope('metrics:read'), getMetricsByType);
 
 router.route('/:id')
-  .get(protect, getMetric)
-  .put(protect, updateMetric)
-  .delete(protect, deleteMetric);
+  .get(requireScope('metrics:read'), getMetric)
+  .put(requireScope('metrics:write'), updateMetric)
+  .delete(requireScope('metrics:write'), deleteMetric);
 
 module.exports = router;
@@ -0,0 +1,26 @@
+const express = require('express');
+const {
+  getShareLinks,
+  createShareLink,
+  revokeShareLink,
+  viewSharedSummary
+} = require('../controllers/shareController');
+
+const router = express.Router();
+
+const { protect } = require('../middleware/auth');
+
+// Share links work without an account; the token is the credential
+router.route('/view/:token')
+  .get(viewSharedSummary);
+
+router.use(protect);
+
+router.route('/')
+  .get(getShareLinks)
+  .post(createShareLink);
+
+router.route('/:id')
+  .delete(revokeShareLink);
+
+module.exports = router;
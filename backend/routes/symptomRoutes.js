@@ -12,26 +12,34 @@ const {
 
 const router = express.Router();
 
-const { protect } = require('../middleware/auth');
+const { protect, requireScope } = require('../middleware/auth');
+const { actAs } = require('../middleware/access');
+const { audit } = require('../middleware/audit');
 
 router.use(protect);
 
+// Record every access, including refused delegate requests
+router.use(audit('symptoms'));
+
+// Resolve whose symptoms are accessed (own or delegated)
+router.use(actAs('symptoms'));
+
 router.route('/')
-  .get(getSymptoms)
-  .post(createSymptom);
+  .get(requireScope('symptoms:read'), getSymptoms)
+  .post(requireScope('symptoms:write'), createSymptom);
 
 router.route('/bodypart/:bodyPart')
-  .get(getSymptomsByBodyPart);
+  .get(requireScope('symptoms:read'), getSymptomsByBodyPart);
 
 router.route('/frequency')
-  .get(getSymptomFrequency);
+  .get(requireScope('symptoms:read'), getSymptomFrequency);
 
 router.route('/correlations')
-  .get(getSymptomCorrelations);
+  .get(requireScope('symptoms:read'), getSymptomCorrelations);
 
 router.route('/:id')
-  .get(getSymptom)
-  .put(updateSymptom)
-  .delete(deleteSymptom);
+  .get(requireScope('symptoms:read'), getSymptom)
+  .put(requireScope('symptoms:write'), updateSymptom)
+  .delete(requireScope('symptoms:write'), deleteSymptom);
 
 module.exports = router;
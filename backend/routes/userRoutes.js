@@ -1,12 +1,13 @@
 const express = require('express');
 const { protect } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
 const router = express.Router();
 
 // Import the user controller functions
 const { getMe } = require('../controllers/authController');
 
 // Profile endpoint redirect (for backward compatibility)
-router.get('/profile', protect, getMe);
+router.get('/profile', protect, audit('profile'), getMe);
 
 // Connected services endpoint
 router.get('/connected-services', protect, (req, res) => {
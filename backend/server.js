@@ -38,7 +38,7 @@ try {
 }
 
 // Try to import routes with fallbacks
-let auth, users, metrics, symptoms, goals, journal, googleAuth;
+let auth, users, metrics, symptoms, goals, journal, googleAuth, admin, dataExport, dataImport, delegations, shares, auditLog;
 try { 
   auth = require('./routes/authRoutes'); 
   console.log('Auth routes loaded successfully'); 
@@ -50,6 +50,12 @@ try { metrics = require('./routes/metricRoutes'); } catch (err) { console.warn('
 try { symptoms = require('./routes/symptomRoutes'); } catch (err) { console.warn('Symptoms routes not found'); }
 try { goals = require('./routes/goalRoutes'); } catch (err) { console.warn('Goals routes not found'); }
 try { journal = require('./routes/journalRoutes'); } catch (err) { console.warn('Journal routes not found'); }
+try { admin = require('./routes/adminRoutes'); } catch (err) { console.warn('Admin routes not found'); }
+try { dataExport = require('./routes/exportRoutes'); } catch (err) { console.warn('Export routes not found'); }
+try { dataImport = require('./routes/importRoutes'); } catch (err) { console.warn('Import routes not found'); }
+try { delegations = require('./routes/delegationRoutes'); } catch (err) { console.warn('Delegation routes not found'); }
+try { shares = require('./routes/shareRoutes'); } catch (err) { console.warn('Share routes not found'); }
+try { auditLog = require('./routes/auditRoutes'); } catch (err) { console.warn('Audit routes not found'); }
 try { 
   googleAuth = require('./routes/googleAuthRoutes'); 
   console.log('Google Auth routes loaded successfully'); 
@@ -76,7 +82,7 @@ app.use((req, res, next) => {
   // Allow requests from any origin in development mode
   res.header('Access-Control-Allow-Origin', req.headers.origin || '*');
   res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, PATCH, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
+  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, X-Act-As, X-Share-Pin, Idempotency-Key');
   res.header('Access-Control-Allow-Credentials', 'true');
   
   // Handle preflight OPTIONS requests
@@ -94,7 +100,7 @@ const corsOptions = {
   credentials: true,
   preflightContinue: false,
   optionsSuccessStatus: 204,
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Act-As', 'X-Share-Pin', 'Idempotency-Key']
 };
 app.use(cors(corsOptions));
 
@@ -112,7 +118,7 @@ if (config.env === 'development') {
   app.use((req, res, next) => {
     res.header('Access-Control-Allow-Origin', req.headers.origin || '*');
     res.header('Access-Control-Allow-Methods', 'GET,POST,PUT,DELETE,OPTIONS');
-    res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, Content-Length, X-Requested-With');
+    res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, Content-Length, X-Requested-With, X-Act-As, X-Share-Pin, Idempotency-Key');
     next();
   });
 }
@@ -152,6 +158,12 @@ if (metrics) app.use('/api/metrics', metrics);
 if (symptoms) app.use('/api/symptoms', symptoms);
 if (goals) app.use('/api/goals', goals);
 if (journal) app.use('/api/journal', journal);
+if (admin) app.use('/api/admin', admin);
+if (dataExport) app.use('/api/export', dataExport);
+if (dataImport) app.use('/api/import', dataImport);
+if (delegations) app.use('/api/delegations', delegations);
+if (shares) app.use('/api/shares', shares);
+if (auditLog) app.use('/api/audit', auditLog);
 
 // Fallback route for /api/users/profile (for backwards compatibility)
 app.get('/api/users/profile', (req, res) => {
@@ -220,6 +232,15 @@ const server = app.listen(
   console.log(`Server running in ${config.env || 'development'} mode on port ${PORT}`)
 );
 
+// Scheduled jobs: retention purges, Google Fit syncs and notifications
+if (config.jobs && config.jobs.enabled) {
+  try {
+    require('./services/jobService').scheduleJobs();
+  } catch (err) {
+    console.warn('Scheduled jobs not started', err.message);
+  }
+}
+
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (err, promise) => {
   console.log(`Error: ${err.message}`);
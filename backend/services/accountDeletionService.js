@@ -0,0 +1,92 @@
+const User = require('../models/User');
+const HealthMetric = require('../models/HealthMetric');
+const Symptom = require('../models/Symptom');
+const HealthGoal = require('../models/HealthGoal');
+const JournalEntry = require('../models/JournalEntry');
+const Session = require('../models/Session');
+const LoginAttempt = require('../models/LoginAttempt');
+const OAuthNonce = require('../models/OAuthNonce');
+const ApiToken = require('../models/ApiToken');
+const Delegation = require('../models/Delegation');
+const ShareLink = require('../models/ShareLink');
+const ReferenceRange = require('../models/ReferenceRange');
+const CustomMetricType = require('../models/CustomMetricType');
+const ImportJob = require('../models/ImportJob');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const exportService = require('./exportService');
+const googleOAuth = require('./googleOAuthService');
+
+// Every collection holding documents owned by a user, keyed by the field
+// that references the owner. New user-owned models must be added here.
+const OWNED_COLLECTIONS = [
+  { name: 'healthMetrics', model: HealthMetric, field: 'user' },
+  { name: 'symptoms', model: Symptom, field: 'user' },
+  { name: 'goals', model: HealthGoal, field: 'user' },
+  { name: 'journalEntries', model: JournalEntry, field: 'user' },
+  { name: 'sessions', model: Session, field: 'user' },
+  { name: 'loginAttempts', model: LoginAttempt, field: 'user' },
+  { name: 'oauthNonces', model: OAuthNonce, field: 'user' },
+  { name: 'apiTokens', model: ApiToken, field: 'user' },
+  { name: 'delegationsGranted', model: Delegation, field: 'owner' },
+  { name: 'delegationsReceived', model: Delegation, field: 'delegate' },
+  { name: 'shareLinks', model: ShareLink, field: 'user' },
+  { name: 'referenceRanges', model: ReferenceRange, field: 'user' },
+  { name: 'customMetricTypes', model: CustomMetricType, field: 'user' },
+  { name: 'importJobs', model: ImportJob, field: 'user' },
+  { name: 'idempotencyKeys', model: IdempotencyKey, field: 'user' }
+];
+
+/**
+ * Permanently erases a user and every document they own
+ * @param {String} userId - User id
+ * @returns {Promise<Object>} Number of deleted documents per collection
+ */
+exports.eraseUser = async (userId) => {
+  const user = await User.findById(userId).select('+googleTokens');
+
+  if (!user) return null;
+
+  // Revoke third-party grants before the tokens are gone
+  const fitTokens = user.googleFitTokens || {};
+  const signInTokens = user.googleTokens || {};
+  await googleOAuth.revokeToken(fitTokens.refresh_token || fitTokens.access_token);
+  await googleOAuth.revokeToken(signInTokens.refresh_token || signInTokens.access_token);
+
+  const summary = {};
+
+  // Export archives live on disk as well as in the database
+  summary.exports = await exportService.deleteUserExports(user._id);
+
+  for (const { name, model, field } of OWNED_COLLECTIONS) {
+    const result = await model.deleteMany({ [field]: user._id });
+    summary[name] = result.deletedCount;
+  }
+
+  await User.deleteOne({ _id: user._id });
+  summary.user = 1;
+
+  return summary;
+};
+
+/**
+ * Erases every account whose deletion grace period has ended
+ * @returns {Promise<Number>} Number of accounts erased
+ */
+exports.purgeDueAccounts = async () => {
+  const dueUsers = await User.find({
+    deletionScheduledFor: { $lte: new Date() }
+  }).select('_id');
+
+  let erased = 0;
+
+  for (const { _id } of dueUsers) {
+    try {
+      await exports.eraseUser(_id);
+      erased++;
+    } catch (error) {
+      console.error(`Error erasing account ${_id}:`, error.message);
+    }
+  }
+
+  return erased;
+};
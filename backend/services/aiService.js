@@ -313,7 +313,7 @@ const generateMetricRecommendations = (metrics, concerns, userProfile) => {
   
   if (concerns.includes('Your sleep duration varies significantly from day to day, which can impact sleep quality.')) {
     recommendations.push('Establish a consistent sleep schedule, even on weekends.');
-    recommendations.push('Create a relaxing bedtime routine to signal your body it's time to sleep.');
+    recommendations.push('Create a relaxing bedtime routine to signal your body it\'s time to sleep.');
   }
   
   if (concerns.includes('Several days show lower-than-recommended physical activity levels.')) {
@@ -0,0 +1,222 @@
+// Flags readings that are unusual for the user, compared with their own
+// readings of the same type over the preceding days. Uses the robust z-score
+// (distance from the median in units of median absolute deviation), which a
+// few earlier outliers in the baseline do not distort.
+const HealthMetric = require('../models/HealthMetric');
+const config = require('../config/config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Scales MAD to the standard deviation of normally distributed data
+const MAD_SCALE = 1.4826;
+// Scales the mean absolute deviation likewise, used when MAD is zero
+const MEAN_AD_SCALE = 1.2533;
+
+const BP_COMPONENTS = ['systolic', 'diastolic'];
+
+const median = (sorted) => {
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// Robust z-score of value against baseline values
+const robustScore = (value, values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const center = median(sorted);
+  const deviations = sorted.map(v => Math.abs(v - center)).sort((a, b) => a - b);
+
+  let scale = median(deviations) * MAD_SCALE;
+  if (scale === 0) {
+    scale = (deviations.reduce((sum, d) => sum + d, 0) / deviations.length) * MEAN_AD_SCALE;
+  }
+
+  // Every baseline reading was the same: any change is unusual
+  if (scale === 0) {
+    return { center, score: value === center ? 0 : null, flagged: value !== center };
+  }
+
+  const score = (value - center) / scale;
+  return { center, score, flagged: Math.abs(score) >= config.anomalies.zThreshold };
+};
+
+// Index of the first reading at or after time in readings sorted by time
+const lowerBound = (readings, time) => {
+  let low = 0;
+  let high = readings.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (readings[mid].time < time) low = mid + 1;
+    else high = mid;
+  }
+  return low;
+};
+
+// Compare a value with its baseline readings; blood pressure is flagged on
+// whichever component is most unusual
+const scoreValue = (value, baseline) => {
+  if (value !== null && typeof value === 'object') {
+    let worst = null;
+    const center = {};
+
+    for (const component of BP_COMPONENTS) {
+      const values = baseline.map(reading => reading.value && reading.value[component])
+        .filter(v => typeof v === 'number');
+      if (typeof value[component] !== 'number' || values.length === 0) return null;
+
+      const result = robustScore(value[component], values);
+      center[component] = result.center;
+
+      const magnitude = result.score === null ? Infinity : Math.abs(result.score);
+      if (!worst || magnitude > worst.magnitude) {
+        worst = { ...result, magnitude, difference: value[component] - result.center };
+      }
+    }
+
+    return { ...worst, center };
+  }
+
+  const values = baseline.map(reading => reading.value).filter(v => typeof v === 'number');
+  if (typeof value !== 'number' || values.length === 0) return null;
+
+  const result = robustScore(value, values);
+  return { ...result, difference: value - result.center };
+};
+
+/**
+ * Compares metrics with the user's readings of the same type over the
+ * preceding baseline period, stores the result on each metric and sets it
+ * on the given objects
+ * @param {Object[]} metrics - Saved HealthMetric documents or plain objects
+ * @returns {Promise<Number>} Number of metrics flagged
+ */
+exports.evaluateMetrics = async (metrics) => {
+  const { types, baselineDays, minBaselineCount } = config.anomalies;
+  const windowMs = baselineDays * DAY_MS;
+
+  // Load each user's and type's history once for all of its metrics
+  const groups = new Map();
+  for (const metric of metrics) {
+    if (!types.includes(metric.type) || !metric.timestamp) continue;
+
+    const key = `${metric.user}|${metric.type}|${metric.customType || ''}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(metric);
+  }
+
+  const updates = [];
+  let flagged = 0;
+
+  for (const group of groups.values()) {
+    const { user, type, customType } = group[0];
+    const times = group.map(metric => new Date(metric.timestamp).getTime());
+
+    const query = {
+      user,
+      type,
+      timestamp: {
+        $gte: new Date(Math.min(...times) - windowMs),
+        $lt: new Date(Math.max(...times))
+      }
+    };
+    if (customType) query.customType = customType;
+
+    const history = (await HealthMetric.find(query).select('value timestamp').sort('timestamp').lean())
+      .map(reading => ({ value: reading.value, time: reading.timestamp.getTime() }));
+
+    group.forEach((metric, i) => {
+      const baseline = history.slice(lowerBound(history, times[i] - windowMs), lowerBound(history, times[i]));
+
+      const anomaly = {
+        flagged: false,
+        score: null,
+        baseline: { count: baseline.length, days: baselineDays },
+        detectedAt: new Date()
+      };
+
+      const result = baseline.length >= minBaselineCount ? scoreValue(metric.value, baseline) : null;
+
+      if (result) {
+        anomaly.flagged = result.flagged;
+        anomaly.score = result.score === null ? null : Math.round(result.score * 100) / 100;
+        anomaly.baseline.median = result.center;
+        if (result.flagged) {
+          anomaly.direction = result.difference > 0 ? 'high' : 'low';
+          flagged++;
+        }
+      }
+
+      metric.anomaly = anomaly;
+      updates.push({
+        updateOne: { filter: { _id: metric._id }, update: { $set: { anomaly } } }
+      });
+    });
+  }
+
+  if (updates.length > 0) {
+    await HealthMetric.bulkWrite(updates, { ordered: false });
+  }
+
+  return flagged;
+};
+
+/**
+ * Lists a user's flagged metrics, newest first
+ * @param {String} userId - Owner of the metrics
+ * @param {Object} [options]
+ * @param {String} [options.type] - Only this metric type
+ * @param {Date} [options.from] - Start of the range
+ * @param {Date} [options.to] - End of the range
+ * @param {Number} [options.page]
+ * @param {Number} [options.limit]
+ * @returns {Promise<Object>} { metrics, total }
+ */
+exports.queryAnomalies = async (userId, { type, from, to, page = 1, limit = 25 } = {}) => {
+  const query = { user: userId, 'anomaly.flagged': true };
+
+  if (type) query.type = type;
+  if (from || to) {
+    query.timestamp = {};
+    if (from) query.timestamp.$gte = from;
+    if (to) query.timestamp.$lte = to;
+  }
+
+  const [metrics, total] = await Promise.all([
+    HealthMetric.find(query).sort('-timestamp').skip((page - 1) * limit).limit(limit),
+    HealthMetric.countDocuments(query)
+  ]);
+
+  return { metrics, total };
+};
+
+/**
+ * Returns recent flagged metrics nobody has been notified about yet, for
+ * the notification system. Call markNotified once they are sent.
+ * @param {Object} [options]
+ * @param {Number} [options.limit] - Maximum number of metrics
+ * @returns {Promise<Object[]>} Metrics with their user populated
+ */
+exports.getPendingNotifications = async ({ limit = 100 } = {}) => {
+  const since = new Date(Date.now() - config.anomalies.notifyWithinHours * 60 * 60 * 1000);
+
+  return HealthMetric.find({
+    'anomaly.flagged': true,
+    'anomaly.notifiedAt': null,
+    timestamp: { $gte: since }
+  })
+    .sort('timestamp')
+    .limit(limit)
+    .populate('user', 'firstName lastName email preferences disabled');
+};
+
+/**
+ * Records that notifications for flagged metrics were sent
+ * @param {String[]} metricIds - Metric ids
+ * @returns {Promise<Number>} Number of metrics updated
+ */
+exports.markNotified = async (metricIds) => {
+  const result = await HealthMetric.updateMany(
+    { _id: { $in: metricIds }, 'anomaly.flagged': true },
+    { $set: { 'anomaly.notifiedAt': new Date() } }
+  );
+  return result.modifiedCount;
+};
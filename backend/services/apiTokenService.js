@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+const ApiToken = require('../models/ApiToken');
+const ErrorResponse = require('../utils/errorResponse');
+const config = require('../config/config');
+
+// Distinguishes API tokens from JWTs in the Authorization header
+const TOKEN_PREFIX = 'hpat_';
+
+exports.TOKEN_PREFIX = TOKEN_PREFIX;
+
+const hashToken = (token) =>
+  crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Checks whether a bearer credential is an API token rather than a JWT
+ * @param {String} token - Bearer credential
+ * @returns {Boolean}
+ */
+exports.isApiToken = (token) =>
+  typeof token === 'string' && token.startsWith(TOKEN_PREFIX);
+
+/**
+ * Creates an API token for a user. The plain token is only returned here.
+ * @param {String} userId - Owner of the token
+ * @param {Object} options
+ * @param {String} options.name - Label shown in the token list
+ * @param {String[]} options.scopes - Granted scopes
+ * @param {Number} [options.expiresInDays] - Lifetime; tokens without one never expire
+ * @returns {Promise<Object>} Plain token and the stored document
+ */
+exports.createToken = async (userId, { name, scopes, expiresInDays }) => {
+  const active = await ApiToken.countDocuments({
+    user: userId,
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+  });
+
+  if (active >= config.apiTokens.maxPerUser) {
+    throw new ErrorResponse(
+      `You can have at most ${config.apiTokens.maxPerUser} active API tokens`,
+      400
+    );
+  }
+
+  const invalid = (scopes || []).filter(scope => !ApiToken.SCOPES.includes(scope));
+  if (invalid.length > 0) {
+    throw new ErrorResponse(`Unknown scopes: ${invalid.join(', ')}`, 400);
+  }
+
+  let expiresAt;
+  if (expiresInDays !== undefined && expiresInDays !== null) {
+    const days = Number(expiresInDays);
+    if (!Number.isInteger(days) || days < 1) {
+      throw new ErrorResponse('expiresInDays must be a positive whole number', 400);
+    }
+    expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+  }
+
+  const token = TOKEN_PREFIX + crypto.randomBytes(32).toString('hex');
+
+  const apiToken = await ApiToken.create({
+    user: userId,
+    name,
+    scopes: [...new Set(scopes || [])],
+    prefix: token.slice(0, TOKEN_PREFIX.length + 6),
+    tokenHash: hashToken(token),
+    expiresAt
+  });
+
+  return { token, apiToken };
+};
+
+/**
+ * Looks up an active API token and records its use
+ * @param {String} token - Plain token from the Authorization header
+ * @param {Object} req - Express request
+ * @returns {Promise<Object|null>} Token document, or null when invalid
+ */
+exports.authenticate = async (token, req) => {
+  const apiToken = await ApiToken.findOne({ tokenHash: hashToken(token) });
+
+  if (!apiToken || !apiToken.isActive()) return null;
+
+  // Scripts may call many times a minute; only refresh usage occasionally
+  const staleAfter = config.apiTokens.lastUsedUpdateSeconds * 1000;
+  if (!apiToken.lastUsedAt || Date.now() - apiToken.lastUsedAt > staleAfter) {
+    await ApiToken.updateOne(
+      { _id: apiToken._id },
+      { lastUsedAt: new Date(), lastUsedIp: req.ip }
+    );
+  }
+
+  return apiToken;
+};
+
+/**
+ * Revokes one of a user's API tokens
+ * @param {String} tokenId - ApiToken id
+ * @param {String} userId - Owner of the token
+ * @returns {Promise<Boolean>} Whether a token was revoked
+ */
+exports.revokeToken = async (tokenId, userId) => {
+  const result = await ApiToken.updateOne(
+    { _id: tokenId, user: userId, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Revokes every active API token of a user, e.g. when their password
+ * changes or an admin disables the account
+ * @param {String} userId - User id
+ * @returns {Promise<Number>} Number of tokens revoked
+ */
+exports.revokeAllTokens = async (userId) => {
+  const result = await ApiToken.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+
+  return result.modifiedCount;
+};
@@ -0,0 +1,264 @@
+// Reading of Apple Health exports. The Health app exports a zip holding
+// export.xml, which can be hundreds of megabytes, so it is parsed as a
+// stream and handed out in batches.
+const fs = require('fs');
+const crypto = require('crypto');
+const { StringDecoder } = require('string_decoder');
+const sax = require('sax');
+const ErrorResponse = require('../utils/errorResponse');
+const { openZip, openEntry } = require('../utils/zip');
+const dates = require('../utils/dates');
+
+const BATCH_SIZE = 500;
+// Batches are also handed out after this much input, so progress moves
+// through stretches of records we do not import
+const PROGRESS_BYTES = 8 * 1024 * 1024;
+
+const EXPORT_ENTRY = /(^|\/)export\.xml$/;
+
+// HealthKit quantity types we import, with the unit to store values in
+const QUANTITY_TYPES = {
+  HKQuantityTypeIdentifierHeartRate: { type: 'heart_rate', unit: () => 'bpm' },
+  // kg, lb and g are all understood by the unit service
+  HKQuantityTypeIdentifierBodyMass: { type: 'weight', unit: (unit) => unit },
+  // Apple writes mmol/L with the molar mass, e.g. mmol<180.1558800000541>/L
+  HKQuantityTypeIdentifierBloodGlucose: {
+    type: 'glucose',
+    unit: (unit) => (unit.startsWith('mmol') ? 'mmol/L' : 'mg/dL')
+  },
+  // Saturation is exported as a fraction even though the unit says %
+  HKQuantityTypeIdentifierOxygenSaturation: {
+    type: 'oxygen_saturation',
+    unit: () => '%',
+    value: (value) => (value <= 1 ? Math.round(value * 1000) / 10 : value)
+  },
+  HKQuantityTypeIdentifierStepCount: { type: 'steps', unit: () => 'steps' }
+};
+
+const BLOOD_PRESSURE = 'HKCorrelationTypeIdentifierBloodPressure';
+const BP_COMPONENTS = {
+  HKQuantityTypeIdentifierBloodPressureSystolic: 'systolic',
+  HKQuantityTypeIdentifierBloodPressureDiastolic: 'diastolic'
+};
+
+const SLEEP_ANALYSIS = 'HKCategoryTypeIdentifierSleepAnalysis';
+// Asleep, AsleepUnspecified, AsleepCore, AsleepDeep and AsleepREM; InBed and
+// Awake do not count towards sleep
+const ASLEEP_PREFIX = 'HKCategoryValueSleepAnalysisAsleep';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Apple records carry no id, so identify them by what they contain
+const externalId = (...parts) => crypto.createHash('sha1').update(parts.join('|')).digest('hex');
+
+// Open export.xml, inside the export zip or uploaded on its own
+const openExport = async (filePath, fileName) => {
+  if (!fileName.toLowerCase().endsWith('.zip')) {
+    const { size } = await fs.promises.stat(filePath);
+    return { stream: fs.createReadStream(filePath), size, close: () => {} };
+  }
+
+  const zipfile = await openZip(filePath);
+  try {
+    const entry = await openEntry(
+      zipfile,
+      name => EXPORT_ENTRY.test(name),
+      'The archive does not contain an Apple Health export.xml'
+    );
+    return { ...entry, close: () => zipfile.close() };
+  } catch (err) {
+    zipfile.close();
+    throw err;
+  }
+};
+
+// Sleep records of one night merged into the total time asleep, so that
+// overlapping records from several devices are counted once
+const summarizeNight = (night, intervals) => {
+  intervals.sort((a, b) => a.start - b.start);
+
+  let asleep = 0;
+  let current = null;
+  for (const interval of intervals) {
+    if (current && interval.start <= current.end) {
+      current.end = Math.max(current.end, interval.end);
+      continue;
+    }
+    if (current) asleep += current.end - current.start;
+    current = { ...interval };
+  }
+  asleep += current.end - current.start;
+
+  return {
+    row: intervals[0].row,
+    data: {
+      type: 'sleep',
+      value: Math.round((asleep / HOUR_MS) * 100) / 100,
+      unit: 'hours',
+      timestamp: new Date(intervals[0].start),
+      externalId: externalId(SLEEP_ANALYSIS, night)
+    }
+  };
+};
+
+/**
+ * Reads the metrics we support from an Apple Health export. Records are
+ * parsed as the file streams in, and reading pauses while the caller
+ * handles each batch.
+ * @param {String} filePath - Path to the uploaded export
+ * @param {String} fileName - Name it was uploaded as; .zip or .xml
+ * @yields {Object} { items, bytesProcessed, totalBytes, recordsRead }, with
+ *   items of { row, data } or { row, error } where row is the XML line
+ * @throws {ErrorResponse} When the upload is not a readable export
+ */
+exports.readExport = async function* (filePath, fileName) {
+  const { stream, size, close } = await openExport(filePath, fileName);
+
+  const parser = sax.parser(true);
+  const decoder = new StringDecoder('utf8');
+
+  let pending = [];
+  let correlation = null;
+  let recordsRead = 0;
+  let sawHealthData = false;
+  // Sleep intervals per night, keyed by the local date the sleep ended
+  const nights = new Map();
+
+  const readDate = (text, field) => {
+    const date = dates.parseDate(text, 'iso');
+    if (!date) throw new Error(`${field} is not a valid date`);
+    return date;
+  };
+
+  const readRecord = (attributes, row) => {
+    const { type, sourceName, unit, value, startDate, endDate } = attributes;
+
+    if (correlation) {
+      const component = BP_COMPONENTS[type];
+      if (component) correlation.value[component] = Number(value);
+      return;
+    }
+
+    if (type === SLEEP_ANALYSIS) {
+      if (!String(value).startsWith(ASLEEP_PREFIX)) return;
+
+      const start = readDate(startDate, 'startDate').getTime();
+      const end = readDate(endDate, 'endDate').getTime();
+      const night = String(endDate).slice(0, 10);
+
+      if (!nights.has(night)) nights.set(night, []);
+      nights.get(night).push({ start, end: Math.max(start, end), row });
+      return;
+    }
+
+    const mapping = QUANTITY_TYPES[type];
+    if (!mapping) return;
+
+    const number = Number(value);
+    pending.push({
+      row,
+      data: {
+        type: mapping.type,
+        value: mapping.value ? mapping.value(number) : number,
+        unit: mapping.unit(unit || ''),
+        timestamp: readDate(startDate, 'startDate'),
+        externalId: externalId(type, sourceName, startDate, endDate, value)
+      }
+    });
+  };
+
+  parser.onopentag = ({ name, attributes }) => {
+    const row = parser.line + 1;
+
+    if (name === 'HealthData') {
+      sawHealthData = true;
+      return;
+    }
+
+    if (name === 'Correlation' && attributes.type === BLOOD_PRESSURE) {
+      recordsRead++;
+      correlation = { row, attributes, value: {} };
+      return;
+    }
+
+    if (name !== 'Record') return;
+
+    // Records inside a correlation are its components, not readings
+    if (!correlation) recordsRead++;
+
+    try {
+      readRecord(attributes, row);
+    } catch (err) {
+      pending.push({ row, error: err.message });
+    }
+  };
+
+  parser.onclosetag = (name) => {
+    if (name !== 'Correlation' || !correlation) return;
+
+    const { row, attributes, value } = correlation;
+    correlation = null;
+
+    try {
+      pending.push({
+        row,
+        data: {
+          type: 'blood_pressure',
+          value,
+          unit: 'mmHg',
+          timestamp: readDate(attributes.startDate, 'startDate'),
+          externalId: externalId(
+            BLOOD_PRESSURE, attributes.sourceName, attributes.startDate,
+            attributes.endDate, value.systolic, value.diastolic
+          )
+        }
+      });
+    } catch (err) {
+      pending.push({ row, error: err.message });
+    }
+  };
+
+  parser.onerror = (err) => {
+    throw new ErrorResponse(`export.xml could not be read: ${err.message.split('\n')[0]}`, 400);
+  };
+
+  let bytesProcessed = 0;
+  let reportedBytes = 0;
+
+  const progress = (items) => ({ items, bytesProcessed, totalBytes: size, recordsRead });
+
+  try {
+    for await (const chunk of stream) {
+      bytesProcessed += chunk.length;
+      parser.write(decoder.write(chunk));
+
+      while (pending.length >= BATCH_SIZE) {
+        reportedBytes = bytesProcessed;
+        yield progress(pending.splice(0, BATCH_SIZE));
+      }
+
+      if (bytesProcessed - reportedBytes >= PROGRESS_BYTES) {
+        reportedBytes = bytesProcessed;
+        yield progress(pending);
+        pending = [];
+      }
+    }
+
+    parser.write(decoder.end()).close();
+  } finally {
+    stream.destroy();
+    close();
+  }
+
+  if (!sawHealthData) {
+    throw new ErrorResponse('The file is not an Apple Health export', 400);
+  }
+
+  for (const [night, intervals] of nights) {
+    pending.push(summarizeNight(night, intervals));
+  }
+
+  while (pending.length > 0) {
+    yield progress(pending.splice(0, BATCH_SIZE));
+  }
+};
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+const AuditEvent = require('../models/AuditEvent');
+
+// HTTP methods mapped to audited actions
+const METHOD_ACTIONS = {
+  GET: 'read',
+  HEAD: 'read',
+  POST: 'create',
+  PUT: 'update',
+  PATCH: 'update',
+  DELETE: 'delete'
+};
+
+exports.METHOD_ACTIONS = METHOD_ACTIONS;
+
+/**
+ * Writes an audit event. Failures are logged and never fail the request
+ * that caused the event.
+ * @param {Object} event - AuditEvent fields
+ * @returns {Promise<Object|null>} Stored event
+ */
+exports.record = async (event) => {
+  try {
+    return await AuditEvent.create(event);
+  } catch (error) {
+    console.error('Error writing audit event:', error.message);
+    return null;
+  }
+};
+
+/**
+ * Builds an AuditEvent query from request query parameters
+ * @param {Object} params - Query parameters
+ * @param {String[]} allowed - Parameters the caller may filter on
+ * @returns {Object} MongoDB filter
+ */
+exports.buildFilter = (params, allowed) => {
+  const filter = {};
+
+  for (const field of ['actor', 'subject']) {
+    if (allowed.includes(field) && params[field] && mongoose.isValidObjectId(params[field])) {
+      filter[field] = params[field];
+    }
+  }
+
+  for (const field of ['resource', 'action', 'actorType', 'ip', 'resourceId']) {
+    if (allowed.includes(field) && typeof params[field] === 'string') {
+      filter[field] = params[field];
+    }
+  }
+
+  if (allowed.includes('statusCode') && params.statusCode) {
+    filter.statusCode = parseInt(params.statusCode, 10);
+  }
+
+  if (params.from || params.to) {
+    filter.createdAt = {};
+    if (params.from) filter.createdAt.$gte = new Date(params.from);
+    if (params.to) filter.createdAt.$lte = new Date(params.to);
+  }
+
+  return filter;
+};
+
+/**
+ * Returns one page of audit events, newest first
+ * @param {Object} filter - MongoDB filter
+ * @param {Object} params - Request query with page and limit
+ * @returns {Promise<Object>} Events, total and pagination
+ */
+exports.queryEvents = async (filter, params) => {
+  const page = parseInt(params.page, 10) || 1;
+  const limit = Math.min(parseInt(params.limit, 10) || 50, 200);
+  const startIndex = (page - 1) * limit;
+  const endIndex = page * limit;
+  const total = await AuditEvent.countDocuments(filter);
+
+  const events = await AuditEvent.find(filter)
+    .sort('-createdAt')
+    .skip(startIndex)
+    .limit(limit)
+    .populate('actor', 'firstName lastName email');
+
+  // Pagination result
+  const pagination = {};
+
+  if (endIndex < total) {
+    pagination.next = {
+      page: page + 1,
+      limit
+    };
+  }
+
+  if (startIndex > 0) {
+    pagination.prev = {
+      page: page - 1,
+      limit
+    };
+  }
+
+  return { events, total, pagination };
+};
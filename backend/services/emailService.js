@@ -0,0 +1,348 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const config = require('../config/config');
+const ErrorResponse = require('../utils/errorResponse');
+
+const SENDGRID_API_URL = 'https://api.sendgrid.com/v3/mail/send';
+
+/**
+ * Sends a message through the SendGrid v3 API
+ * @param {Object} message - Normalized message with from, to, subject, text and html
+ * @returns {Promise<Object>} Delivery result
+ */
+const sendgridTransport = async (message) => {
+  if (!config.emailService.apiKey) {
+    throw new Error('EMAIL_API_KEY is required for the sendgrid email provider');
+  }
+
+  const content = [{ type: 'text/plain', value: message.text }];
+  if (message.html) {
+    content.push({ type: 'text/html', value: message.html });
+  }
+
+  const response = await axios.post(SENDGRID_API_URL, {
+    personalizations: [{ to: [{ email: message.to }] }],
+    from: { email: message.from.email, name: message.from.name },
+    subject: message.subject,
+    content
+  }, {
+    headers: {
+      Authorization: `Bearer ${config.emailService.apiKey}`,
+      'Content-Type': 'application/json'
+    },
+    timeout: 10000
+  });
+
+  return {
+    provider: 'sendgrid',
+    messageId: response.headers['x-message-id'] || null
+  };
+};
+
+/**
+ * Logs a message to the console instead of delivering it (local development)
+ * @param {Object} message - Normalized message
+ * @returns {Promise<Object>} Delivery result
+ */
+const consoleTransport = async (message) => {
+  console.log('--- Email (console transport) ---');
+  console.log(`To: ${message.to}`);
+  console.log(`From: ${message.from.name} <${message.from.email}>`);
+  console.log(`Subject: ${message.subject}`);
+  console.log('');
+  console.log(message.text);
+  console.log('---------------------------------');
+
+  return { provider: 'console', messageId: null };
+};
+
+/**
+ * Writes each message as a JSON file so tests and local tooling can read it back
+ * @param {Object} message - Normalized message
+ * @returns {Promise<Object>} Delivery result
+ */
+const fileTransport = async (message) => {
+  const outputDir = config.emailService.outputDir ||
+    path.join(os.tmpdir(), 'healthprevent-mail');
+
+  await fs.promises.mkdir(outputDir, { recursive: true });
+
+  const messageId = `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+  const filePath = path.join(outputDir, `${messageId}.json`);
+
+  await fs.promises.writeFile(
+    filePath,
+    JSON.stringify({ ...message, sentAt: new Date() }, null, 2)
+  );
+
+  return { provider: 'file', messageId, path: filePath };
+};
+
+const transports = {
+  sendgrid: sendgridTransport,
+  console: consoleTransport,
+  file: fileTransport
+};
+
+/**
+ * Registers an additional mail transport
+ * @param {String} name - Provider name as used in EMAIL_PROVIDER
+ * @param {Function} transport - Async function receiving the normalized message
+ */
+exports.registerTransport = (name, transport) => {
+  if (typeof transport !== 'function') {
+    throw new Error('Email transport must be a function');
+  }
+  transports[name] = transport;
+};
+
+/**
+ * Resolves the transport for the configured provider. When the email service
+ * is disabled, messages are routed to the console so nothing leaves the
+ * machine. Production never uses the console, since messages carry reset
+ * and verification tokens that must not end up in server logs.
+ * @returns {Function} Transport function
+ */
+const resolveTransport = () => {
+  const transport = config.emailService.enabled
+    ? transports[config.emailService.provider]
+    : transports.console;
+
+  if (!transport) {
+    throw new Error(`Unknown email provider: ${config.emailService.provider}`);
+  }
+
+  if (transport === transports.console && config.env === 'production') {
+    throw new Error('Email service is not configured; set EMAIL_SERVICE_ENABLED and EMAIL_PROVIDER');
+  }
+
+  return transport;
+};
+
+/**
+ * Sends an email through the configured provider
+ * @param {Object} options - Email options
+ * @param {String} options.to - Recipient address
+ * @param {String} options.subject - Subject line
+ * @param {String} options.text - Plain text body
+ * @param {String} [options.html] - Optional HTML body
+ * @returns {Promise<Object>} Delivery result from the transport
+ */
+exports.sendEmail = async ({ to, subject, text, html }) => {
+  if (!to || !subject || !text) {
+    throw new Error('Email requires a recipient, subject and text body');
+  }
+
+  const message = {
+    to,
+    from: {
+      email: config.emailService.fromEmail,
+      name: config.emailService.fromName
+    },
+    subject,
+    text,
+    html
+  };
+
+  try {
+    return await resolveTransport()(message);
+  } catch (error) {
+    console.error('Email delivery error:', error.message);
+    throw new ErrorResponse('Email could not be sent', 500);
+  }
+};
+
+/**
+ * Sends a password reset link
+ * @param {Object} user - User document the token belongs to
+ * @param {String} resetToken - Unhashed reset token
+ * @param {Object} [options]
+ * @param {Boolean} [options.forced] - Whether an admin required the reset
+ * @returns {Promise<Object>} Delivery result
+ */
+exports.sendPasswordResetEmail = async (user, resetToken, { forced = false } = {}) => {
+  const resetUrl = `${config.frontendUrl}/resetpassword/${resetToken}`;
+
+  const intro = forced
+    ? 'An administrator has required a password reset for your HealthPrevent account. You will not be able to sign in with your current password until it is changed.'
+    : 'You are receiving this email because a password reset was requested for your HealthPrevent account.';
+
+  const text = [
+    `Hi ${user.firstName},`,
+    '',
+    intro,
+    `Reset your password here: ${resetUrl}`,
+    '',
+    `Or send a PUT request with your new password to /api/auth/resetpassword/${resetToken}`,
+    '',
+    `This link expires in ${config.passwordReset.expireMinutes} minutes.` +
+      (forced ? '' : ' If you did not request a reset, you can ignore this email.')
+  ].join('\n');
+
+  return exports.sendEmail({
+    to: user.email,
+    subject: 'Password reset',
+    text
+  });
+};
+
+/**
+ * Sends an email address verification link
+ * @param {Object} user - User document the token belongs to
+ * @param {String} verificationToken - Unhashed verification token
+ * @returns {Promise<Object>} Delivery result
+ */
+exports.sendVerificationEmail = async (user, verificationToken) => {
+  const verifyUrl = `${config.frontendUrl}/verifyemail/${verificationToken}`;
+
+  const text = [
+    `Hi ${user.firstName},`,
+    '',
+    'Please confirm this email address for your HealthPrevent account.',
+    `Verify your email here: ${verifyUrl}`,
+    '',
+    `Or open /api/auth/verify/${verificationToken}`,
+    '',
+    `This link expires in ${config.emailVerification.tokenExpireHours} hours.`
+  ].join('\n');
+
+  return exports.sendEmail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text
+  });
+};
+
+/**
+ * Notifies a user that their account was locked after failed logins
+ * @param {Object} user - Locked user
+ * @param {Object} details
+ * @param {Date} details.lockUntil - When the lock expires
+ * @param {String} [details.ip] - IP address of the last failed attempt
+ * @returns {Promise<Object>} Delivery result
+ */
+exports.sendAccountLockedEmail = async (user, { lockUntil, ip }) => {
+  const text = [
+    `Hi ${user.firstName},`,
+    '',
+    'Your HealthPrevent account was temporarily locked after several failed sign-in attempts' +
+      (ip ? ` (last attempt from ${ip}).` : '.'),
+    `You can try again after ${lockUntil.toUTCString()}.`,
+    '',
+    'If this was not you, we recommend resetting your password and enabling two-factor authentication.',
+    `Reset your password here: ${config.frontendUrl}/forgotpassword`
+  ].join('\n');
+
+  return exports.sendEmail({
+    to: user.email,
+    subject: 'Your account was temporarily locked',
+    text
+  });
+};
+
+/**
+ * Confirms that an account deletion was scheduled
+ * @param {Object} user - User document
+ * @param {Date} scheduledFor - When the account will be erased
+ * @returns {Promise<Object>} Delivery result
+ */
+exports.sendDeletionScheduledEmail = async (user, scheduledFor) => {
+  const text = [
+    `Hi ${user.firstName},`,
+    '',
+    `Your HealthPrevent account and all of your health data will be permanently deleted on ${scheduledFor.toUTCString()}.`,
+    '',
+    'If you change your mind, sign in before then and cancel the deletion from your account settings.'
+  ].join('\n');
+
+  return exports.sendEmail({
+    to: user.email,
+    subject: 'Your account is scheduled for deletion',
+    text
+  });
+};
+
+/**
+ * Invites someone to access a user's records as a delegate
+ * @param {Object} owner - User granting access
+ * @param {Object} delegation - Delegation document
+ * @param {String} inviteToken - Unhashed invitation token
+ * @returns {Promise<Object>} Delivery result
+ */
+exports.sendDelegationInviteEmail = async (owner, delegation, inviteToken) => {
+  const acceptUrl = `${config.frontendUrl}/delegations/accept/${inviteToken}`;
+  const access = delegation.access === 'read_write' ? 'view and update' : 'view';
+
+  const text = [
+    'Hi,',
+    '',
+    `${owner.firstName} ${owner.lastName} has invited you to ${access} their ${delegation.resources.join(', ')} on HealthPrevent.`,
+    '',
+    `Sign in or create an account with this email address, then accept the invitation here: ${acceptUrl}`,
+    '',
+    `This invitation expires in ${config.delegation.inviteExpireDays} days.`
+  ].join('\n');
+
+  return exports.sendEmail({
+    to: delegation.email,
+    subject: `${owner.firstName} invited you to HealthPrevent`,
+    text
+  });
+};
+
+/**
+ * Lists readings that were unusual for the user since the last digest
+ * @param {Object} user - User document
+ * @param {Array<Object>} metrics - Flagged metrics, presented in the user's units
+ * @returns {Promise<Object>} Delivery result
+ */
+exports.sendAnomalyDigestEmail = async (user, metrics) => {
+  const lines = metrics.map(metric => {
+    const value = metric.value !== null && typeof metric.value === 'object'
+      ? `${metric.value.systolic}/${metric.value.diastolic}`
+      : metric.value;
+    return `- ${metric.type.replace(/_/g, ' ')}: ${value} ${metric.unit} (unusually ${metric.anomaly.direction}) on ${new Date(metric.timestamp).toUTCString()}`;
+  });
+
+  const text = [
+    `Hi ${user.firstName},`,
+    '',
+    'These recent readings were unusual compared with your own readings over the past weeks:',
+    '',
+    ...lines,
+    '',
+    `Review them at ${config.frontendUrl}/metrics. If you feel unwell, contact your healthcare provider.`
+  ].join('\n');
+
+  return exports.sendEmail({
+    to: user.email,
+    subject: metrics.length === 1 ? 'A reading needs your attention' : `${metrics.length} readings need your attention`,
+    text
+  });
+};
+
+/**
+ * Reminds a user of goals they asked to be reminded about
+ * @param {Object} user - User document
+ * @param {Array<Object>} goals - HealthGoal documents
+ * @returns {Promise<Object>} Delivery result
+ */
+exports.sendGoalReminderEmail = async (user, goals) => {
+  const text = [
+    `Hi ${user.firstName},`,
+    '',
+    'A reminder of the goals you are working on:',
+    '',
+    ...goals.map(goal => `- ${goal.title} (${goal.progress}% done)`),
+    '',
+    `Check in on your progress at ${config.frontendUrl}/goals.`
+  ].join('\n');
+
+  return exports.sendEmail({
+    to: user.email,
+    subject: 'Your HealthPrevent goals',
+    text
+  });
+};
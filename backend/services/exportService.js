@@ -0,0 +1,340 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const archiver = require('archiver');
+const User = require('../models/User');
+const HealthMetric = require('../models/HealthMetric');
+const CustomMetricType = require('../models/CustomMetricType');
+const Symptom = require('../models/Symptom');
+const HealthGoal = require('../models/HealthGoal');
+const JournalEntry = require('../models/JournalEntry');
+const ExportJob = require('../models/ExportJob');
+const { toCsvRow } = require('../utils/csv');
+const config = require('../config/config');
+
+const ARCHIVE_FORMAT = 'healthprevent-takeout';
+const ARCHIVE_VERSION = 1;
+
+// Profile fields included in an export; credentials and tokens never are
+const USER_FIELDS = 'firstName lastName email role emailVerified profile preferences connectedServices createdAt';
+
+// Collections in an export, with the key used in data.json and CSV layout.
+// Custom metric types come first so they exist before metrics that use them.
+const COLLECTIONS = [
+  {
+    key: 'customMetricTypes',
+    model: CustomMetricType,
+    sort: 'createdAt',
+    csv: [{
+      file: 'custom_metric_types.csv',
+      columns: ['id', 'key', 'name', 'description', 'unit', 'valueType', 'min', 'max', 'precision', 'createdAt'],
+      rows: (doc) => [[
+        doc._id,
+        doc.key,
+        doc.name,
+        doc.description,
+        doc.unit,
+        doc.valueType,
+        doc.min,
+        doc.max,
+        doc.precision,
+        doc.createdAt
+      ]]
+    }]
+  },
+  {
+    key: 'healthMetrics',
+    model: HealthMetric,
+    sort: 'timestamp',
+    csv: [{
+      file: 'health_metrics.csv',
+      columns: ['id', 'type', 'customType', 'value', 'systolic', 'diastolic', 'unit', 'timestamp', 'source', 'note', 'tags', 'createdAt'],
+      rows: (doc) => {
+        const isObject = doc.value !== null && typeof doc.value === 'object';
+        return [[
+          doc._id,
+          doc.type,
+          doc.customType,
+          isObject ? '' : doc.value,
+          isObject ? doc.value.systolic : '',
+          isObject ? doc.value.diastolic : '',
+          doc.unit,
+          doc.timestamp,
+          doc.source,
+          doc.note,
+          doc.tags,
+          doc.createdAt
+        ]];
+      }
+    }]
+  },
+  {
+    key: 'symptoms',
+    model: Symptom,
+    sort: 'startTime',
+    csv: [{
+      file: 'symptoms.csv',
+      columns: ['id', 'name', 'bodyPart', 'severity', 'duration', 'startTime', 'endTime', 'isOngoing', 'notes', 'triggers', 'relief', 'createdAt'],
+      rows: (doc) => [[
+        doc._id,
+        doc.name,
+        doc.bodyPart,
+        doc.severity,
+        doc.duration,
+        doc.startTime,
+        doc.endTime,
+        doc.isOngoing,
+        doc.notes,
+        doc.triggers,
+        doc.relief,
+        doc.createdAt
+      ]]
+    }]
+  },
+  {
+    key: 'goals',
+    model: HealthGoal,
+    sort: 'startDate',
+    csv: [{
+      file: 'goals.csv',
+      columns: ['id', 'title', 'description', 'category', 'status', 'progress', 'currentValue', 'targetValue', 'unit', 'frequency', 'streak', 'startDate', 'targetDate', 'completedDate', 'createdAt'],
+      rows: (doc) => [[
+        doc._id,
+        doc.title,
+        doc.description,
+        doc.category,
+        doc.status,
+        doc.progress,
+        doc.metrics && doc.metrics.current,
+        doc.metrics && doc.metrics.target,
+        doc.metrics && doc.metrics.unit,
+        doc.frequency,
+        doc.streak,
+        doc.startDate,
+        doc.targetDate,
+        doc.completedDate,
+        doc.createdAt
+      ]]
+    }, {
+      file: 'goal_checkins.csv',
+      columns: ['goalId', 'goalTitle', 'date', 'completed', 'value', 'notes'],
+      rows: (doc) => (doc.checkIns || []).map(checkIn => [
+        doc._id,
+        doc.title,
+        checkIn.date,
+        checkIn.completed,
+        checkIn.value,
+        checkIn.notes
+      ])
+    }]
+  },
+  {
+    key: 'journalEntries',
+    model: JournalEntry,
+    sort: 'date',
+    csv: [{
+      file: 'journal_entries.csv',
+      columns: ['id', 'title', 'content', 'mood', 'energy', 'symptoms', 'factors', 'tags', 'date', 'createdAt'],
+      rows: (doc) => [[
+        doc._id,
+        doc.title,
+        doc.content,
+        doc.mood,
+        doc.energy,
+        doc.symptoms,
+        doc.factors,
+        doc.tags,
+        doc.date,
+        doc.createdAt
+      ]]
+    }]
+  }
+];
+
+exports.ARCHIVE_FORMAT = ARCHIVE_FORMAT;
+exports.ARCHIVE_VERSION = ARCHIVE_VERSION;
+exports.COLLECTIONS = COLLECTIONS;
+
+const exportDir = () => config.storage.exportDir ||
+  path.join(os.tmpdir(), 'healthprevent-exports');
+
+// Iterate a user's documents one at a time instead of loading them all
+const userCursor = (collection, userId) =>
+  collection.model
+    .find({ user: userId })
+    .sort(collection.sort)
+    .select('-__v')
+    .lean()
+    .cursor();
+
+// Stream data.json, keeping only one document in memory at a time
+async function* generateJson(user, counts) {
+  yield `{"format":${JSON.stringify(ARCHIVE_FORMAT)},"version":${ARCHIVE_VERSION},`;
+  yield `"exportedAt":${JSON.stringify(new Date())},`;
+  yield `"user":${JSON.stringify(user)}`;
+
+  for (const collection of COLLECTIONS) {
+    yield `,${JSON.stringify(collection.key)}:[`;
+
+    let count = 0;
+    for await (const doc of userCursor(collection, user._id)) {
+      yield `${count > 0 ? ',' : ''}\n${JSON.stringify(doc)}`;
+      count++;
+    }
+
+    counts[collection.key] = count;
+    yield '\n]';
+  }
+
+  yield '}\n';
+}
+
+// Stream one CSV file for a collection
+async function* generateCsv(collection, csv, userId) {
+  yield toCsvRow(csv.columns);
+
+  for await (const doc of userCursor(collection, userId)) {
+    for (const row of csv.rows(doc)) {
+      yield toCsvRow(row);
+    }
+  }
+}
+
+/**
+ * Builds the export archive for a job and records the result on it
+ * @param {String} jobId - ExportJob id
+ */
+exports.runExport = async (jobId) => {
+  const job = await ExportJob.findById(jobId);
+  if (!job) return;
+
+  job.status = 'processing';
+  job.startedAt = new Date();
+  await job.save();
+
+  const dir = exportDir();
+  const stamp = new Date().toISOString().slice(0, 10);
+  const fileName = `healthprevent-export-${stamp}.zip`;
+  const filePath = path.join(dir, `${job._id}.zip`);
+
+  try {
+    await fs.promises.mkdir(dir, { recursive: true });
+
+    const user = await User.findById(job.user).select(USER_FIELDS).lean();
+    if (!user) {
+      throw new Error('User no longer exists');
+    }
+
+    const counts = {};
+    const output = fs.createWriteStream(filePath);
+    const archive = archiver('zip', { zlib: { level: 9 } });
+
+    const finished = new Promise((resolve, reject) => {
+      output.on('close', resolve);
+      output.on('error', reject);
+      archive.on('error', reject);
+    });
+
+    archive.pipe(output);
+
+    // Entries are consumed in order, so each generator only runs when the
+    // archiver reaches it
+    archive.append(Readable.from(generateJson(user, counts)), { name: 'data.json' });
+
+    for (const collection of COLLECTIONS) {
+      for (const csv of collection.csv) {
+        archive.append(
+          Readable.from(generateCsv(collection, csv, user._id)),
+          { name: `csv/${csv.file}` }
+        );
+      }
+    }
+
+    await archive.finalize();
+    await finished;
+
+    const { size } = await fs.promises.stat(filePath);
+
+    job.status = 'completed';
+    job.counts = counts;
+    job.fileName = fileName;
+    job.filePath = filePath;
+    job.fileSize = size;
+    job.completedAt = new Date();
+    job.expiresAt = new Date(Date.now() + config.storage.exportRetentionDays * 24 * 60 * 60 * 1000);
+    await job.save();
+  } catch (error) {
+    console.error(`Export ${job._id} failed:`, error.message);
+
+    await fs.promises.rm(filePath, { force: true });
+
+    job.status = 'failed';
+    job.error = error.message;
+    job.completedAt = new Date();
+    await job.save();
+  }
+};
+
+/**
+ * Deletes archives past their expiry and marks their jobs expired
+ * @returns {Promise<Number>} Number of archives removed
+ */
+exports.purgeExpiredExports = async () => {
+  const jobs = await ExportJob.find({
+    status: 'completed',
+    expiresAt: { $lte: new Date() }
+  }).select('+filePath');
+
+  for (const job of jobs) {
+    if (job.filePath) {
+      await fs.promises.rm(job.filePath, { force: true });
+    }
+    job.status = 'expired';
+    job.filePath = undefined;
+    await job.save();
+  }
+
+  return jobs.length;
+};
+
+/**
+ * Marks exports that stopped part way, e.g. because the server restarted,
+ * as failed and removes their partial archives
+ * @param {Date} createdBefore - Exports unfinished since before this are stale
+ * @returns {Promise<Number>} Number of exports marked failed
+ */
+exports.failStaleExports = async (createdBefore) => {
+  const jobs = await ExportJob.find({
+    status: { $in: ['pending', 'processing'] },
+    createdAt: { $lte: createdBefore }
+  });
+
+  for (const job of jobs) {
+    await fs.promises.rm(path.join(exportDir(), `${job._id}.zip`), { force: true });
+    job.status = 'failed';
+    job.error = 'Export was interrupted; please request a new one';
+    job.completedAt = new Date();
+    await job.save();
+  }
+
+  return jobs.length;
+};
+
+/**
+ * Deletes every export archive and job of a user
+ * @param {String} userId - User id
+ * @returns {Promise<Number>} Number of jobs removed
+ */
+exports.deleteUserExports = async (userId) => {
+  const jobs = await ExportJob.find({ user: userId }).select('+filePath');
+
+  for (const job of jobs) {
+    if (job.filePath) {
+      await fs.promises.rm(job.filePath, { force: true });
+    }
+  }
+
+  const result = await ExportJob.deleteMany({ user: userId });
+  return result.deletedCount;
+};
@@ -0,0 +1,202 @@
+// Reading of Fitbit account archives. The archive holds one JSON file per
+// day or month and data type; steps and heart rate are logged every few
+// seconds or minutes, so they are summed per day and averaged per hour.
+const fs = require('fs');
+const path = require('path');
+const ErrorResponse = require('../utils/errorResponse');
+const { openZip, readEntries } = require('../utils/zip');
+const dates = require('../utils/dates');
+
+const BATCH_SIZE = 500;
+
+// Files we read, by the data type prefix of their name
+const FILE_PATTERN = /(^|\/)(steps|heart_rate|sleep|weight)-\d{4}-\d{2}-\d{2}\.json$/;
+
+// Readings sent by the tracker as MM/DD/YY HH:mm:ss
+const DATE_TIME = /^(\d{2})\/(\d{2})\/(\d{2}) (\d{2}):(\d{2}):(\d{2})$/;
+
+// The date and time in ISO order, e.g. { day: '2023-01-31', hour: '08', time: '08:15:00' }
+const splitDateTime = (text, field) => {
+  const match = DATE_TIME.exec(text);
+  if (!match) throw new Error(`${field} is not a valid date`);
+
+  const [, month, day, year, hour, minute, second] = match;
+  return { day: `20${year}-${month}-${day}`, hour, time: `${hour}:${minute}:${second}` };
+};
+
+const readDate = (text, field, timezone) => {
+  const date = dates.parseDate(text, 'iso', timezone);
+  if (!date) throw new Error(`${field} is not a valid date`);
+  return date;
+};
+
+const readNumber = (value, field) => {
+  const number = Number(value);
+  if (value === null || value === '' || !Number.isFinite(number)) {
+    throw new Error(`${field} must be a number`);
+  }
+  return number;
+};
+
+// Read a file of the archive, which is a JSON array of records
+const readRecords = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+
+  const records = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+  if (!Array.isArray(records)) throw new Error('is not a list of records');
+  return records;
+};
+
+/**
+ * Reads steps, heart rate, sleep and weight from a Fitbit account archive.
+ * Days and hours are summarized once the whole archive is read, so they
+ * come last.
+ * @param {String} filePath - Path to the uploaded zip
+ * @param {String} fileName - Name it was uploaded as
+ * @param {Object} options
+ * @param {String} options.timezone - Timezone the archive's times are in
+ * @param {String} options.weightUnit - Unit of logged weights, kg or lbs
+ * @yields {Object} { items, bytesProcessed, totalBytes, recordsRead }, with
+ *   items of { row, data } or { row, error } where row names the file and
+ *   position of the record; daily and hourly summaries are updatable
+ * @throws {ErrorResponse} When the upload is not a readable archive
+ */
+exports.readExport = async function* (filePath, fileName, { timezone, weightUnit }) {
+  const { size } = await fs.promises.stat(filePath);
+  const zipfile = await openZip(filePath);
+
+  const pending = [];
+  let recordsRead = 0;
+  let bytesProcessed = 0;
+  let filesRead = 0;
+
+  // Totals per local day and averages per hour, keyed by their start
+  const stepsByDay = new Map();
+  const heartRateByHour = new Map();
+
+  const addReading = (map, key, value, row) => {
+    const total = map.get(key) || { sum: 0, count: 0, row };
+    total.sum += value;
+    total.count++;
+    map.set(key, total);
+  };
+
+  const readRecord = (kind, record, row) => {
+    if (kind === 'weight') {
+      const { day, time } = splitDateTime(`${record.date} ${record.time}`, 'date');
+      pending.push({
+        row,
+        data: {
+          type: 'weight',
+          value: record.weight,
+          unit: weightUnit,
+          timestamp: readDate(`${day} ${time}`, 'date', timezone),
+          externalId: `weight|${record.logId}`
+        }
+      });
+      return;
+    }
+
+    if (kind === 'sleep') {
+      pending.push({
+        row,
+        data: {
+          type: 'sleep',
+          value: Math.round((readNumber(record.minutesAsleep, 'minutesAsleep') / 60) * 100) / 100,
+          unit: 'hours',
+          timestamp: readDate(record.startTime, 'startTime', timezone),
+          externalId: `sleep|${record.logId}`
+        }
+      });
+      return;
+    }
+
+    const { day, hour } = splitDateTime(String(record.dateTime), 'dateTime');
+
+    if (kind === 'steps') {
+      addReading(stepsByDay, day, readNumber(record.value, 'value'), row);
+      return;
+    }
+
+    // Readings the tracker had no confidence in are left out
+    const { bpm, confidence } = record.value || {};
+    if (confidence === 0) return;
+    addReading(heartRateByHour, `${day} ${hour}:00:00`, readNumber(bpm, 'bpm'), row);
+  };
+
+  try {
+    for await (const entry of readEntries(zipfile, name => FILE_PATTERN.test(name))) {
+      const kind = FILE_PATTERN.exec(entry.fileName)[2];
+      const name = path.basename(entry.fileName);
+      filesRead++;
+
+      let records;
+      try {
+        records = await readRecords(entry.stream);
+      } catch (err) {
+        pending.push({ row: name, error: `File could not be read: ${err.message}` });
+        records = [];
+      }
+
+      records.forEach((record, i) => {
+        recordsRead++;
+        try {
+          readRecord(kind, record, `${name}#${i + 1}`);
+        } catch (err) {
+          pending.push({ row: `${name}#${i + 1}`, error: err.message });
+        }
+      });
+
+      bytesProcessed += entry.compressedSize;
+
+      while (pending.length >= BATCH_SIZE) {
+        yield { items: pending.splice(0, BATCH_SIZE), bytesProcessed, totalBytes: size, recordsRead };
+      }
+    }
+  } finally {
+    zipfile.close();
+  }
+
+  if (filesRead === 0) {
+    throw new ErrorResponse('The archive does not contain Fitbit steps, heart rate, sleep or weight files', 400);
+  }
+
+  for (const [day, { sum, row }] of stepsByDay) {
+    pending.push({
+      row,
+      data: {
+        type: 'steps',
+        value: sum,
+        unit: 'steps',
+        timestamp: dates.parseDate(day, 'iso', timezone),
+        externalId: `steps|${day}`
+      },
+      // A day or hour may have been incomplete in an earlier archive
+      updatable: true
+    });
+  }
+
+  for (const [hour, { sum, count, row }] of heartRateByHour) {
+    pending.push({
+      row,
+      data: {
+        type: 'heart_rate',
+        value: Math.round(sum / count),
+        unit: 'bpm',
+        timestamp: dates.parseDate(hour, 'iso', timezone),
+        externalId: `heart_rate|${hour}`
+      },
+      // A day or hour may have been incomplete in an earlier archive
+      updatable: true
+    });
+  }
+
+  bytesProcessed = size;
+
+  while (pending.length > 0) {
+    yield { items: pending.splice(0, BATCH_SIZE), bytesProcessed, totalBytes: size, recordsRead };
+  }
+};
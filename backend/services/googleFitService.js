@@ -0,0 +1,326 @@
+// Sync of readings from the Google Fit REST API. Steps, calories and weight
+// are read as daily aggregates, heart rate as hourly averages and sleep from
+// sleep sessions. Phones upload to Google Fit late and totals for the current
+// day keep growing, so each sync re-reads a few days before its cursor and
+// updates readings it stored before instead of adding them again.
+const axios = require('axios');
+const HealthMetric = require('../models/HealthMetric');
+const ErrorResponse = require('../utils/errorResponse');
+const dates = require('../utils/dates');
+const { insertSkippingDuplicates } = require('../utils/insertMany');
+const anomalies = require('./anomalyService');
+const config = require('../config/config');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Access tokens this close to expiry are refreshed before use
+const EXPIRY_MARGIN_MS = 60 * 1000;
+
+// Google Fit's activity type for sleep sessions
+const SLEEP_ACTIVITY_TYPE = 72;
+
+// Aggregated data types and how the points of a bucket become a value.
+// Summaries (heart rate, weight) hold the average, maximum and minimum.
+const AGGREGATES = [
+  { type: 'steps', dataTypeName: 'com.google.step_count.delta', bucket: 'day', unit: 'steps', combine: 'sum', field: 'intVal' },
+  { type: 'calories', dataTypeName: 'com.google.calories.expended', bucket: 'day', unit: 'kcal', combine: 'sum', field: 'fpVal' },
+  { type: 'weight', dataTypeName: 'com.google.weight', bucket: 'day', unit: 'kg', combine: 'average', field: 'fpVal' },
+  { type: 'heart_rate', dataTypeName: 'com.google.heart_rate.bpm', bucket: 'hour', unit: 'bpm', combine: 'average', field: 'fpVal' }
+];
+
+// Midnight of the day containing date, in the given timezone
+const startOfDay = (date, timezone) => {
+  const day = new Intl.DateTimeFormat('en-CA', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).format(date);
+
+  return dates.parseDate(day, 'iso', timezone);
+};
+
+// Exchange the stored refresh token for a new access token
+const refreshAccessToken = async (user) => {
+  const tokens = user.googleFitTokens || {};
+
+  if (!tokens.refresh_token) {
+    throw new ErrorResponse('Google Fit access has expired; please reconnect Google Fit', 401);
+  }
+
+  let response;
+  try {
+    response = await axios.post(config.google.tokenUrl, new URLSearchParams({
+      client_id: config.google.clientId,
+      client_secret: config.google.clientSecret,
+      refresh_token: tokens.refresh_token,
+      grant_type: 'refresh_token'
+    }).toString(), {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      timeout: config.googleFit.requestTimeoutMs
+    });
+  } catch (error) {
+    // invalid_grant: the user revoked access or the token expired
+    if (error.response && error.response.status === 400) {
+      throw new ErrorResponse('Google Fit access has expired; please reconnect Google Fit', 401);
+    }
+    console.error('Error refreshing Google Fit token:', error.message);
+    throw new ErrorResponse('Could not reach Google Fit', 502);
+  }
+
+  user.googleFitTokens = {
+    access_token: response.data.access_token,
+    // Google only sometimes rotates the refresh token
+    refresh_token: response.data.refresh_token || tokens.refresh_token,
+    expiry_date: Date.now() + response.data.expires_in * 1000
+  };
+  await user.save({ validateBeforeSave: false });
+
+  return user.googleFitTokens.access_token;
+};
+
+/**
+ * Returns a usable Google Fit access token, refreshing it when it has
+ * expired. Refreshed tokens are saved on the user.
+ * @param {Object} user - User document with googleFitTokens
+ * @param {Object} [options]
+ * @param {Boolean} [options.force] - Refresh even if it looks valid
+ * @returns {Promise<String>} Access token
+ * @throws {ErrorResponse} 401 when the user has to reconnect Google Fit
+ */
+exports.getAccessToken = async (user, { force = false } = {}) => {
+  const tokens = user.googleFitTokens || {};
+
+  if (!force && tokens.access_token && tokens.expiry_date > Date.now() + EXPIRY_MARGIN_MS) {
+    return tokens.access_token;
+  }
+
+  return refreshAccessToken(user);
+};
+
+// Call the Fitness API, refreshing the token once if Google rejects it
+const fitRequest = async (user, request) => {
+  const send = async (token) => axios({
+    ...request,
+    url: `${config.google.fitApiUrl}${request.url}`,
+    headers: { Authorization: `Bearer ${token}` },
+    timeout: config.googleFit.requestTimeoutMs
+  });
+
+  try {
+    try {
+      return (await send(await exports.getAccessToken(user))).data;
+    } catch (error) {
+      if (!error.response || error.response.status !== 401) throw error;
+      return (await send(await exports.getAccessToken(user, { force: true }))).data;
+    }
+  } catch (error) {
+    if (error instanceof ErrorResponse) throw error;
+
+    const status = error.response ? error.response.status : null;
+    console.error(`Google Fit request ${request.url} failed:`, status || error.message);
+
+    if (status === 401 || status === 403) {
+      throw new ErrorResponse('Google Fit did not allow access; please reconnect Google Fit', 401);
+    }
+    throw new ErrorResponse('Error syncing data from Google Fit', 502);
+  }
+};
+
+// Metrics from the aggregate buckets of one data type
+const readAggregate = async (user, aggregate, from, to, timezone) => {
+  const bucketByTime = aggregate.bucket === 'day'
+    ? { period: { type: 'day', value: 1, timeZoneId: timezone } }
+    : { durationMillis: HOUR_MS };
+
+  const data = await fitRequest(user, {
+    method: 'post',
+    url: '/users/me/dataset:aggregate',
+    data: {
+      aggregateBy: [{ dataTypeName: aggregate.dataTypeName }],
+      bucketByTime,
+      startTimeMillis: from.getTime(),
+      endTimeMillis: to.getTime()
+    }
+  });
+
+  const metrics = [];
+
+  for (const bucket of data.bucket || []) {
+    const values = (bucket.dataset || [])
+      .flatMap(dataset => dataset.point || [])
+      .map(point => point.value && point.value[0] && point.value[0][aggregate.field])
+      .filter(value => typeof value === 'number');
+
+    if (values.length === 0) continue;
+
+    const sum = values.reduce((total, value) => total + value, 0);
+
+    metrics.push({
+      type: aggregate.type,
+      value: aggregate.combine === 'sum' ? sum : sum / values.length,
+      unit: aggregate.unit,
+      timestamp: new Date(Number(bucket.startTimeMillis)),
+      externalId: `${aggregate.type}|${bucket.startTimeMillis}`
+    });
+  }
+
+  return metrics;
+};
+
+// Sleep sessions overlapping the range, as hours asleep
+const readSleepSessions = async (user, from, to) => {
+  const metrics = [];
+  let pageToken;
+
+  do {
+    const data = await fitRequest(user, {
+      method: 'get',
+      url: '/users/me/sessions',
+      params: {
+        startTime: from.toISOString(),
+        endTime: to.toISOString(),
+        activityType: SLEEP_ACTIVITY_TYPE,
+        pageToken
+      }
+    });
+
+    for (const session of data.session || []) {
+      const start = Number(session.startTimeMillis);
+      const end = Number(session.endTimeMillis);
+
+      metrics.push({
+        type: 'sleep',
+        value: Math.round(((end - start) / HOUR_MS) * 100) / 100,
+        unit: 'hours',
+        timestamp: new Date(start),
+        externalId: `sleep|${session.id}`
+      });
+    }
+
+    pageToken = data.nextPageToken;
+  } while (pageToken);
+
+  return metrics;
+};
+
+// Store metrics, updating those synced before when their reading changed
+const writeMetrics = async (user, metrics, summary) => {
+  const docs = [];
+
+  for (const data of metrics) {
+    const doc = new HealthMetric({ ...data, user: user._id, source: 'google_fit' });
+    const error = doc.normalizeUnit() || await doc.validateValue();
+
+    if (error) {
+      summary.invalid++;
+      continue;
+    }
+    docs.push(doc);
+  }
+
+  const existing = await HealthMetric.find({
+    user: user._id,
+    source: 'google_fit',
+    externalId: { $in: docs.map(doc => doc.externalId) }
+  }).select('externalId value unit timestamp').lean();
+
+  const existingById = new Map(existing.map(metric => [metric.externalId, metric]));
+
+  const toInsert = [];
+  const changed = [];
+
+  for (const doc of docs) {
+    const stored = existingById.get(doc.externalId);
+
+    if (!stored) {
+      toInsert.push(doc);
+    } else if (JSON.stringify(stored.value) !== JSON.stringify(doc.value) ||
+        stored.timestamp.getTime() !== doc.timestamp.getTime()) {
+      changed.push({ ...doc.toObject(), _id: stored._id });
+    }
+  }
+
+  // A sync running at the same time may have stored some of them already
+  const { inserted, duplicates } = await insertSkippingDuplicates(HealthMetric, toInsert);
+
+  if (changed.length > 0) {
+    await HealthMetric.bulkWrite(changed.map(metric => ({
+      updateOne: {
+        filter: { _id: metric._id },
+        update: { $set: { value: metric.value, unit: metric.unit, timestamp: metric.timestamp } }
+      }
+    })), { ordered: false });
+  }
+
+  if (inserted.length > 0 || changed.length > 0) {
+    await anomalies.evaluateMetrics([...inserted, ...changed]);
+  }
+
+  for (const metric of [...inserted, ...changed]) {
+    summary.types[metric.type] = (summary.types[metric.type] || 0) + 1;
+  }
+
+  summary.created += inserted.length;
+  summary.updated += changed.length;
+  summary.unchanged += docs.length - toInsert.length - changed.length + duplicates.length;
+};
+
+/**
+ * Syncs a user's Google Fit readings since the last sync. The first sync
+ * reaches back config.googleFit.initialSyncDays.
+ * @param {Object} user - User document with googleFitTokens
+ * @param {Object} [options]
+ * @param {String} [options.timezone] - Timezone daily totals follow;
+ *   defaults to the one the previous sync used, then UTC
+ * @returns {Promise<Object>} Range synced and created, updated, unchanged
+ *   and invalid counts, with metrics written per type
+ * @throws {ErrorResponse} 401 when the user has to reconnect Google Fit, 502
+ *   when Google Fit fails
+ */
+exports.syncUser = async (user, { timezone } = {}) => {
+  const { initialSyncDays, overlapDays, maxDaysPerRequest } = config.googleFit;
+  const now = new Date();
+  const previous = user.googleFitSync || {};
+  const cursor = previous.cursor;
+
+  timezone = timezone || previous.timezone || 'UTC';
+
+  const from = startOfDay(
+    cursor
+      ? new Date(cursor.getTime() - overlapDays * DAY_MS)
+      : new Date(now.getTime() - initialSyncDays * DAY_MS),
+    timezone
+  );
+
+  const summary = {
+    from,
+    to: now,
+    created: 0,
+    updated: 0,
+    unchanged: 0,
+    invalid: 0,
+    types: {}
+  };
+
+  // Long gaps are read in parts, since Google limits buckets per request
+  for (let start = from; start < now;) {
+    const end = new Date(Math.min(
+      startOfDay(new Date(start.getTime() + maxDaysPerRequest * DAY_MS), timezone).getTime(),
+      now.getTime()
+    ));
+
+    for (const aggregate of AGGREGATES) {
+      await writeMetrics(user, await readAggregate(user, aggregate, start, end, timezone), summary);
+    }
+    await writeMetrics(user, await readSleepSessions(user, start, end), summary);
+
+    start = end;
+  }
+
+  user.googleFitSync = { cursor: now, lastSyncedAt: new Date(), timezone };
+  await user.save({ validateBeforeSave: false });
+
+  return summary;
+};
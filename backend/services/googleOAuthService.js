@@ -0,0 +1,129 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const { google } = require('googleapis');
+const OAuthNonce = require('../models/OAuthNonce');
+const config = require('../config/config');
+
+const GOOGLE_REVOKE_URL = 'https://oauth2.googleapis.com/revoke';
+const STATE_PURPOSE = 'google_oauth_state';
+
+// Cookies binding each flow to the browser that started it
+exports.NONCE_COOKIE = 'google_oauth_nonce';
+exports.FIT_NONCE_COOKIE = 'google_fit_oauth_nonce';
+
+/**
+ * Creates a new OAuth2 client. Clients hold credentials once a code is
+ * exchanged, so one is created per request rather than shared.
+ * @param {String} redirectUri - Callback URL registered for the flow
+ * @returns {Object} google.auth.OAuth2 client
+ */
+exports.createClient = (redirectUri) =>
+  new google.auth.OAuth2(
+    config.google.clientId,
+    config.google.clientSecret,
+    redirectUri
+  );
+
+/**
+ * Creates a signed, expiring OAuth state value
+ * @param {String} flow - 'signin' or 'fit'
+ * @param {String} [userId] - User who started the flow
+ * @returns {Object} The state string and its nonce
+ */
+exports.createState = (flow, userId) => {
+  const nonce = crypto.randomBytes(16).toString('hex');
+
+  const state = jwt.sign(
+    { purpose: STATE_PURPOSE, flow, uid: userId, nonce },
+    process.env.JWT_SECRET,
+    { expiresIn: `${config.google.stateExpireMinutes}m` }
+  );
+
+  return { state, nonce };
+};
+
+/**
+ * Verifies a state value returned to a callback and redeems its nonce
+ * @param {String} state - State from the callback query
+ * @param {String} flow - Flow the callback belongs to
+ * @param {String} [expectedNonce] - Nonce from the browser's cookie; a
+ *   state is only accepted from the browser that started the flow
+ * @returns {Promise<Object|null>} Decoded state, or null when invalid
+ */
+exports.consumeState = async (state, flow, expectedNonce) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(state || '', process.env.JWT_SECRET);
+  } catch (err) {
+    return null;
+  }
+
+  if (decoded.purpose !== STATE_PURPOSE || decoded.flow !== flow) {
+    return null;
+  }
+
+  if (!expectedNonce || expectedNonce !== decoded.nonce) {
+    return null;
+  }
+
+  try {
+    await OAuthNonce.create({
+      nonce: decoded.nonce,
+      flow,
+      user: decoded.uid,
+      expiresAt: new Date(decoded.exp * 1000)
+    });
+  } catch (err) {
+    // Duplicate key: this state was already used
+    if (err.code === 11000) return null;
+    throw err;
+  }
+
+  return decoded;
+};
+
+/**
+ * Reads a cookie from the request without requiring cookie-parser
+ * @param {Object} req - Express request
+ * @param {String} name - Cookie name
+ * @returns {String|undefined} Cookie value
+ */
+exports.readCookie = (req, name) => {
+  const header = req.headers.cookie || '';
+
+  for (const part of header.split(';')) {
+    const [key, ...value] = part.trim().split('=');
+    if (key !== name) continue;
+
+    try {
+      return decodeURIComponent(value.join('='));
+    } catch (err) {
+      // Malformed encoding; treat the cookie as missing
+      return undefined;
+    }
+  }
+
+  return undefined;
+};
+
+/**
+ * Revokes a Google OAuth token; failures are logged but not fatal since the
+ * local copy is discarded either way
+ * @param {String} token - Access or refresh token
+ * @returns {Promise<Boolean>} Whether Google accepted the revocation
+ */
+exports.revokeToken = async (token) => {
+  if (!token) return false;
+
+  try {
+    await axios.post(GOOGLE_REVOKE_URL, new URLSearchParams({ token }).toString(), {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      timeout: 10000
+    });
+    return true;
+  } catch (error) {
+    console.error('Error revoking Google token:', error.message);
+    return false;
+  }
+};
@@ -0,0 +1,106 @@
+// Background imports of app and device exports. Each source has a reader
+// that streams metrics out of the uploaded file in batches.
+const fs = require('fs');
+const ImportJob = require('../models/ImportJob');
+const importService = require('./importService');
+const appleHealth = require('./appleHealthService');
+const fitbit = require('./fitbitService');
+const withings = require('./withingsService');
+
+const READERS = {
+  apple_health: appleHealth.readExport,
+  fitbit: fitbit.readExport,
+  withings: withings.readExport
+};
+
+// Progress is written at most this often
+const PROGRESS_INTERVAL_MS = 2000;
+
+/**
+ * Runs a pending import job, recording progress and the final report on it.
+ * The uploaded file is deleted afterwards.
+ * @param {String} jobId - ImportJob id
+ */
+exports.runImportJob = async (jobId) => {
+  const job = await ImportJob.findById(jobId).select('+filePath');
+  if (!job) return;
+
+  job.status = 'processing';
+  job.startedAt = new Date();
+  await job.save();
+
+  const { filePath } = job;
+  const report = importService.newImportReport();
+
+  try {
+    let lastSaved = Date.now();
+
+    for await (const batch of READERS[job.source](filePath, job.fileName, job.options)) {
+      if (batch.items.length > 0) {
+        await importService.importExternalMetrics(batch.items, {
+          userId: job.user,
+          source: job.source,
+          report
+        });
+      }
+
+      job.progress = {
+        bytesProcessed: batch.bytesProcessed,
+        totalBytes: batch.totalBytes,
+        percent: batch.totalBytes ? Math.floor((batch.bytesProcessed / batch.totalBytes) * 100) : 0,
+        recordsRead: batch.recordsRead
+      };
+
+      if (Date.now() - lastSaved >= PROGRESS_INTERVAL_MS) {
+        job.report = report;
+        job.markModified('report');
+        await job.save();
+        lastSaved = Date.now();
+      }
+    }
+
+    job.status = 'completed';
+    job.progress.percent = 100;
+    job.completedAt = new Date();
+  } catch (error) {
+    console.error(`Import ${job._id} failed:`, error.message);
+
+    job.status = 'failed';
+    // Only errors about the upload itself are meant for the user
+    job.error = error.statusCode ? error.message : 'Import failed';
+    job.completedAt = new Date();
+  }
+
+  job.report = report;
+  job.markModified('report');
+  job.filePath = undefined;
+  await job.save();
+
+  await fs.promises.rm(filePath, { force: true });
+};
+
+/**
+ * Marks imports that stopped part way, e.g. because the server restarted,
+ * as failed and deletes their uploads
+ * @param {Date} createdBefore - Imports unfinished since before this are stale
+ * @returns {Promise<Number>} Number of imports marked failed
+ */
+exports.failStaleImports = async (createdBefore) => {
+  const jobs = await ImportJob.find({
+    status: { $in: ['pending', 'processing'] },
+    createdAt: { $lte: createdBefore }
+  }).select('+filePath');
+
+  for (const job of jobs) {
+    if (job.filePath) {
+      await fs.promises.rm(job.filePath, { force: true });
+    }
+    job.status = 'failed';
+    job.error = 'Import was interrupted; please upload the export again';
+    job.filePath = undefined;
+    job.completedAt = new Date();
+    await job.save();
+  }
+
+  return jobs.length;
+};
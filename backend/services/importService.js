@@ -0,0 +1,755 @@
+const fs = require('fs');
+const readline = require('readline');
+const HealthMetric = require('../models/HealthMetric');
+const CustomMetricType = require('../models/CustomMetricType');
+const Symptom = require('../models/Symptom');
+const HealthGoal = require('../models/HealthGoal');
+const JournalEntry = require('../models/JournalEntry');
+const ErrorResponse = require('../utils/errorResponse');
+const { parseCsv } = require('../utils/csv');
+const { openZip, openEntry } = require('../utils/zip');
+const { insertSkippingDuplicates } = require('../utils/insertMany');
+const dates = require('../utils/dates');
+const anomalies = require('./anomalyService');
+const unitService = require('./unitService');
+const { ARCHIVE_FORMAT, ARCHIVE_VERSION } = require('./exportService');
+const config = require('../config/config');
+
+const BATCH_SIZE = 500;
+const MAX_REPORTED_ERRORS = 50;
+
+// data.json that is not laid out one document per line (e.g. re-saved by an
+// editor) is parsed in one go, which is only safe below this size
+const MAX_WHOLE_FILE_BYTES = 50 * 1024 * 1024;
+
+// Normalize dates so keys match whether they came from JSON or MongoDB
+const dateKey = (value) => (value ? new Date(value).toISOString() : '');
+
+// How each collection in the archive is imported, and which fields identify
+// a record for duplicate detection. Collections are processed
+// in archive order, so custom metric types are imported before the metrics
+// that use them, and health metrics before the records that reference them.
+// Stored records are looked up by dateField, or by matchField when given.
+const IMPORTERS = {
+  customMetricTypes: {
+    model: CustomMetricType,
+    matchField: 'key',
+    key: (doc) => doc.key
+  },
+  healthMetrics: {
+    model: HealthMetric,
+    dateField: 'timestamp',
+    key: (doc) => `${doc.type}|${doc.customType || ''}|${dateKey(doc.timestamp)}|${JSON.stringify(doc.value)}|${doc.unit}`,
+    // Convert to canonical units and check the value against its type
+    // before comparing with stored metrics
+    normalize: async (doc) => doc.normalizeUnit() || doc.validateValue(),
+    // Flag unusual readings against the user's history, imported or not
+    afterInsert: (docs) => anomalies.evaluateMetrics(docs)
+  },
+  symptoms: {
+    model: Symptom,
+    dateField: 'startTime',
+    key: (doc) => `${doc.name}|${doc.bodyPart}|${dateKey(doc.startTime)}`,
+    remapMetrics: true
+  },
+  goals: {
+    model: HealthGoal,
+    dateField: 'startDate',
+    key: (doc) => `${doc.title}|${dateKey(doc.startDate)}`
+  },
+  journalEntries: {
+    model: JournalEntry,
+    dateField: 'date',
+    key: (doc) => `${doc.title}|${dateKey(doc.date)}`,
+    remapMetrics: true
+  }
+};
+
+// Metrics from app and device exports, recognized by their external id
+const EXTERNAL_METRICS = {
+  model: HealthMetric,
+  matchField: 'externalId',
+  key: (doc) => `${doc.source}|${doc.externalId}`,
+  normalize: IMPORTERS.healthMetrics.normalize,
+  afterInsert: IMPORTERS.healthMetrics.afterInsert
+};
+
+/**
+ * Yields { type: 'header', value } followed by { type: 'doc', collection, value }
+ * for every record in data.json without holding the whole file in memory
+ */
+async function* readArchiveRecords(stream, size) {
+  const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+  const iterator = lines[Symbol.asyncIterator]();
+  const remainingLines = { [Symbol.asyncIterator]: () => iterator };
+
+  const first = await iterator.next();
+  const headerMatch = !first.done && first.value.match(/^(\{.*),"(\w+)":\[$/);
+
+  if (!headerMatch) {
+    // Not our line layout; fall back to a full parse for small files
+    if (size > MAX_WHOLE_FILE_BYTES) {
+      throw new ErrorResponse('data.json is not in the exported layout and is too large to import', 400);
+    }
+
+    const text = [first.value || ''];
+    for await (const line of remainingLines) text.push(line);
+    const data = JSON.parse(text.join('\n'));
+
+    yield { type: 'header', value: data };
+    for (const collection of Object.keys(IMPORTERS)) {
+      for (const doc of data[collection] || []) {
+        yield { type: 'doc', collection, value: doc };
+      }
+    }
+    return;
+  }
+
+  yield { type: 'header', value: JSON.parse(`${headerMatch[1]}}`) };
+
+  let collection = headerMatch[2];
+
+  for await (const line of remainingLines) {
+    const next = line.match(/^\],"(\w+)":\[$/);
+
+    if (next) {
+      collection = next[1];
+    } else if (line === ']}' || line === '') {
+      continue;
+    } else {
+      yield {
+        type: 'doc',
+        collection,
+        value: JSON.parse(line.endsWith(',') ? line.slice(0, -1) : line)
+      };
+    }
+  }
+}
+
+const newCollectionReport = () => ({
+  total: 0,
+  created: 0,
+  duplicates: 0,
+  invalid: 0,
+  errors: []
+});
+
+// Count an invalid record, keeping the first errors for the report
+const reportInvalid = (report, entry) => {
+  report.invalid++;
+  if (report.errors.length < MAX_REPORTED_ERRORS) {
+    report.errors.push(entry);
+  }
+};
+
+// Show the first records of a dry run with what would happen to them
+const addPreview = (preview, entry) => {
+  if (preview && preview.length < config.csvImport.previewRows) {
+    preview.push(entry);
+  }
+};
+
+const previewMetric = (doc) => ({
+  type: doc.type,
+  customType: doc.customType,
+  value: doc.value,
+  unit: doc.unit,
+  timestamp: doc.timestamp,
+  note: doc.note
+});
+
+// Strip archive-specific fields and point the record at the importing user
+const prepareDocument = (doc, userId, importer, metricIdMap) => {
+  const { _id, __v, user, updatedAt, ...rest } = doc;
+
+  if (rest.checkIns) {
+    rest.checkIns = rest.checkIns.map(({ _id: checkInId, ...checkIn }) => checkIn);
+  }
+
+  if (importer.remapMetrics) {
+    rest.relatedHealthMetrics = (rest.relatedHealthMetrics || [])
+      .map(id => metricIdMap.get(String(id)))
+      .filter(Boolean);
+  }
+
+  if (rest.relatedMedications) {
+    rest.relatedMedications = [];
+  }
+
+  return { originalId: _id ? String(_id) : null, data: { ...rest, user: userId } };
+};
+
+/**
+ * Imports one batch: validates, drops duplicates (against the database and
+ * earlier records in the archive) and inserts the rest
+ * @returns {Promise<Object[]>} Documents inserted, or that would be in a dry run
+ */
+const importBatch = async (batch, { importer, userId, filter, report, seenKeys, metricIdMap, dryRun, preview }) => {
+  const field = importer.matchField || importer.dateField;
+  const values = batch
+    .map(({ data }) => data && data[field])
+    .filter(Boolean)
+    .map(value => (importer.matchField ? value : new Date(value)));
+
+  const existing = values.length > 0
+    ? await importer.model
+      .find({ user: userId, ...filter, [field]: { $in: values } })
+      .lean()
+    : [];
+
+  const existingByKey = new Map(existing.map(doc => [importer.key(doc), doc._id]));
+
+  const toInsert = [];
+
+  for (const item of batch) {
+    // Rows that could not be read are reported in order with the others
+    if (item.error) {
+      reportInvalid(report, { row: item.row, error: item.error });
+      addPreview(preview, { row: item.row, status: 'invalid', error: item.error });
+      continue;
+    }
+
+    const doc = new importer.model(item.data);
+    // validateSync does not run middleware, so normalize explicitly
+    const normalizeError = importer.normalize ? await importer.normalize(doc) : null;
+    const validationError = doc.validateSync();
+
+    if (normalizeError || validationError) {
+      const error = normalizeError ||
+        Object.values(validationError.errors).map(e => e.message).join(', ');
+      reportInvalid(report, { id: item.originalId, row: item.row, error });
+      addPreview(preview, { row: item.row, status: 'invalid', error });
+      continue;
+    }
+
+    const key = importer.key(doc);
+
+    if (existingByKey.has(key) || seenKeys.has(key)) {
+      report.duplicates++;
+      addPreview(preview, { row: item.row, status: 'duplicate', metric: previewMetric(doc) });
+      // References to a duplicate metric point at the copy we already have
+      if (metricIdMap && item.originalId) {
+        const target = existingByKey.get(key) || seenKeys.get(key);
+        if (target) metricIdMap.set(item.originalId, target);
+      }
+      continue;
+    }
+
+    seenKeys.set(key, doc._id);
+    if (metricIdMap && item.originalId) {
+      metricIdMap.set(item.originalId, doc._id);
+    }
+    addPreview(preview, { row: item.row, status: 'valid', metric: previewMetric(doc) });
+    toInsert.push(doc);
+  }
+
+  if (dryRun) {
+    report.created += toInsert.length;
+    return toInsert;
+  }
+
+  // Records another import stored meanwhile are rejected by unique indexes
+  const { inserted, duplicates } = await insertSkippingDuplicates(importer.model, toInsert);
+  if (inserted.length > 0 && importer.afterInsert) await importer.afterInsert(inserted);
+
+  report.created += inserted.length;
+  report.duplicates += duplicates.length;
+
+  return inserted;
+};
+
+/**
+ * Imports a takeout archive for a user
+ * @param {String} filePath - Path to the uploaded zip
+ * @param {String} userId - User receiving the records
+ * @param {Object} [options]
+ * @param {Boolean} [options.dryRun] - Validate and report without writing
+ * @returns {Promise<Object>} Per-collection report
+ */
+exports.importArchive = async (filePath, userId, { dryRun = false } = {}) => {
+  const zipfile = await openZip(filePath);
+
+  try {
+    // data.json is at the root or inside one top-level folder
+    const { stream, size } = await openEntry(
+      zipfile,
+      (fileName) => /(^|\/)data\.json$/.test(fileName) && fileName.split('/').length <= 2,
+      'Archive does not contain data.json'
+    );
+
+    const report = { dryRun, collections: {} };
+    // Original metric id -> id of the imported (or already existing) metric
+    const metricIdMap = new Map();
+
+    let current = null;
+
+    const flush = async () => {
+      if (!current || current.batch.length === 0) return;
+      await importBatch(current.batch, current.context);
+      current.batch = [];
+    };
+
+    for await (const record of readArchiveRecords(stream, size)) {
+      if (record.type === 'header') {
+        const { format, version, exportedAt } = record.value;
+
+        if (format !== ARCHIVE_FORMAT || version > ARCHIVE_VERSION) {
+          throw new ErrorResponse('Unsupported archive format or version', 400);
+        }
+
+        report.exportedAt = exportedAt;
+        continue;
+      }
+
+      const importer = IMPORTERS[record.collection];
+      if (!importer) continue;
+
+      if (!current || current.name !== record.collection) {
+        await flush();
+
+        const collectionReport = newCollectionReport();
+        report.collections[record.collection] = collectionReport;
+
+        current = {
+          name: record.collection,
+          batch: [],
+          context: {
+            importer,
+            userId,
+            dryRun,
+            report: collectionReport,
+            seenKeys: new Map(),
+            metricIdMap: record.collection === 'healthMetrics' ? metricIdMap : null
+          }
+        };
+      }
+
+      current.context.report.total++;
+      current.batch.push(prepareDocument(record.value, userId, importer, metricIdMap));
+
+      if (current.batch.length >= BATCH_SIZE) {
+        await flush();
+      }
+    }
+
+    await flush();
+
+    return report;
+  } catch (error) {
+    if (error instanceof SyntaxError) {
+      throw new ErrorResponse('data.json could not be parsed', 400);
+    }
+    throw error;
+  } finally {
+    zipfile.close();
+  }
+};
+
+// Fields a CSV column can be mapped to, with the header names suggested for
+// each (lowercased, with camelCase and underscores split into words)
+const CSV_FIELDS = {
+  timestamp: /^(timestamp|date|time|date ?time|recorded at|measured at|start ?date)$/,
+  type: /^(type|metric|metric type|measurement)$/,
+  customType: /^custom ?type$/,
+  value: /^(value|reading|amount|quantity|qty)$/,
+  unit: /^units?$/,
+  systolic: /^(systolic|sys)( \(mmhg\))?$/,
+  diastolic: /^(diastolic|dia)( \(mmhg\))?$/,
+  note: /^(notes?|comments?)$/
+};
+
+// Names used for metric types in other apps' exports
+const TYPE_ALIASES = {
+  hr: 'heart_rate',
+  pulse: 'heart_rate',
+  bp: 'blood_pressure',
+  spo2: 'oxygen_saturation',
+  oxygen: 'oxygen_saturation',
+  blood_glucose: 'glucose',
+  blood_sugar: 'glucose',
+  body_temperature: 'temperature',
+  temp: 'temperature',
+  body_weight: 'weight',
+  step_count: 'steps',
+  energy: 'calories'
+};
+
+const normalizeHeader = (header) => header
+  .replace(/([a-z])([A-Z])/g, '$1 $2')
+  .replace(/_/g, ' ')
+  .trim()
+  .toLowerCase();
+
+const normalizeType = (text) => {
+  const key = text.trim().toLowerCase().replace(/[\s-]+/g, '_');
+  return TYPE_ALIASES[key] || key;
+};
+
+// Numbers may use a decimal comma (common with ; delimited files). Text that
+// is not a number is kept so validation can report it.
+const parseNumber = (text) => {
+  if (!text) return undefined;
+  const normalized = /^-?\d+,\d+$/.test(text) ? text.replace(',', '.') : text;
+  const number = Number(normalized);
+  return isNaN(number) ? text : number;
+};
+
+const isBlankRow = (cells) => cells.every(cell => cell.trim() === '');
+
+/**
+ * Suggests which column holds each field, from the header names
+ * @param {String[]} headers - First row of the CSV
+ * @returns {Object} Field -> header name
+ */
+exports.suggestCsvMapping = (headers) => {
+  const mapping = {};
+  const used = new Set();
+
+  for (const [field, pattern] of Object.entries(CSV_FIELDS)) {
+    const header = headers.find(name => !used.has(name) && pattern.test(normalizeHeader(name)));
+    if (header) {
+      mapping[field] = header;
+      used.add(header);
+    }
+  }
+
+  return mapping;
+};
+
+// Turn a field -> header mapping into field -> column index, listing what
+// is missing for metrics to be built from the rows
+const resolveCsvColumns = (headers, mapping, { type }) => {
+  const columns = {};
+  const errors = [];
+
+  for (const [field, header] of Object.entries(mapping)) {
+    if (!CSV_FIELDS[field]) {
+      errors.push(`Unknown field '${field}'; map columns to ${Object.keys(CSV_FIELDS).join(', ')}`);
+      continue;
+    }
+
+    const index = headers.indexOf(header);
+    if (index === -1) {
+      errors.push(`Column '${header}' mapped to ${field} is not in the file`);
+    } else {
+      columns[field] = index;
+    }
+  }
+
+  if (!mapping.timestamp) {
+    errors.push('Map a column to timestamp');
+  }
+
+  if (!mapping.value && (!mapping.systolic || !mapping.diastolic)) {
+    errors.push('Map a column to value (or columns to systolic and diastolic)');
+  }
+
+  if (!mapping.type && !type) {
+    errors.push('Map a column to type or choose the type of every row');
+  }
+
+  if (type && !HealthMetric.schema.path('type').enumValues.includes(type)) {
+    errors.push(`Unknown metric type: ${type}`);
+  }
+
+  return { columns, errors };
+};
+
+// Build the metric for one CSV row; returns { data } or { error }
+const csvRowToMetric = (cells, columns, options) => {
+  const cell = (field) => (columns[field] === undefined ? '' : (cells[columns[field]] || '').trim());
+
+  const type = cell('type') ? normalizeType(cell('type')) : options.type;
+  if (!type) return { error: 'Missing type' };
+
+  const timestampText = cell('timestamp');
+  if (!timestampText) return { error: 'Missing timestamp' };
+
+  const timestamp = dates.parseDate(timestampText, options.dateFormat, options.timezone);
+  if (!timestamp) {
+    return { error: `Date '${timestampText}' does not match the format ${options.dateFormat}` };
+  }
+
+  let value;
+  const bloodPressure = type === 'blood_pressure' && cell('value').match(/^(\d+(?:\.\d+)?)\s*\/\s*(\d+(?:\.\d+)?)$/);
+
+  if (bloodPressure) {
+    // Written as systolic/diastolic in one cell, e.g. 120/80
+    value = { systolic: Number(bloodPressure[1]), diastolic: Number(bloodPressure[2]) };
+  } else if (type === 'blood_pressure' && (cell('systolic') || cell('diastolic'))) {
+    value = { systolic: parseNumber(cell('systolic')), diastolic: parseNumber(cell('diastolic')) };
+  } else {
+    value = parseNumber(cell('value'));
+  }
+
+  if (value === undefined) return { error: 'Missing value' };
+
+  return {
+    data: {
+      user: options.userId,
+      type,
+      customType: type === 'custom' ? (cell('customType') || options.customType) : undefined,
+      value,
+      // Values without a unit are in the unit the user reads them in
+      unit: cell('unit') || options.unit || unitService.getPreferredUnit(type, options.preferences) || undefined,
+      timestamp,
+      note: cell('note') || undefined,
+      source: 'other'
+    }
+  };
+};
+
+/**
+ * Imports health metrics from a CSV file with one reading per row.
+ * Columns are mapped to metric fields by `mapping`, falling back to
+ * suggestions from the header names; the date format is detected from the
+ * first rows unless given.
+ * @param {String} filePath - Path to the uploaded CSV
+ * @param {String} userId - User receiving the metrics
+ * @param {Object} [options]
+ * @param {Object} [options.mapping] - Field -> header name
+ * @param {String} [options.type] - Type of rows without a type column
+ * @param {String} [options.customType] - Custom type key for custom rows
+ * @param {String} [options.unit] - Unit of rows without a unit column
+ * @param {String} [options.dateFormat] - One of dates.DATE_FORMATS
+ * @param {String} [options.timezone] - Timezone of dates without an offset
+ * @param {Object} [options.preferences] - User.preferences, for default units
+ * @param {Boolean} [options.dryRun] - Validate and preview without writing
+ * @returns {Promise<Object>} Report with counts, errors by row and, for a
+ *   dry run, a preview of the first rows
+ */
+exports.importMetricsCsv = async (filePath, userId, {
+  mapping = {},
+  type,
+  customType,
+  unit,
+  dateFormat,
+  timezone = 'UTC',
+  preferences,
+  dryRun = false
+} = {}) => {
+  if (dateFormat && !dates.DATE_FORMATS.includes(dateFormat)) {
+    throw new ErrorResponse(`Date format must be one of: ${dates.DATE_FORMATS.join(', ')}`, 400);
+  }
+
+  if (!dates.isValidTimezone(timezone)) {
+    throw new ErrorResponse(`Unknown timezone: ${timezone}`, 400);
+  }
+
+  const stream = fs.createReadStream(filePath, { encoding: 'utf8' });
+
+  try {
+    const rows = parseCsv(stream)[Symbol.asyncIterator]();
+
+    const header = await rows.next();
+    if (header.done || isBlankRow(header.value)) {
+      throw new ErrorResponse('The CSV file is empty', 400);
+    }
+
+    const headers = header.value.map(name => name.trim());
+
+    // Explicit mappings win; null or '' leaves a suggested field unmapped
+    const resolvedMapping = { ...exports.suggestCsvMapping(headers), ...mapping };
+    for (const field of Object.keys(resolvedMapping)) {
+      if (!resolvedMapping[field]) delete resolvedMapping[field];
+    }
+
+    const report = {
+      dryRun,
+      columns: headers,
+      mapping: resolvedMapping,
+      dateFormat: dateFormat || null,
+      timezone,
+      ...newCollectionReport()
+    };
+    if (dryRun) report.preview = [];
+
+    const { columns, errors } = resolveCsvColumns(headers, resolvedMapping, { type });
+
+    // Keep leading rows to detect the date format before processing them
+    const buffered = [];
+    while (errors.length === 0 && buffered.length < config.csvImport.dateSampleRows) {
+      const next = await rows.next();
+      if (next.done) break;
+      buffered.push(next.value);
+    }
+
+    if (errors.length === 0 && !dateFormat) {
+      const detected = dates.detectDateFormat(
+        buffered.filter(cells => !isBlankRow(cells)).map(cells => cells[columns.timestamp] || '')
+      );
+
+      if (detected.format) {
+        report.dateFormat = detected.format;
+        report.dateFormatAmbiguous = detected.ambiguous;
+      } else if (buffered.some(cells => !isBlankRow(cells))) {
+        errors.push(`Could not recognize the date format; choose one of: ${dates.DATE_FORMATS.join(', ')}`);
+      }
+    }
+
+    // A dry run reports mapping problems so the client can fix the mapping
+    if (errors.length > 0) {
+      if (!dryRun) throw new ErrorResponse(errors.join('; '), 400);
+      report.mappingErrors = errors;
+      return report;
+    }
+
+    const rowOptions = {
+      userId,
+      type,
+      customType,
+      unit,
+      dateFormat: report.dateFormat,
+      timezone,
+      preferences
+    };
+
+    const context = {
+      importer: IMPORTERS.healthMetrics,
+      userId,
+      dryRun,
+      report,
+      seenKeys: new Map(),
+      metricIdMap: null,
+      preview: report.preview
+    };
+
+    let batch = [];
+    // The header is row 1
+    let rowNumber = 1;
+
+    async function* dataRows() {
+      yield* buffered;
+      for (let next = await rows.next(); !next.done; next = await rows.next()) {
+        yield next.value;
+      }
+    }
+
+    for await (const cells of dataRows()) {
+      rowNumber++;
+      if (isBlankRow(cells)) continue;
+
+      if (report.total >= config.csvImport.maxRows) {
+        report.truncated = true;
+        break;
+      }
+
+      report.total++;
+
+      batch.push({ row: rowNumber, ...csvRowToMetric(cells, columns, rowOptions) });
+
+      if (batch.length >= BATCH_SIZE) {
+        await importBatch(batch, context);
+        batch = [];
+      }
+    }
+
+    if (batch.length > 0) {
+      await importBatch(batch, context);
+    }
+
+    report.skipped = report.duplicates + report.invalid;
+
+    return report;
+  } finally {
+    stream.destroy();
+  }
+};
+
+// Update stored metrics that summarize a period (e.g. a day's steps) when an
+// export has a different value for them, since the period may have been
+// incomplete when it was first imported. Returns the items left to import.
+const updateChangedSummaries = async (batch, { userId, source, report, dryRun }) => {
+  const summaries = batch.filter(item => item.updatable);
+  if (summaries.length === 0) return batch;
+
+  const stored = await HealthMetric.find({
+    user: userId,
+    source,
+    externalId: { $in: summaries.map(item => item.data.externalId) }
+  }).select('externalId value unit timestamp').lean();
+
+  const storedById = new Map(stored.map(metric => [metric.externalId, metric]));
+  const changed = [];
+  const handled = new Set();
+
+  for (const item of summaries) {
+    const previous = storedById.get(item.data.externalId);
+    if (!previous) continue;
+
+    // Invalid values stay in the batch to be reported
+    const doc = new HealthMetric(item.data);
+    if (await EXTERNAL_METRICS.normalize(doc)) continue;
+
+    handled.add(item);
+    if (JSON.stringify(previous.value) === JSON.stringify(doc.value)) {
+      report.duplicates++;
+      continue;
+    }
+
+    changed.push({ _id: previous._id, doc });
+  }
+
+  if (changed.length > 0 && !dryRun) {
+    await HealthMetric.bulkWrite(changed.map(({ _id, doc }) => ({
+      updateOne: {
+        filter: { _id },
+        update: { $set: { value: doc.value, unit: doc.unit, timestamp: doc.timestamp } }
+      }
+    })), { ordered: false });
+
+    await EXTERNAL_METRICS.afterInsert(changed.map(({ _id, doc }) => {
+      doc._id = _id;
+      return doc;
+    }));
+  }
+
+  report.updated = (report.updated || 0) + changed.length;
+
+  return batch.filter(item => !handled.has(item));
+};
+
+/**
+ * Imports one batch of metrics read from an app or device export. Metrics
+ * whose externalId was imported before, or repeats within the batch, are
+ * counted as duplicates, except that summaries of a period are updated
+ * when their value changed.
+ * @param {Object[]} items - { row, data } with metric data carrying an
+ *   externalId, or { row, error } for records that could not be read.
+ *   Items with updatable set summarize a period and may replace the value
+ *   imported before.
+ * @param {Object} options
+ * @param {String} options.userId - User receiving the metrics
+ * @param {String} options.source - HealthMetric source of the export
+ * @param {Object} options.report - Result of newImportReport, updated in
+ *   place; metrics created are also counted per type in report.types, and
+ *   metrics updated in report.updated
+ * @param {Boolean} [options.dryRun] - Validate without writing
+ */
+exports.importExternalMetrics = async (items, { userId, source, report, dryRun = false }) => {
+  const received = items.map(item => (item.error
+    ? item
+    : { row: item.row, updatable: item.updatable, data: { ...item.data, user: userId, source } }));
+
+  report.total += received.length;
+  report.types = report.types || {};
+
+  const batch = await updateChangedSummaries(received, { userId, source, report, dryRun });
+
+  const created = await importBatch(batch, {
+    importer: EXTERNAL_METRICS,
+    userId,
+    filter: { source },
+    report,
+    // Earlier batches are already stored, so repeats are found in the database
+    seenKeys: new Map(),
+    metricIdMap: null,
+    dryRun
+  });
+
+  for (const metric of created) {
+    report.types[metric.type] = (report.types[metric.type] || 0) + 1;
+  }
+};
+
+exports.newImportReport = newCollectionReport;
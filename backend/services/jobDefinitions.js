@@ -0,0 +1,182 @@
+// Recurring work run by jobService. Each handler returns a summary that is
+// stored on the run; throwing fails the run, which is then retried.
+const User = require('../models/User');
+const HealthGoal = require('../models/HealthGoal');
+const accountDeletion = require('./accountDeletionService');
+const exportService = require('./exportService');
+const importJobService = require('./importJobService');
+const googleFit = require('./googleFitService');
+const anomalies = require('./anomalyService');
+const emailService = require('./emailService');
+const unitService = require('./unitService');
+const config = require('../config/config');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Run a step for each item, so one failing item does not stop the others.
+// Fails when every item failed, since that points at a wider problem.
+const forEachItem = async (items, step, label) => {
+  let done = 0;
+  let failed = 0;
+
+  for (const item of items) {
+    try {
+      await step(item);
+      done++;
+    } catch (error) {
+      failed++;
+      console.error(`${label} failed for ${item._id}:`, error.message);
+    }
+  }
+
+  if (failed > 0 && done === 0) {
+    throw new Error(`${label} failed for all ${failed} item(s)`);
+  }
+
+  return { done, failed };
+};
+
+const syncGoogleFit = async () => {
+  const since = new Date(Date.now() - config.googleFit.minSyncIntervalMinutes * 60 * 1000);
+
+  const users = await User.find({
+    'googleFitTokens.refresh_token': { $exists: true },
+    disabled: { $ne: true },
+    deletionScheduledFor: null,
+    // Users who synced by hand recently are skipped
+    $or: [
+      { 'googleFitSync.lastSyncedAt': { $exists: false } },
+      { 'googleFitSync.lastSyncedAt': { $lte: since } }
+    ]
+  });
+
+  let reconnect = 0;
+
+  const { done, failed } = await forEachItem(users, async (user) => {
+    try {
+      await googleFit.syncUser(user);
+    } catch (error) {
+      // Access was revoked or expired; only the user can fix that
+      if (error.statusCode !== 401) throw error;
+      reconnect++;
+    }
+  }, 'Google Fit sync');
+
+  return { synced: done - reconnect, needReconnect: reconnect, failed };
+};
+
+const sendAnomalyDigests = async () => {
+  const metrics = await anomalies.getPendingNotifications({ limit: 1000 });
+
+  const byUser = new Map();
+  for (const metric of metrics) {
+    if (!metric.user) continue;
+    const key = String(metric.user._id);
+    if (!byUser.has(key)) byUser.set(key, { _id: metric.user._id, user: metric.user, metrics: [] });
+    byUser.get(key).metrics.push(metric);
+  }
+
+  let skipped = 0;
+
+  const { done, failed } = await forEachItem([...byUser.values()], async ({ user, metrics: flagged }) => {
+    const preferences = user.preferences || {};
+    const wantsEmail = !preferences.notifications || preferences.notifications.email !== false;
+
+    if (!user.disabled && wantsEmail) {
+      await emailService.sendAnomalyDigestEmail(
+        user,
+        flagged.map(metric => unitService.presentMetric(metric, preferences))
+      );
+    } else {
+      skipped++;
+    }
+
+    // Users who opted out are not notified later either
+    await anomalies.markNotified(flagged.map(metric => metric._id));
+  }, 'Anomaly digest');
+
+  return { sent: done - skipped, skipped, failed };
+};
+
+const sendGoalReminders = async () => {
+  const today = new Date().getUTCDay();
+
+  const goals = await HealthGoal.find({
+    status: 'active',
+    'reminderSettings.enabled': true,
+    'reminderSettings.frequency': { $in: ['daily', 'weekly'] }
+  }).populate('user', 'firstName email preferences disabled');
+
+  // Weekly reminders go out on the weekday the goal was set
+  const due = goals.filter(goal => goal.user && (
+    goal.reminderSettings.frequency === 'daily' || goal.createdAt.getUTCDay() === today
+  ));
+
+  const byUser = new Map();
+  for (const goal of due) {
+    const key = String(goal.user._id);
+    if (!byUser.has(key)) byUser.set(key, { _id: goal.user._id, user: goal.user, goals: [] });
+    byUser.get(key).goals.push(goal);
+  }
+
+  const recipients = [...byUser.values()].filter(({ user }) => {
+    const notifications = (user.preferences && user.preferences.notifications) || {};
+    return !user.disabled && notifications.reminders !== false && notifications.email !== false;
+  });
+
+  const { done, failed } = await forEachItem(
+    recipients,
+    ({ user, goals: userGoals }) => emailService.sendGoalReminderEmail(user, userGoals),
+    'Goal reminder'
+  );
+
+  return { sent: done, failed };
+};
+
+const failStaleJobs = async () => {
+  const createdBefore = new Date(Date.now() - config.jobs.staleJobHours * HOUR_MS);
+
+  return {
+    imports: await importJobService.failStaleImports(createdBefore),
+    exports: await exportService.failStaleExports(createdBefore)
+  };
+};
+
+module.exports = [
+  {
+    name: 'purge-deleted-accounts',
+    description: 'Erase accounts whose deletion grace period has ended',
+    schedule: config.accountDeletion.purgeSchedule,
+    handler: async () => ({ erased: await accountDeletion.purgeDueAccounts() })
+  },
+  {
+    name: 'purge-expired-exports',
+    description: 'Delete export archives past their retention period',
+    schedule: config.jobs.exportPurgeSchedule,
+    handler: async () => ({ removed: await exportService.purgeExpiredExports() })
+  },
+  {
+    name: 'fail-stale-jobs',
+    description: 'Mark imports and exports interrupted by a restart as failed',
+    schedule: '*/15 * * * *',
+    handler: failStaleJobs
+  },
+  {
+    name: 'google-fit-sync',
+    description: 'Sync readings for users who connected Google Fit',
+    schedule: config.jobs.googleFitSyncSchedule,
+    handler: syncGoogleFit
+  },
+  {
+    name: 'anomaly-digest',
+    description: 'Email users about unusual readings not yet notified',
+    schedule: config.jobs.anomalyDigestSchedule,
+    handler: sendAnomalyDigests
+  },
+  {
+    name: 'goal-reminders',
+    description: 'Email daily and weekly reminders for active goals',
+    schedule: config.jobs.goalReminderSchedule,
+    handler: sendGoalReminders
+  }
+];
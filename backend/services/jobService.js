@@ -0,0 +1,258 @@
+// Runs the jobs in jobDefinitions on their schedules. Every run is recorded
+// as a JobRun, and a JobLock makes sure only one server instance runs a job
+// at a time. Failed runs are retried with a doubling delay: the run records
+// when, and every instance looks for due retries each minute, so retries
+// survive restarts and wait out a held lock.
+const os = require('os');
+const crypto = require('crypto');
+const cron = require('node-cron');
+const JobRun = require('../models/JobRun');
+const JobLock = require('../models/JobLock');
+const ErrorResponse = require('../utils/errorResponse');
+const definitions = require('./jobDefinitions');
+const config = require('../config/config');
+
+// Identifies this process as the holder of locks
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+const JOBS = new Map(definitions.map(job => [job.name, job]));
+
+// Take the job's lock unless another run holds it
+const acquireLock = async (name) => {
+  const now = new Date();
+
+  try {
+    return await JobLock.findOneAndUpdate(
+      { _id: name, lockedUntil: { $lte: now } },
+      {
+        $set: {
+          owner: INSTANCE_ID,
+          lockedAt: now,
+          lockedUntil: new Date(now.getTime() + config.jobs.lockMinutes * 60 * 1000)
+        }
+      },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    // Duplicate key: the lock exists and has not expired
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+const releaseLock = (name) => JobLock.deleteOne({ _id: name, owner: INSTANCE_ID });
+
+// Extend the job's lock while its run goes on, so a long run does not
+// outlive its lock and let another instance start the job again. Returns
+// the timer to clear when the run ends.
+const keepLock = (name) => {
+  const lockMs = config.jobs.lockMinutes * 60 * 1000;
+
+  const timer = setInterval(() => {
+    JobLock.updateOne(
+      { _id: name, owner: INSTANCE_ID },
+      { $set: { lockedUntil: new Date(Date.now() + lockMs) } }
+    )
+      .then(result => {
+        if (result.modifiedCount === 0) console.warn(`Job ${name} lost its lock while running`);
+      })
+      .catch(err => console.error(`Renewing the lock of job ${name} failed:`, err.message));
+  }, lockMs / 3);
+
+  // Renewing never keeps the process alive by itself
+  timer.unref();
+
+  return timer;
+};
+
+// Run the job's handler and record the outcome, scheduling a retry on failure
+const execute = async (job, run) => {
+  const lockTimer = keepLock(job.name);
+
+  try {
+    run.result = await job.handler();
+    run.status = 'succeeded';
+  } catch (error) {
+    console.error(`Job ${job.name} failed (attempt ${run.attempt}):`, error.message);
+    run.status = 'failed';
+    run.error = error.message;
+
+    if (run.attempt < config.jobs.maxAttempts) {
+      const delay = config.jobs.retryDelaySeconds * 1000 * 2 ** (run.attempt - 1);
+      run.nextRetryAt = new Date(Date.now() + delay);
+    }
+  } finally {
+    clearInterval(lockTimer);
+    run.finishedAt = new Date();
+    run.durationMs = run.finishedAt - run.startedAt;
+    await run.save();
+    await releaseLock(job.name);
+  }
+
+  return run;
+};
+
+/**
+ * Starts a run of a job in the background
+ * @param {String} name - Job name
+ * @param {Object} options
+ * @param {String} options.trigger - schedule, manual or retry
+ * @param {String} [options.triggeredBy] - Admin who started it by hand
+ * @param {Object} [options.retryOf] - Failed JobRun to retry
+ * @returns {Promise<Object|null>} The JobRun, or null when another run of the
+ *   job holds its lock, or the failed run was already retried
+ * @throws {ErrorResponse} When there is no job with this name
+ */
+exports.startJob = async (name, { trigger, triggeredBy, retryOf }) => {
+  const job = JOBS.get(name);
+
+  if (!job) {
+    throw new ErrorResponse(`Job not found with name of ${name}`, 404);
+  }
+
+  if (!(await acquireLock(name))) {
+    return null;
+  }
+
+  let run;
+  try {
+    // Claim the retry, so that no other instance retries the run again
+    if (retryOf) {
+      const claimed = await JobRun.updateOne(
+        { _id: retryOf._id, nextRetryAt: { $exists: true } },
+        { $unset: { nextRetryAt: 1 } }
+      );
+
+      if (claimed.modifiedCount === 0) {
+        await releaseLock(name);
+        return null;
+      }
+    }
+
+    run = await JobRun.create({
+      job: name,
+      trigger,
+      triggeredBy,
+      attempt: retryOf ? retryOf.attempt + 1 : 1,
+      retryOf: retryOf ? retryOf._id : undefined,
+      instance: INSTANCE_ID
+    });
+  } catch (error) {
+    await releaseLock(name);
+    throw error;
+  }
+
+  setImmediate(() => {
+    execute(job, run).catch(err => console.error(`Job ${name} crashed:`, err.message));
+  });
+
+  return run;
+};
+
+/**
+ * Lists the jobs with their schedule, whether one is running, their latest
+ * run and their failures over the last day
+ * @returns {Promise<Object[]>} One entry per job
+ */
+exports.listJobs = async () => {
+  const since = new Date(Date.now() - 24 * 60 * 60 * 1000);
+
+  return Promise.all(definitions.map(async (job) => {
+    const [lastRun, lastFailure, failuresLastDay, lock] = await Promise.all([
+      JobRun.findOne({ job: job.name }).sort('-startedAt'),
+      JobRun.findOne({ job: job.name, status: 'failed' }).sort('-startedAt'),
+      JobRun.countDocuments({ job: job.name, status: 'failed', startedAt: { $gte: since } }),
+      JobLock.findOne({ _id: job.name, lockedUntil: { $gt: new Date() } })
+    ]);
+
+    return {
+      name: job.name,
+      description: job.description,
+      schedule: job.schedule,
+      running: Boolean(lock),
+      lastRun,
+      lastFailure,
+      failuresLastDay
+    };
+  }));
+};
+
+/**
+ * Returns one page of a job's runs, newest first
+ * @param {String} name - Job name
+ * @param {Object} [options]
+ * @param {String} [options.status] - Only runs with this status
+ * @param {Number} [options.page]
+ * @param {Number} [options.limit]
+ * @returns {Promise<Object>} { runs, total }
+ * @throws {ErrorResponse} When there is no job with this name
+ */
+exports.getJobRuns = async (name, { status, page = 1, limit = 25 } = {}) => {
+  if (!JOBS.has(name)) {
+    throw new ErrorResponse(`Job not found with name of ${name}`, 404);
+  }
+
+  const query = { job: name };
+  if (status) query.status = status;
+
+  const [runs, total] = await Promise.all([
+    JobRun.find(query).sort('-startedAt').skip((page - 1) * limit).limit(limit),
+    JobRun.countDocuments(query)
+  ]);
+
+  return { runs, total };
+};
+
+/**
+ * Starts the retries of failed runs that are due. A retry whose job is
+ * locked stays due and is started by a later call.
+ * @returns {Promise<Number>} Number of retries started
+ */
+exports.startDueRetries = async () => {
+  const due = await JobRun.find({ nextRetryAt: { $lte: new Date() } }).sort('nextRetryAt');
+  let started = 0;
+
+  for (const failed of due) {
+    // A run started since then, e.g. on schedule, makes the retry pointless
+    const superseded = !JOBS.has(failed.job) || await JobRun.exists({
+      job: failed.job,
+      startedAt: { $gt: failed.startedAt }
+    });
+
+    if (superseded) {
+      await JobRun.updateOne({ _id: failed._id }, { $unset: { nextRetryAt: 1 } });
+      continue;
+    }
+
+    try {
+      if (await exports.startJob(failed.job, { trigger: 'retry', retryOf: failed })) started++;
+    } catch (err) {
+      console.error(`Retry of job ${failed.job} could not start:`, err.message);
+    }
+  }
+
+  return started;
+};
+
+/**
+ * Schedules every job, and a check for due retries every minute. Each
+ * instance schedules all jobs; the lock decides which of them runs.
+ */
+exports.scheduleJobs = () => {
+  for (const job of definitions) {
+    if (!cron.validate(job.schedule)) {
+      console.warn(`Job ${job.name} not scheduled: invalid schedule '${job.schedule}'`);
+      continue;
+    }
+
+    cron.schedule(job.schedule, () => {
+      exports.startJob(job.name, { trigger: 'schedule' })
+        .catch(err => console.error(`Job ${job.name} could not start:`, err.message));
+    }, { timezone: 'UTC' });
+  }
+
+  cron.schedule('* * * * *', () => {
+    exports.startDueRetries()
+      .catch(err => console.error('Checking for job retries failed:', err.message));
+  });
+};
@@ -0,0 +1,181 @@
+const User = require('../models/User');
+const LoginAttempt = require('../models/LoginAttempt');
+const ErrorResponse = require('../utils/errorResponse');
+const emailService = require('./emailService');
+const config = require('../config/config');
+
+// Attempts that presented wrong credentials. Attempts refused before the
+// credentials were checked (locked, throttled) do not count towards limits.
+const CREDENTIAL_FAILURES = ['invalid_credentials', 'invalid_two_factor'];
+
+const requestContext = (req) => ({
+  ip: req.ip,
+  userAgent: (req.headers['user-agent'] || '').slice(0, 500)
+});
+
+const tooManyRequests = (res, seconds, message) => {
+  res.set('Retry-After', String(seconds));
+  return new ErrorResponse(message, 429);
+};
+
+/**
+ * Rejects the request when its IP has presented wrong credentials too often
+ * recently, regardless of which accounts were targeted
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response (for Retry-After)
+ */
+exports.checkIp = async (req, res) => {
+  const { ipMaxFailures, ipWindowMinutes } = config.loginProtection;
+  const since = new Date(Date.now() - ipWindowMinutes * 60 * 1000);
+
+  const failures = await LoginAttempt.countDocuments({
+    ip: req.ip,
+    success: false,
+    reason: { $in: CREDENTIAL_FAILURES },
+    createdAt: { $gte: since }
+  });
+
+  if (failures >= ipMaxFailures) {
+    throw tooManyRequests(
+      res,
+      ipWindowMinutes * 60,
+      'Too many failed login attempts from this address. Please try again later'
+    );
+  }
+};
+
+/**
+ * Rejects the request when the account is locked or the progressive delay
+ * since its last failure has not passed yet
+ * @param {Object} user - User document
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response (for Retry-After)
+ */
+exports.checkAccount = async (user, req, res) => {
+  if (user.isLocked()) {
+    await exports.recordAttempt(req, { user, success: false, reason: 'locked' });
+
+    const seconds = Math.ceil((user.lockUntil - Date.now()) / 1000);
+    res.set('Retry-After', String(seconds));
+    throw new ErrorResponse(
+      'Account is temporarily locked after too many failed login attempts',
+      423
+    );
+  }
+
+  const { delayAfterFailures, baseDelaySeconds, maxDelaySeconds } = config.loginProtection;
+  const failures = user.failedLoginAttempts || 0;
+
+  if (failures < delayAfterFailures || !user.lastFailedLoginAt) return;
+
+  const delaySeconds = Math.min(
+    baseDelaySeconds * 2 ** (failures - delayAfterFailures),
+    maxDelaySeconds
+  );
+  const waitMs = user.lastFailedLoginAt.getTime() + delaySeconds * 1000 - Date.now();
+
+  if (waitMs > 0) {
+    await exports.recordAttempt(req, { user, success: false, reason: 'throttled' });
+    throw tooManyRequests(
+      res,
+      Math.ceil(waitMs / 1000),
+      'Too many failed login attempts. Please wait before trying again'
+    );
+  }
+};
+
+/**
+ * Stores a login attempt in the user's login history
+ * @param {Object} req - Express request
+ * @param {Object} attempt
+ * @param {Object} [attempt.user] - User document, when the account exists
+ * @param {String} [attempt.email] - Email as entered
+ * @param {Boolean} attempt.success - Whether the attempt succeeded
+ * @param {String} [attempt.method] - 'password' or 'two_factor'
+ * @param {String} [attempt.reason] - Failure reason
+ */
+exports.recordAttempt = async (req, { user, email, success, method, reason }) => {
+  await LoginAttempt.create({
+    user: user ? user._id : undefined,
+    email: email || (user && user.email),
+    success,
+    method,
+    reason,
+    ...requestContext(req)
+  });
+};
+
+/**
+ * Records a failed credential check, locking the account and notifying the
+ * user once the limit is reached
+ * @param {Object} req - Express request
+ * @param {Object} failure
+ * @param {Object} [failure.user] - User document, when the account exists
+ * @param {String} [failure.email] - Email as entered
+ * @param {String} [failure.method] - 'password' or 'two_factor'
+ */
+exports.recordFailure = async (req, { user, email, method = 'password' }) => {
+  await exports.recordAttempt(req, {
+    user,
+    email,
+    success: false,
+    method,
+    reason: method === 'two_factor' ? 'invalid_two_factor' : 'invalid_credentials'
+  });
+
+  if (!user) return;
+
+  const { maxFailedAttempts, lockoutMinutes } = config.loginProtection;
+
+  const updated = await User.findByIdAndUpdate(
+    user._id,
+    {
+      $inc: { failedLoginAttempts: 1 },
+      $set: { lastFailedLoginAt: new Date() }
+    },
+    { new: true }
+  );
+
+  if (!updated || updated.failedLoginAttempts < maxFailedAttempts) return;
+
+  const lockUntil = new Date(Date.now() + lockoutMinutes * 60 * 1000);
+
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { lockUntil, failedLoginAttempts: 0 } }
+  );
+
+  try {
+    await emailService.sendAccountLockedEmail(updated, { lockUntil, ip: req.ip });
+  } catch (err) {
+    console.error('Error sending account locked email:', err.message);
+  }
+};
+
+/**
+ * Records a successful login and clears the failure counter
+ * @param {Object} req - Express request
+ * @param {Object} user - User document
+ * @param {String} [method] - 'password' or 'two_factor'
+ */
+exports.recordSuccess = async (req, user, method = 'password') => {
+  await exports.recordAttempt(req, { user, success: true, method });
+
+  if (user.failedLoginAttempts || user.lockUntil) {
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { failedLoginAttempts: 0 }, $unset: { lockUntil: 1, lastFailedLoginAt: 1 } }
+    );
+  }
+};
+
+/**
+ * Clears an account lock (used by admins)
+ * @param {String} userId - User id
+ */
+exports.unlock = async (userId) => {
+  await User.updateOne(
+    { _id: userId },
+    { $set: { failedLoginAttempts: 0 }, $unset: { lockUntil: 1, lastFailedLoginAt: 1 } }
+  );
+};
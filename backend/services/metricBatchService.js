@@ -0,0 +1,125 @@
+// Batches of metrics sent by apps and devices. Each metric is stored, or
+// reported as a duplicate or invalid, on its own, so one bad reading does
+// not fail the batch. Readings sent with an externalId are stored once per
+// source: a batch sent again after a lost response adds nothing.
+const HealthMetric = require('../models/HealthMetric');
+const { insertSkippingDuplicates } = require('../utils/insertMany');
+const anomalies = require('./anomalyService');
+
+const MAX_EXTERNAL_ID_LENGTH = 255;
+
+const externalKey = (metric) => `${metric.source}|${metric.externalId}`;
+
+// Ids of stored metrics with the given source and externalId keys
+const findStored = async (userId, docs) => {
+  if (docs.length === 0) return new Map();
+
+  const stored = await HealthMetric.find({
+    user: userId,
+    externalId: { $in: docs.map(doc => doc.externalId) }
+  }).select('source externalId').lean();
+
+  return new Map(stored.map(metric => [externalKey(metric), metric._id]));
+};
+
+// Build and validate the metric sent at one index. Returns an error message
+// when it cannot be stored.
+const buildMetric = async (item, userId) => {
+  if (!item || typeof item !== 'object' || Array.isArray(item)) {
+    return { error: 'Metric must be an object' };
+  }
+
+  // Owner and anomaly flags are only set by the server
+  const { anomaly, user, _id, ...data } = item;
+
+  if (data.externalId !== undefined && data.externalId !== null && (
+    typeof data.externalId !== 'string' || !data.externalId.trim() ||
+    data.externalId.length > MAX_EXTERNAL_ID_LENGTH
+  )) {
+    return { error: `externalId must be a non-empty string of at most ${MAX_EXTERNAL_ID_LENGTH} characters` };
+  }
+
+  const doc = new HealthMetric({ ...data, externalId: data.externalId || undefined, user: userId });
+
+  try {
+    await doc.validate();
+  } catch (err) {
+    const messages = err.errors ? Object.values(err.errors).map(e => e.message) : [err.message];
+    return { error: messages.join(', ') };
+  }
+
+  return { doc };
+};
+
+/**
+ * Stores a batch of metrics for a user. Metrics whose source and externalId
+ * are already stored, or repeat an earlier metric of the batch, are
+ * duplicates; metrics without an externalId are always created.
+ * @param {String} userId - User receiving the metrics
+ * @param {Object[]} items - Metric data as sent by the client
+ * @returns {Promise<Object>} { results, created }: one result per item, in
+ *   order, with its index, status (created, duplicate or invalid), the id of
+ *   the stored metric or the reason it is invalid; and the metrics created
+ */
+exports.createMetrics = async (userId, items) => {
+  const results = [];
+  const candidates = [];
+
+  for (const [index, item] of items.entries()) {
+    const { doc, error } = await buildMetric(item, userId);
+
+    if (error) {
+      results[index] = { index, status: 'invalid', error };
+    } else {
+      results[index] = { index, status: 'created', externalId: doc.externalId };
+      candidates.push({ index, doc });
+    }
+  }
+
+  const stored = await findStored(userId, candidates.map(({ doc }) => doc).filter(doc => doc.externalId));
+
+  // Stored id of each externalId key, once known
+  const ids = new Map(stored);
+  const keys = [];
+  const toInsert = [];
+
+  for (const { index, doc } of candidates) {
+    if (!doc.externalId) {
+      toInsert.push({ index, doc });
+      continue;
+    }
+
+    keys[index] = externalKey(doc);
+
+    if (ids.has(keys[index])) {
+      results[index].status = 'duplicate';
+    } else {
+      ids.set(keys[index], doc._id);
+      toInsert.push({ index, doc });
+    }
+  }
+
+  const { inserted, duplicates } = await insertSkippingDuplicates(
+    HealthMetric,
+    toInsert.map(({ doc }) => doc)
+  );
+
+  // Another request stored these first; point at its copies
+  for (const [key, id] of await findStored(userId, duplicates)) ids.set(key, id);
+
+  const failed = new Set(duplicates);
+  for (const { index, doc } of toInsert) {
+    results[index].status = failed.has(doc) ? 'duplicate' : 'created';
+    if (!failed.has(doc)) results[index].id = doc._id;
+  }
+
+  for (const result of results) {
+    if (result.status === 'duplicate') result.id = ids.get(keys[result.index]);
+  }
+
+  if (inserted.length > 0) {
+    await anomalies.evaluateMetrics(inserted);
+  }
+
+  return { results, created: inserted };
+};
@@ -0,0 +1,145 @@
+// Registry of metric types: the shape of each type's value, its units,
+// the precision values are stored with and the bounds of plausible values.
+// Users can add their own types (CustomMetricType), stored as type 'custom'.
+const CustomMetricType = require('../models/CustomMetricType');
+const unitService = require('./unitService');
+
+// Built-in types. Bounds and precision are in the canonical unit of the type.
+const BUILT_IN_TYPES = {
+  heart_rate: { name: 'Heart rate', valueType: 'number', precision: 0, min: 20, max: 300 },
+  blood_pressure: {
+    name: 'Blood pressure',
+    valueType: 'blood_pressure',
+    precision: 0,
+    components: {
+      systolic: { min: 50, max: 300 },
+      diastolic: { min: 20, max: 200 }
+    }
+  },
+  weight: { name: 'Weight', valueType: 'number', precision: 3, min: 0.5, max: 700 },
+  glucose: { name: 'Glucose', valueType: 'number', precision: 1, min: 10, max: 1500 },
+  temperature: { name: 'Body temperature', valueType: 'number', precision: 2, min: 25, max: 45 },
+  oxygen_saturation: { name: 'Oxygen saturation', valueType: 'number', precision: 1, min: 50, max: 100 },
+  steps: { name: 'Steps', valueType: 'integer', precision: 0, min: 0, max: 200000 },
+  sleep: { name: 'Sleep', valueType: 'number', precision: 2, min: 0, max: 24 },
+  calories: { name: 'Calories', valueType: 'number', precision: 0, min: 0, max: 20000 },
+  water: { name: 'Water', valueType: 'number', precision: 0, min: 0, max: 20000 }
+};
+
+const round = (value, decimals) => {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+};
+
+// Numbers may arrive as numeric strings (forms, CSV); anything else is invalid
+const toNumber = (value) => {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && value.trim() !== '') return Number(value);
+  return NaN;
+};
+
+// Returns { value } rounded to the rule's precision, or { error }
+const checkNumber = (label, raw, rule, unit) => {
+  const value = toNumber(raw);
+
+  if (!Number.isFinite(value)) {
+    return { error: `${label} must be a number` };
+  }
+
+  if (rule.valueType === 'integer' && !Number.isInteger(value)) {
+    return { error: `${label} must be a whole number` };
+  }
+
+  const suffix = unit ? ` ${unit}` : '';
+
+  if (typeof rule.min === 'number' && value < rule.min) {
+    return { error: `${label} must be at least ${rule.min}${suffix}` };
+  }
+
+  if (typeof rule.max === 'number' && value > rule.max) {
+    return { error: `${label} must be at most ${rule.max}${suffix}` };
+  }
+
+  return {
+    value: typeof rule.precision === 'number' ? round(value, rule.precision) : value
+  };
+};
+
+/**
+ * Returns the definition of a built-in metric type
+ * @param {String} type - Metric type
+ * @returns {Object|null} Definition, or null for 'custom' and unknown types
+ */
+exports.getBuiltInType = (type) => BUILT_IN_TYPES[type] || null;
+
+/**
+ * Finds the definition a metric is validated against
+ * @param {Object} metric - HealthMetric document or plain object
+ * @returns {Promise<Object|null>} Built-in definition or CustomMetricType
+ */
+exports.getDefinition = async (metric) => {
+  if (metric.type !== 'custom') return exports.getBuiltInType(metric.type);
+  if (!metric.customType || !metric.user) return null;
+
+  return CustomMetricType.findOne({ user: metric.user, key: metric.customType });
+};
+
+/**
+ * Checks a value (in the type's stored unit) against a definition
+ * @param {String} label - Name used in error messages
+ * @param {Object} definition - Built-in definition or CustomMetricType
+ * @param {*} value - Value to check
+ * @param {String} [unit] - Unit used in error messages
+ * @returns {Object} { value } normalized for storage, or { error }
+ */
+exports.checkValue = (label, definition, value, unit) => {
+  if (definition.valueType !== 'blood_pressure') {
+    if (value !== null && typeof value === 'object') {
+      return { error: `${label} must be a number` };
+    }
+    return checkNumber(label, value, definition, unit);
+  }
+
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+    return { error: `${label} must be an object with systolic and diastolic values` };
+  }
+
+  const checked = {};
+
+  for (const [component, bounds] of Object.entries(definition.components)) {
+    const result = checkNumber(
+      `${label} ${component}`,
+      value[component],
+      { valueType: 'number', precision: definition.precision, ...bounds },
+      unit
+    );
+    if (result.error) return result;
+    checked[component] = result.value;
+  }
+
+  if (checked.systolic <= checked.diastolic) {
+    return { error: `${label} systolic must be higher than diastolic` };
+  }
+
+  return { value: checked };
+};
+
+/**
+ * Lists the built-in types and a user's custom types
+ * @param {String} userId - Owner of the custom types
+ * @param {Object} [preferences] - User.preferences, for the preferred unit
+ * @returns {Promise<Object>} { builtIn, custom }
+ */
+exports.listTypes = async (userId, preferences) => {
+  const builtIn = Object.entries(BUILT_IN_TYPES).map(([type, definition]) => ({
+    type,
+    ...definition,
+    unit: unitService.getCanonicalUnit(type),
+    units: unitService.getSupportedUnits(type),
+    preferredUnit: unitService.getPreferredUnit(type, preferences)
+  }));
+
+  const custom = await CustomMetricType.find({ user: userId }).sort('name');
+
+  return { builtIn, custom };
+};
@@ -0,0 +1,323 @@
+const ReferenceRange = require('../models/ReferenceRange');
+const HealthMetric = require('../models/HealthMetric');
+const User = require('../models/User');
+const ErrorResponse = require('../utils/errorResponse');
+const unitService = require('./unitService');
+
+const BOUND_KEYS = ['criticalLow', 'low', 'high', 'criticalHigh'];
+const BP_COMPONENTS = ['systolic', 'diastolic'];
+
+// Default ranges in canonical units. The first rule whose age and gender
+// conditions match the user's profile applies; rules with conditions are
+// skipped when the profile does not say.
+const DEFAULT_RANGES = {
+  heart_rate: [
+    { maxAge: 11, bounds: { criticalLow: 50, low: 70, high: 120, criticalHigh: 160 } },
+    { bounds: { criticalLow: 40, low: 60, high: 100, criticalHigh: 130 } }
+  ],
+  blood_pressure: [
+    {
+      systolic: { criticalLow: 70, low: 90, high: 120, criticalHigh: 180 },
+      diastolic: { criticalLow: 40, low: 60, high: 80, criticalHigh: 120 }
+    }
+  ],
+  // Fasting glucose, mg/dL
+  glucose: [
+    { bounds: { criticalLow: 54, low: 70, high: 99, criticalHigh: 250 } }
+  ],
+  temperature: [
+    { bounds: { criticalLow: 35, low: 36.1, high: 37.2, criticalHigh: 39.5 } }
+  ],
+  oxygen_saturation: [
+    { bounds: { criticalLow: 90, low: 95, high: 100 } }
+  ],
+  // Daily totals
+  steps: [
+    { minAge: 65, bounds: { low: 4000 } },
+    { bounds: { low: 5000 } }
+  ],
+  sleep: [
+    { maxAge: 5, bounds: { low: 10, high: 13 } },
+    { maxAge: 12, bounds: { low: 9, high: 12 } },
+    { maxAge: 17, bounds: { low: 8, high: 10 } },
+    { minAge: 65, bounds: { criticalLow: 4, low: 7, high: 8 } },
+    { bounds: { criticalLow: 4, low: 7, high: 9 } }
+  ],
+  calories: [
+    { minAge: 18, gender: 'Female', bounds: { criticalLow: 1000, low: 1600, high: 2400 } },
+    { minAge: 18, gender: 'Male', bounds: { criticalLow: 1200, low: 2000, high: 3000 } },
+    { bounds: { low: 1600, high: 3000 } }
+  ],
+  water: [
+    { minAge: 18, gender: 'Female', bounds: { low: 2000 } },
+    { minAge: 18, gender: 'Male', bounds: { low: 2500 } },
+    { bounds: { low: 2000 } }
+  ]
+};
+
+// Classifications from least to most severe
+const SEVERITY = { normal: 0, low: 1, high: 1, critical: 2 };
+
+const getAge = (dateOfBirth) => {
+  if (!dateOfBirth) return null;
+
+  const dob = new Date(dateOfBirth);
+  const now = new Date();
+  let age = now.getFullYear() - dob.getFullYear();
+  const birthdayPassed = now.getMonth() > dob.getMonth() ||
+    (now.getMonth() === dob.getMonth() && now.getDate() >= dob.getDate());
+
+  return birthdayPassed ? age : age - 1;
+};
+
+const ruleMatches = (rule, age, gender) => {
+  if ((rule.minAge !== undefined || rule.maxAge !== undefined) && age === null) return false;
+  if (rule.minAge !== undefined && age < rule.minAge) return false;
+  if (rule.maxAge !== undefined && age > rule.maxAge) return false;
+  if (rule.gender && rule.gender !== gender) return false;
+  return true;
+};
+
+const pickBounds = (source) => {
+  const range = {};
+
+  if (source.bounds) range.bounds = { ...source.bounds };
+  for (const component of BP_COMPONENTS) {
+    if (source[component]) range[component] = { ...source[component] };
+  }
+
+  return range;
+};
+
+/**
+ * Returns the default range for a metric type and profile
+ * @param {String} type - Metric type
+ * @param {Object} [profile] - User.profile
+ * @returns {Object|null} Range with bounds (or systolic/diastolic)
+ */
+exports.getDefaultRange = (type, profile = {}) => {
+  const rules = DEFAULT_RANGES[type];
+  if (!rules) return null;
+
+  const age = getAge(profile.dateOfBirth);
+  const rule = rules.find(candidate => ruleMatches(candidate, age, profile.gender));
+
+  return rule ? pickBounds(rule) : null;
+};
+
+/**
+ * Resolves the effective range of every metric type for a user
+ * @param {String} userId - User whose ranges apply
+ * @returns {Promise<Object>} Ranges keyed by metric type, each with a source
+ */
+exports.getRangesForUser = async (userId) => {
+  const [user, overrides] = await Promise.all([
+    User.findById(userId).select('profile'),
+    ReferenceRange.find({ user: userId })
+  ]);
+
+  const profile = (user && user.profile) || {};
+  const ranges = {};
+
+  for (const type of Object.keys(DEFAULT_RANGES)) {
+    const range = exports.getDefaultRange(type, profile);
+    if (range) ranges[type] = { ...range, source: 'default' };
+  }
+
+  for (const override of overrides) {
+    ranges[override.type] = {
+      ...pickBounds(override.toObject()),
+      source: override.setByRole,
+      setBy: override.setBy,
+      note: override.note,
+      updatedAt: override.updatedAt
+    };
+  }
+
+  return ranges;
+};
+
+const classifyNumber = (value, bounds) => {
+  if (typeof value !== 'number' || isNaN(value) || !bounds) return null;
+
+  const { criticalLow, low, high, criticalHigh } = bounds;
+
+  if (criticalLow !== undefined && criticalLow !== null && value < criticalLow) return 'critical';
+  if (criticalHigh !== undefined && criticalHigh !== null && value > criticalHigh) return 'critical';
+  if (low !== undefined && low !== null && value < low) return 'low';
+  if (high !== undefined && high !== null && value > high) return 'high';
+  return 'normal';
+};
+
+/**
+ * Classifies a value in canonical units against a user's ranges
+ * @param {String} type - Metric type
+ * @param {*} value - Number, or { systolic, diastolic } for blood pressure
+ * @param {Object} ranges - Result of getRangesForUser
+ * @returns {String|null} low, normal, high or critical; null without a range
+ */
+exports.classifyValue = (type, value, ranges) => {
+  const range = ranges && ranges[type];
+  if (!range || value === null || value === undefined) return null;
+
+  if (value !== null && typeof value === 'object') {
+    // The most severe component decides
+    let result = null;
+    for (const component of BP_COMPONENTS) {
+      const classification = classifyNumber(value[component], range[component]);
+      if (classification && (!result || SEVERITY[classification] > SEVERITY[result])) {
+        result = classification;
+      }
+    }
+    return result;
+  }
+
+  return classifyNumber(typeof value === 'string' ? Number(value) : value, range.bounds);
+};
+
+/**
+ * Classifies a stored metric
+ * @param {Object} metric - HealthMetric document
+ * @param {Object} ranges - Result of getRangesForUser
+ * @returns {String|null} Classification
+ */
+exports.classify = (metric, ranges) => {
+  // Ranges are in canonical units; skip metrics stored in another unit
+  const canonical = unitService.getCanonicalUnit(metric.type);
+  if (canonical && metric.unit !== canonical) return null;
+
+  return exports.classifyValue(metric.type, metric.value, ranges);
+};
+
+// Convert every bound of a range with fn
+const mapRange = (range, fn) => {
+  const mapped = { ...range };
+
+  for (const key of ['bounds', ...BP_COMPONENTS]) {
+    if (!range[key]) continue;
+    mapped[key] = {};
+    for (const bound of BOUND_KEYS) {
+      const value = range[key][bound];
+      if (value !== undefined && value !== null) mapped[key][bound] = fn(value);
+    }
+  }
+
+  return mapped;
+};
+
+/**
+ * Converts ranges for output in a user's preferred units
+ * @param {Object} ranges - Result of getRangesForUser
+ * @param {Object} [preferences] - User.preferences
+ * @returns {Object} Ranges with a unit per type
+ */
+exports.presentRanges = (ranges, preferences) => {
+  const presented = {};
+
+  for (const [type, range] of Object.entries(ranges)) {
+    presented[type] = {
+      ...mapRange(range, value => unitService.fromCanonical(type, value, preferences).value),
+      unit: unitService.getPreferredUnit(type, preferences)
+    };
+  }
+
+  return presented;
+};
+
+const validateBounds = (bounds, label) => {
+  const values = BOUND_KEYS
+    .map(key => bounds[key])
+    .filter(value => value !== undefined && value !== null);
+
+  if (values.some(value => typeof value !== 'number' || isNaN(value))) {
+    throw new ErrorResponse(`${label} bounds must be numbers`, 400);
+  }
+
+  if (values.length === 0) {
+    throw new ErrorResponse(`Please add at least one bound for ${label}`, 400);
+  }
+
+  for (let i = 1; i < values.length; i++) {
+    if (values[i] < values[i - 1]) {
+      throw new ErrorResponse(
+        `${label} bounds must be ordered criticalLow <= low <= high <= criticalHigh`,
+        400
+      );
+    }
+  }
+};
+
+/**
+ * Sets a user's range for a metric type, replacing any earlier override
+ * @param {String} userId - User the range applies to
+ * @param {String} type - Metric type
+ * @param {Object} input - Bounds (or systolic/diastolic), unit and note
+ * @param {Object} actor - { user, role } of whoever sets the range
+ * @param {Object} [preferences] - Preferences of the actor, for the default unit
+ * @returns {Promise<Object>} Stored ReferenceRange
+ */
+exports.setOverride = async (userId, type, input, actor, preferences) => {
+  const knownTypes = HealthMetric.schema.path('type').enumValues;
+  if (!knownTypes.includes(type) || type === 'custom') {
+    throw new ErrorResponse(`Unknown metric type: ${type}`, 400);
+  }
+
+  const unit = input.unit || unitService.getPreferredUnit(type, preferences);
+  const toCanonical = (value) => {
+    try {
+      return unitService.toCanonical(type, value, unit).value;
+    } catch (err) {
+      throw new ErrorResponse(err.message, 400);
+    }
+  };
+
+  const pick = (source) => {
+    const bounds = {};
+    for (const key of BOUND_KEYS) {
+      if (source[key] !== undefined && source[key] !== null) bounds[key] = source[key];
+    }
+    return bounds;
+  };
+
+  const range = {};
+
+  if (type === 'blood_pressure') {
+    for (const component of BP_COMPONENTS) {
+      if (!input[component]) {
+        throw new ErrorResponse('Blood pressure ranges need systolic and diastolic bounds', 400);
+      }
+      range[component] = pick(input[component]);
+      validateBounds(range[component], component);
+    }
+  } else {
+    range.bounds = pick(input);
+    validateBounds(range.bounds, type);
+  }
+
+  const canonical = mapRange(range, toCanonical);
+
+  const override = await ReferenceRange.findOne({ user: userId, type }) ||
+    new ReferenceRange({ user: userId, type });
+
+  override.set({
+    bounds: canonical.bounds,
+    systolic: canonical.systolic,
+    diastolic: canonical.diastolic,
+    setBy: actor.user,
+    setByRole: actor.role,
+    note: input.note
+  });
+
+  return override.save();
+};
+
+/**
+ * Removes a user's override so the default range applies again
+ * @param {String} userId - User the range applies to
+ * @param {String} type - Metric type
+ * @returns {Promise<Boolean>} Whether an override was removed
+ */
+exports.removeOverride = async (userId, type) => {
+  const result = await ReferenceRange.deleteOne({ user: userId, type });
+  return result.deletedCount > 0;
+};
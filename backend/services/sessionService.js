@@ -0,0 +1,229 @@
+const crypto = require('crypto');
+const Session = require('../models/Session');
+const ErrorResponse = require('../utils/errorResponse');
+const config = require('../config/config');
+
+const hashToken = (secret) =>
+  crypto.createHash('sha256').update(secret).digest('hex');
+
+const newSecret = () => crypto.randomBytes(32).toString('hex');
+
+// Refresh tokens are "<sessionId>.<secret>" so the family can be found
+// even when a stale secret is presented
+const formatRefreshToken = (sessionId, secret) => `${sessionId}.${secret}`;
+
+const parseRefreshToken = (refreshToken) => {
+  if (typeof refreshToken !== 'string') return null;
+
+  const [sessionId, secret] = refreshToken.split('.');
+
+  if (!sessionId || !secret || !/^[a-f0-9]{24}$/.test(sessionId)) {
+    return null;
+  }
+
+  return { sessionId, secret };
+};
+
+const requestContext = (req) => ({
+  userAgent: (req.headers['user-agent'] || '').slice(0, 500),
+  ip: req.ip
+});
+
+/**
+ * Creates a new session for a user and returns its credentials
+ * @param {Object} user - User document
+ * @param {Object} req - Express request (used for device details)
+ * @returns {Promise<Object>} Access token, refresh token and session
+ */
+exports.createSession = async (user, req) => {
+  const secret = newSecret();
+
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(secret),
+    expiresAt: new Date(Date.now() + config.refreshTokenExpireDays * 24 * 60 * 60 * 1000),
+    ...requestContext(req)
+  });
+
+  return {
+    token: user.getSignedJwtToken(session._id),
+    refreshToken: formatRefreshToken(session._id, secret),
+    session
+  };
+};
+
+/**
+ * Creates a session whose tokens are only handed out in exchange for a
+ * one-time code, for sign-ins that end with a redirect. The session
+ * expires unless the code is redeemed in time.
+ * @param {Object} user - User document
+ * @param {Object} req - Express request (used for device details)
+ * @returns {Promise<String>} Login code
+ */
+exports.createLoginCode = async (user, req) => {
+  const code = newSecret();
+
+  const session = await Session.create({
+    user: user._id,
+    // Replaced when the code is redeemed; this secret is never handed out
+    refreshTokenHash: hashToken(newSecret()),
+    loginCodeHash: hashToken(code),
+    expiresAt: new Date(Date.now() + config.google.loginCodeExpireSeconds * 1000),
+    ...requestContext(req)
+  });
+
+  return formatRefreshToken(session._id, code);
+};
+
+/**
+ * Redeems a login code from createLoginCode. Each code works once.
+ * @param {String} loginCode - Code from the client
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} Session and refresh token
+ * @throws {ErrorResponse} 401 when the code is invalid, used or expired
+ */
+exports.redeemLoginCode = async (loginCode, req) => {
+  const parsed = parseRefreshToken(loginCode);
+
+  if (!parsed) {
+    throw new ErrorResponse('Invalid login code', 401);
+  }
+
+  const secret = newSecret();
+
+  const session = await Session.findOneAndUpdate(
+    {
+      _id: parsed.sessionId,
+      loginCodeHash: hashToken(parsed.secret),
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    {
+      $set: {
+        refreshTokenHash: hashToken(secret),
+        lastUsedAt: new Date(),
+        expiresAt: new Date(Date.now() + config.refreshTokenExpireDays * 24 * 60 * 60 * 1000),
+        ...requestContext(req)
+      },
+      $unset: { loginCodeHash: 1 }
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    throw new ErrorResponse('Invalid login code', 401);
+  }
+
+  return {
+    session,
+    refreshToken: formatRefreshToken(session._id, secret)
+  };
+};
+
+/**
+ * Exchanges a refresh token for a new access/refresh token pair. Presenting a
+ * token that was already rotated revokes the whole session (token family).
+ * @param {String} refreshToken - Refresh token from the client
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} New session id, user id and refresh token
+ */
+exports.rotateRefreshToken = async (refreshToken, req) => {
+  const parsed = parseRefreshToken(refreshToken);
+
+  if (!parsed) {
+    throw new ErrorResponse('Invalid refresh token', 401);
+  }
+
+  const secret = newSecret();
+
+  // Only rotate if the presented secret is the current one
+  const session = await Session.findOneAndUpdate(
+    {
+      _id: parsed.sessionId,
+      refreshTokenHash: hashToken(parsed.secret),
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    {
+      $set: {
+        refreshTokenHash: hashToken(secret),
+        lastUsedAt: new Date(),
+        ...requestContext(req)
+      },
+      $inc: { rotations: 1 }
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    const existing = await Session.findById(parsed.sessionId);
+
+    // A known, still-active session with a non-matching secret means an old
+    // token was replayed: assume it was stolen and kill the family
+    if (existing && existing.isActive()) {
+      existing.revokedAt = new Date();
+      existing.revokedReason = 'reuse_detected';
+      await existing.save();
+      console.warn(`Refresh token reuse detected for session ${existing._id}`);
+    }
+
+    throw new ErrorResponse('Invalid refresh token', 401);
+  }
+
+  return {
+    session,
+    refreshToken: formatRefreshToken(session._id, secret)
+  };
+};
+
+/**
+ * Revokes a single session
+ * @param {String} sessionId - Session id
+ * @param {String} userId - Owner of the session
+ * @param {String} reason - Revocation reason
+ * @returns {Promise<Boolean>} Whether an active session was revoked
+ */
+exports.revokeSession = async (sessionId, userId, reason) => {
+  const result = await Session.updateOne(
+    { _id: sessionId, user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Revokes every active session of a user, optionally keeping one
+ * @param {String} userId - User id
+ * @param {String} reason - Revocation reason
+ * @param {String} [exceptSessionId] - Session to leave active
+ * @returns {Promise<Number>} Number of sessions revoked
+ */
+exports.revokeAllSessions = async (userId, reason, exceptSessionId) => {
+  const filter = { user: userId, revokedAt: null };
+
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+
+  const result = await Session.updateMany(filter, {
+    $set: { revokedAt: new Date(), revokedReason: reason }
+  });
+
+  return result.modifiedCount;
+};
+
+/**
+ * Lists the active sessions of a user, most recently used first
+ * @param {String} userId - User id
+ * @returns {Promise<Array>} Session documents
+ */
+exports.getActiveSessions = async (userId) => {
+  return Session.find({
+    user: userId,
+    revokedAt: null,
+    // Sign-ins whose login code was not redeemed yet
+    loginCodeHash: null,
+    expiresAt: { $gt: new Date() }
+  }).sort('-lastUsedAt');
+};
@@ -0,0 +1,237 @@
+const crypto = require('crypto');
+const ShareLink = require('../models/ShareLink');
+const HealthMetric = require('../models/HealthMetric');
+const Symptom = require('../models/Symptom');
+const JournalEntry = require('../models/JournalEntry');
+const User = require('../models/User');
+const ErrorResponse = require('../utils/errorResponse');
+const statsService = require('./statsService');
+const unitService = require('./unitService');
+const referenceRanges = require('./referenceRangeService');
+const config = require('../config/config');
+
+const JOURNAL_EXCERPT_LENGTH = 280;
+
+const hashToken = (token) =>
+  crypto.createHash('sha256').update(token).digest('hex');
+
+// Readings are shown in the owner's preferred units and classified against
+// the owner's reference ranges
+const toReading = (metric, preferences, ranges) => {
+  const { value, unit, timestamp } = unitService.presentMetric(metric, preferences);
+  return { value, unit, timestamp, classification: referenceRanges.classify(metric, ranges) };
+};
+
+/**
+ * Creates a share link. The plain token is only returned here.
+ * @param {String} userId - Owner of the shared data
+ * @param {Object} options
+ * @param {String} [options.label] - Name shown in the owner's list
+ * @param {String[]} [options.metricTypes] - Metric types to include
+ * @param {Boolean} [options.includeSymptoms] - Include symptoms
+ * @param {Boolean} [options.includeJournal] - Include journal excerpts
+ * @param {String} options.from - Start of the shared date range
+ * @param {String} options.to - End of the shared date range
+ * @param {Number} [options.expiresInDays] - Lifetime of the link
+ * @param {String} [options.pin] - Optional 4-8 digit PIN
+ * @returns {Promise<Object>} Plain token and the stored document
+ */
+exports.createShareLink = async (userId, {
+  label,
+  metricTypes = [],
+  includeSymptoms = false,
+  includeJournal = false,
+  from,
+  to,
+  expiresInDays = config.shareLinks.defaultExpireDays,
+  pin
+}) => {
+  if (!Array.isArray(metricTypes)) {
+    throw new ErrorResponse('metricTypes must be a list of metric types', 400);
+  }
+
+  const knownTypes = HealthMetric.schema.path('type').enumValues;
+  const invalid = metricTypes.filter(type => !knownTypes.includes(type));
+
+  if (invalid.length > 0) {
+    throw new ErrorResponse(`Unknown metric types: ${invalid.join(', ')}`, 400);
+  }
+
+  if (metricTypes.length === 0 && !includeSymptoms && !includeJournal) {
+    throw new ErrorResponse('Please choose at least one kind of data to share', 400);
+  }
+
+  const fromDate = new Date(from);
+  const toDate = new Date(to);
+
+  if (isNaN(fromDate) || isNaN(toDate) || fromDate > toDate) {
+    throw new ErrorResponse('Please add a valid date range', 400);
+  }
+
+  const days = Number(expiresInDays);
+  if (!Number.isInteger(days) || days < 1 || days > config.shareLinks.maxExpireDays) {
+    throw new ErrorResponse(
+      `expiresInDays must be between 1 and ${config.shareLinks.maxExpireDays}`,
+      400
+    );
+  }
+
+  if (pin !== undefined && pin !== null && pin !== '' && !/^\d{4,8}$/.test(String(pin))) {
+    throw new ErrorResponse('PIN must be 4 to 8 digits', 400);
+  }
+
+  const token = crypto.randomBytes(24).toString('hex');
+
+  const shareLink = await ShareLink.create({
+    user: userId,
+    label,
+    tokenHash: hashToken(token),
+    // Hashed on save
+    pinHash: pin ? String(pin) : undefined,
+    pinProtected: !!pin,
+    metricTypes: [...new Set(metricTypes)],
+    includeSymptoms: !!includeSymptoms,
+    includeJournal: !!includeJournal,
+    from: fromDate,
+    to: toDate,
+    expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000)
+  });
+
+  return { token, shareLink };
+};
+
+/**
+ * Opens a share link, checking its PIN and counting the access
+ * @param {String} token - Token from the share URL
+ * @param {String} [pin] - PIN entered by the viewer
+ * @returns {Promise<Object>} Share link document
+ */
+exports.openShareLink = async (token, pin) => {
+  const shareLink = await ShareLink.findOne({ tokenHash: hashToken(token) }).select('+pinHash');
+
+  if (!shareLink || !shareLink.isActive()) {
+    throw new ErrorResponse('Share link not found or has expired', 404);
+  }
+
+  if (shareLink.pinProtected) {
+    if (!pin) {
+      throw new ErrorResponse('A PIN is required to open this link', 401);
+    }
+
+    if (!(await shareLink.matchPin(pin))) {
+      const updated = await ShareLink.findByIdAndUpdate(
+        shareLink._id,
+        { $inc: { failedPinAttempts: 1 } },
+        { new: true }
+      );
+
+      // Stop guessing by locking the link for good
+      if (updated.failedPinAttempts >= config.shareLinks.maxPinAttempts) {
+        await ShareLink.updateOne({ _id: shareLink._id }, { revokedAt: new Date() });
+        throw new ErrorResponse('This link was locked after too many incorrect PINs', 403);
+      }
+
+      throw new ErrorResponse('Incorrect PIN', 401);
+    }
+  }
+
+  await ShareLink.updateOne(
+    { _id: shareLink._id },
+    { $inc: { accessCount: 1 }, lastAccessedAt: new Date() }
+  );
+
+  return shareLink;
+};
+
+/**
+ * Builds the read-only summary served for a share link
+ * @param {Object} shareLink - ShareLink document
+ * @returns {Promise<Object>} Summary limited to the link's range and data
+ */
+exports.buildSummary = async (shareLink) => {
+  const owner = await User.findById(shareLink.user).select('firstName lastName disabled preferences');
+
+  if (!owner || owner.disabled) {
+    throw new ErrorResponse('Share link not found or has expired', 404);
+  }
+
+  const range = { startDate: shareLink.from, endDate: shareLink.to };
+
+  const summary = {
+    patient: {
+      firstName: owner.firstName,
+      lastName: owner.lastName
+    },
+    label: shareLink.label,
+    from: shareLink.from,
+    to: shareLink.to,
+    expiresAt: shareLink.expiresAt,
+    generatedAt: new Date()
+  };
+
+  if (shareLink.metricTypes.length > 0) {
+    summary.metrics = [];
+    const ranges = await referenceRanges.getRangesForUser(owner._id);
+
+    for (const type of shareLink.metricTypes) {
+      const stats = await statsService.getMetricStats(owner._id, { type, ...range, ranges });
+
+      const readings = await HealthMetric.find({
+        user: owner._id,
+        type,
+        timestamp: { $gte: range.startDate, $lte: range.endDate }
+      })
+        .sort('timestamp')
+        .limit(config.shareLinks.maxReadingsPerType);
+
+      const converted = unitService.presentStats(stats, type, owner.preferences);
+
+      summary.metrics.push({
+        type,
+        ...converted,
+        latest: stats.latest ? toReading(stats.latest, owner.preferences, ranges) : null,
+        readings: readings.map(metric => toReading(metric, owner.preferences, ranges))
+      });
+    }
+  }
+
+  if (shareLink.includeSymptoms) {
+    const symptoms = await Symptom.find({
+      user: owner._id,
+      startTime: { $gte: range.startDate, $lte: range.endDate }
+    }).sort('startTime');
+
+    summary.symptoms = {
+      ...(await statsService.getSymptomFrequency(owner._id, range)),
+      entries: symptoms.map(symptom => ({
+        name: symptom.name,
+        bodyPart: symptom.bodyPart,
+        severity: symptom.severity,
+        startTime: symptom.startTime,
+        endTime: symptom.endTime,
+        isOngoing: symptom.isOngoing,
+        notes: symptom.notes
+      }))
+    };
+  }
+
+  if (shareLink.includeJournal) {
+    const entries = await JournalEntry.find({
+      user: owner._id,
+      date: { $gte: range.startDate, $lte: range.endDate }
+    }).sort('date');
+
+    summary.journal = entries.map(entry => ({
+      date: entry.date,
+      title: entry.title,
+      mood: entry.mood,
+      energy: entry.energy,
+      symptoms: entry.symptoms,
+      excerpt: entry.content && entry.content.length > JOURNAL_EXCERPT_LENGTH
+        ? `${entry.content.slice(0, JOURNAL_EXCERPT_LENGTH)}…`
+        : entry.content
+    }));
+  }
+
+  return summary;
+};
@@ -0,0 +1,361 @@
+const mongoose = require('mongoose');
+const HealthMetric = require('../models/HealthMetric');
+const Symptom = require('../models/Symptom');
+const ErrorResponse = require('../utils/errorResponse');
+const { isValidTimezone } = require('../utils/dates');
+const referenceRanges = require('./referenceRangeService');
+const config = require('../config/config');
+
+// Calculate count, average, min, max and latest of readings sorted by time
+const summarizeMetrics = (metrics, type) => {
+  // For blood pressure we need to handle differently due to the object structure
+  if (type === 'blood_pressure') {
+    // Calculate stats manually
+    if (metrics.length === 0) {
+      return {
+        count: 0,
+        average: { systolic: null, diastolic: null },
+        min: { systolic: null, diastolic: null },
+        max: { systolic: null, diastolic: null },
+        latest: null
+      };
+    }
+
+    let totalSystolic = 0;
+    let totalDiastolic = 0;
+    let minSystolic = metrics[0].value.systolic;
+    let maxSystolic = metrics[0].value.systolic;
+    let minDiastolic = metrics[0].value.diastolic;
+    let maxDiastolic = metrics[0].value.diastolic;
+
+    metrics.forEach(metric => {
+      totalSystolic += metric.value.systolic;
+      totalDiastolic += metric.value.diastolic;
+
+      minSystolic = Math.min(minSystolic, metric.value.systolic);
+      maxSystolic = Math.max(maxSystolic, metric.value.systolic);
+      minDiastolic = Math.min(minDiastolic, metric.value.diastolic);
+      maxDiastolic = Math.max(maxDiastolic, metric.value.diastolic);
+    });
+
+    return {
+      count: metrics.length,
+      average: {
+        systolic: Math.round(totalSystolic / metrics.length),
+        diastolic: Math.round(totalDiastolic / metrics.length)
+      },
+      min: { systolic: minSystolic, diastolic: minDiastolic },
+      max: { systolic: maxSystolic, diastolic: maxDiastolic },
+      latest: metrics[metrics.length - 1]
+    };
+  }
+
+  // For other metrics
+  if (metrics.length === 0) {
+    return {
+      count: 0,
+      average: null,
+      min: null,
+      max: null,
+      latest: null
+    };
+  }
+
+  // Calculate statistics
+  let total = 0;
+  let min = metrics[0].value;
+  let max = metrics[0].value;
+
+  metrics.forEach(metric => {
+    total += parseFloat(metric.value);
+    min = Math.min(min, parseFloat(metric.value));
+    max = Math.max(max, parseFloat(metric.value));
+  });
+
+  return {
+    count: metrics.length,
+    average: parseFloat((total / metrics.length).toFixed(2)),
+    min,
+    max,
+    latest: metrics[metrics.length - 1]
+  };
+};
+
+// Count readings per classification and classify the average and latest
+const classifyStats = (stats, metrics, type, ranges) => {
+  const counts = { low: 0, normal: 0, high: 0, critical: 0 };
+
+  metrics.forEach(metric => {
+    const classification = referenceRanges.classify(metric, ranges);
+    if (classification) counts[classification]++;
+  });
+
+  return {
+    ...stats,
+    classification: {
+      average: referenceRanges.classifyValue(type, stats.average, ranges),
+      latest: stats.latest ? referenceRanges.classify(stats.latest, ranges) : null,
+      counts
+    }
+  };
+};
+
+/**
+ * Summarizes a user's readings of one metric type (or all types) in a range
+ * @param {String} userId - Owner of the metrics
+ * @param {Object} options
+ * @param {String} [options.type] - Metric type
+ * @param {String} [options.customType] - Key of a custom type, with type 'custom'
+ * @param {Date} options.startDate - Start of the range
+ * @param {Date} options.endDate - End of the range
+ * @param {Object} [options.ranges] - Reference ranges; when stats are for one
+ *   type, the readings are classified against them
+ * @returns {Promise<Object>} Count, average, min, max and latest reading
+ */
+exports.getMetricStats = async (userId, { type, customType, startDate, endDate, ranges }) => {
+  // Build the query
+  const query = {
+    user: userId,
+    timestamp: {
+      $gte: startDate,
+      $lte: endDate
+    }
+  };
+
+  if (type) {
+    query.type = type;
+  }
+
+  if (type === 'custom' && customType) {
+    query.customType = customType;
+  }
+
+  const metrics = await HealthMetric.find(query).sort('timestamp');
+  const stats = summarizeMetrics(metrics, type);
+
+  return ranges && type ? classifyStats(stats, metrics, type, ranges) : stats;
+};
+
+/**
+ * Counts how often each symptom was logged
+ * @param {String} userId - Owner of the symptoms
+ * @param {Object} [options]
+ * @param {Date|String} [options.startDate] - Start of the range
+ * @param {Date|String} [options.endDate] - End of the range
+ * @param {String} [options.symptom] - Only count this symptom
+ * @returns {Promise<Object>} Total and per-symptom counts, most frequent first
+ */
+exports.getSymptomFrequency = async (userId, { startDate, endDate, symptom } = {}) => {
+  const dateFilter = { user: userId };
+
+  if (startDate || endDate) {
+    dateFilter.startTime = {};
+    if (startDate) dateFilter.startTime.$gte = new Date(startDate);
+    if (endDate) dateFilter.startTime.$lte = new Date(endDate);
+  }
+
+  if (symptom) {
+    dateFilter.name = symptom;
+  }
+
+  const symptoms = await Symptom.find(dateFilter);
+
+  // Calculate frequency by symptom name
+  const frequency = {};
+  symptoms.forEach(symptom => {
+    if (!frequency[symptom.name]) {
+      frequency[symptom.name] = 1;
+    } else {
+      frequency[symptom.name]++;
+    }
+  });
+
+  // Convert to array for easier consumption by frontend
+  const frequencyArray = Object.keys(frequency).map(name => ({
+    name,
+    count: frequency[name],
+    percentage: Math.round((frequency[name] / symptoms.length) * 100)
+  }));
+
+  // Sort by count in descending order
+  frequencyArray.sort((a, b) => b.count - a.count);
+
+  return {
+    total: symptoms.length,
+    frequency: frequencyArray
+  };
+};
+
+// Approximate length of each series interval, used to cap the bucket count
+const INTERVAL_MS = {
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000,
+  month: 31 * 24 * 60 * 60 * 1000
+};
+
+// Date parts a bucket is truncated to; weeks start on Monday (ISO weeks)
+const INTERVAL_PARTS = {
+  hour: ['year', 'month', 'day', 'hour'],
+  day: ['year', 'month', 'day'],
+  week: ['isoWeekYear', 'isoWeek'],
+  month: ['year', 'month']
+};
+
+// Start of the bucket containing $timestamp, in the given timezone
+const bucketStart = (interval, timezone) => {
+  const parts = {};
+  for (const part of INTERVAL_PARTS[interval]) {
+    parts[part] = `$$parts.${part}`;
+  }
+  if (interval === 'week') parts.isoDayOfWeek = 1;
+
+  return {
+    $let: {
+      vars: {
+        parts: { $dateToParts: { date: '$timestamp', timezone, iso8601: interval === 'week' } }
+      },
+      in: { $dateFromParts: { ...parts, timezone } }
+    }
+  };
+};
+
+// Linear interpolation between the closest ranks of a sorted array
+const percentileOf = (p) => ({
+  $let: {
+    vars: { rank: { $multiply: [p / 100, { $subtract: [{ $size: '$values' }, 1] }] } },
+    in: {
+      $let: {
+        vars: {
+          lower: { $arrayElemAt: ['$values', { $toInt: { $floor: '$$rank' } }] },
+          upper: { $arrayElemAt: ['$values', { $toInt: { $ceil: '$$rank' } }] }
+        },
+        in: {
+          $add: [
+            '$$lower',
+            { $multiply: [{ $subtract: ['$$upper', '$$lower'] }, { $subtract: ['$$rank', { $floor: '$$rank' }] }] }
+          ]
+        }
+      }
+    }
+  }
+});
+
+// Aggregate one numeric field of the matching metrics into buckets
+const aggregateBuckets = (match, field, { interval, timezone, percentiles }) => {
+  const stats = {
+    count: { $size: '$values' },
+    avg: { $avg: '$values' },
+    min: { $arrayElemAt: ['$values', 0] },
+    max: { $arrayElemAt: ['$values', -1] },
+    median: percentileOf(50)
+  };
+
+  for (const p of percentiles) {
+    stats[`p${p}`] = percentileOf(p);
+  }
+
+  return HealthMetric.aggregate([
+    { $match: { ...match, [field]: { $type: 'number' } } },
+    // Sorting before grouping pushes each bucket's values in order
+    { $sort: { [field]: 1 } },
+    {
+      $group: {
+        _id: bucketStart(interval, timezone),
+        values: { $push: `$${field}` }
+      }
+    },
+    { $project: { _id: 0, start: '$_id', ...stats } },
+    { $sort: { start: 1 } }
+  ]).allowDiskUse(true);
+};
+
+/**
+ * Aggregates a metric type into time buckets for charts. Statistics are
+ * computed in MongoDB, in canonical units; empty buckets are left out.
+ * @param {String} userId - Owner of the metrics
+ * @param {Object} options
+ * @param {String} options.type - Metric type
+ * @param {String} [options.customType] - Key of a custom type, with type 'custom'
+ * @param {Date} options.from - Start of the range
+ * @param {Date} options.to - End of the range
+ * @param {String} options.interval - hour, day, week or month
+ * @param {String} [options.timezone] - IANA timezone bucket boundaries follow
+ * @param {Number[]} [options.percentiles] - Percentiles (0-100) per bucket
+ * @returns {Promise<Object[]>} Buckets with start, count, avg, min, max,
+ *   median and pNN; blood pressure buckets hold these per component
+ * @throws {ErrorResponse} When an option is invalid
+ */
+exports.getMetricSeries = async (userId, {
+  type,
+  customType,
+  from,
+  to,
+  interval,
+  timezone = 'UTC',
+  percentiles = config.metricSeries.defaultPercentiles
+}) => {
+  if (!type) {
+    throw new ErrorResponse('Please specify the metric type', 400);
+  }
+
+  if (!INTERVAL_PARTS[interval]) {
+    throw new ErrorResponse(`Interval must be one of: ${Object.keys(INTERVAL_PARTS).join(', ')}`, 400);
+  }
+
+  if (isNaN(from) || isNaN(to) || from > to) {
+    throw new ErrorResponse('Please provide a valid date range', 400);
+  }
+
+  if (!isValidTimezone(timezone)) {
+    throw new ErrorResponse(`Unknown timezone: ${timezone}`, 400);
+  }
+
+  if (percentiles.length > config.metricSeries.maxPercentiles) {
+    throw new ErrorResponse(`Please request at most ${config.metricSeries.maxPercentiles} percentiles`, 400);
+  }
+
+  if (percentiles.some(p => typeof p !== 'number' || isNaN(p) || p < 0 || p > 100)) {
+    throw new ErrorResponse('Percentiles must be numbers from 0 to 100', 400);
+  }
+
+  if ((to - from) / INTERVAL_MS[interval] > config.metricSeries.maxBuckets) {
+    throw new ErrorResponse(
+      `The range is too long for ${interval} buckets; use a longer interval or a shorter range`,
+      400
+    );
+  }
+
+  const match = {
+    user: new mongoose.Types.ObjectId(userId),
+    type,
+    timestamp: { $gte: from, $lte: to }
+  };
+
+  if (type === 'custom' && customType) {
+    match.customType = customType;
+  }
+
+  const options = { interval, timezone, percentiles };
+
+  if (type !== 'blood_pressure') {
+    return aggregateBuckets(match, 'value', options);
+  }
+
+  // Blood pressure components are bucketed separately and joined by start
+  const [systolic, diastolic] = await Promise.all([
+    aggregateBuckets(match, 'value.systolic', options),
+    aggregateBuckets(match, 'value.diastolic', options)
+  ]);
+
+  const buckets = new Map();
+  for (const [component, series] of [['systolic', systolic], ['diastolic', diastolic]]) {
+    for (const { start, ...stats } of series) {
+      const key = start.getTime();
+      if (!buckets.has(key)) buckets.set(key, { start });
+      buckets.get(key)[component] = stats;
+    }
+  }
+
+  return [...buckets.values()].sort((a, b) => a.start - b.start);
+};
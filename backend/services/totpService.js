@@ -0,0 +1,227 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+
+// RFC 6238 time-based one-time passwords (SHA-1, 6 digits, 30 second steps),
+// the profile supported by common authenticator apps
+const DIGITS = 6;
+const PERIOD_SECONDS = 30;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+const base32Decode = (input) => {
+  const cleaned = input.replace(/=+$/, '').replace(/\s/g, '').toUpperCase();
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character in secret');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+// RFC 4226 HOTP value for a counter
+const hotp = (secret, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto
+    .createHmac('sha1', base32Decode(secret))
+    .update(counterBuffer)
+    .digest();
+
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+const currentStep = (time = Date.now()) => Math.floor(time / 1000 / PERIOD_SECONDS);
+
+/**
+ * Generates a new random base32 secret (160 bits)
+ * @returns {String} Base32 encoded secret
+ */
+exports.generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Generates the code for a secret at a point in time
+ * @param {String} secret - Base32 encoded secret
+ * @param {Number} [time] - Epoch milliseconds, defaults to now
+ * @returns {String} Six digit code
+ */
+exports.generateCode = (secret, time = Date.now()) => hotp(secret, currentStep(time));
+
+/**
+ * Verifies a code, accepting one step of clock drift either way
+ * @param {String} secret - Base32 encoded secret
+ * @param {String} code - Code entered by the user
+ * @param {Object} [options]
+ * @param {Number} [options.window] - Steps of drift to accept
+ * @param {Number} [options.lastUsedStep] - Step of the last accepted code; it and earlier steps are rejected to prevent replay
+ * @returns {Number|null} Matching time step, or null when the code is invalid
+ */
+exports.verifyCode = (secret, code, { window = 1, lastUsedStep } = {}) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const step = currentStep();
+
+  for (let offset = -window; offset <= window; offset++) {
+    const candidate = step + offset;
+
+    if (lastUsedStep !== undefined && lastUsedStep !== null && candidate <= lastUsedStep) {
+      continue;
+    }
+
+    const expected = hotp(secret, candidate);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return candidate;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Builds the otpauth:// URI that authenticator apps read from a QR code
+ * @param {String} secret - Base32 encoded secret
+ * @param {String} accountName - Usually the user's email
+ * @param {String} issuer - Service name shown in the app
+ * @returns {String} Provisioning URI
+ */
+exports.getProvisioningUri = (secret, accountName, issuer) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(PERIOD_SECONDS)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+/**
+ * Generates one-time recovery codes
+ * @param {Number} count - Number of codes
+ * @returns {Array<String>} Codes formatted as xxxxx-xxxxx
+ */
+exports.generateRecoveryCodes = (count) => {
+  const codes = [];
+
+  for (let i = 0; i < count; i++) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+
+  return codes;
+};
+
+/**
+ * Hashes a recovery code for storage/comparison
+ * @param {String} code - Recovery code
+ * @returns {String} SHA-256 hex digest
+ */
+exports.hashRecoveryCode = (code) =>
+  crypto
+    .createHash('sha256')
+    .update(String(code).trim().toLowerCase())
+    .digest('hex');
+
+/**
+ * Checks a TOTP code or recovery code against a user's 2FA settings and marks
+ * it as used. The user must be loaded with the twoFactor secret fields
+ * selected. The factor is claimed in the database in the same update that
+ * checks it, so concurrent requests cannot use one code twice.
+ * @param {Object} user - User document
+ * @param {Object} factor
+ * @param {String} [factor.code] - Code from the authenticator app
+ * @param {String} [factor.recoveryCode] - One-time recovery code
+ * @returns {Promise<Boolean>} Whether the factor was accepted
+ */
+exports.consumeSecondFactor = async (user, { code, recoveryCode }) => {
+  if (!user.twoFactor || !user.twoFactor.enabled) return false;
+
+  if (code) {
+    const step = exports.verifyCode(user.twoFactor.secret, code, {
+      lastUsedStep: user.twoFactor.lastUsedStep
+    });
+
+    if (step === null) return false;
+
+    const result = await User.updateOne(
+      {
+        _id: user._id,
+        'twoFactor.enabled': true,
+        $or: [
+          { 'twoFactor.lastUsedStep': { $lt: step } },
+          { 'twoFactor.lastUsedStep': null }
+        ]
+      },
+      { $set: { 'twoFactor.lastUsedStep': step } }
+    );
+
+    if (result.modifiedCount === 0) return false;
+
+    // Already stored; keep a later save from writing it again
+    user.twoFactor.lastUsedStep = step;
+    user.unmarkModified('twoFactor.lastUsedStep');
+    return true;
+  }
+
+  if (recoveryCode) {
+    const hashed = exports.hashRecoveryCode(recoveryCode);
+
+    const result = await User.updateOne(
+      { _id: user._id, 'twoFactor.enabled': true, 'twoFactor.recoveryCodes': hashed },
+      { $pull: { 'twoFactor.recoveryCodes': hashed } }
+    );
+
+    if (result.modifiedCount === 0) return false;
+
+    user.twoFactor.recoveryCodes = (user.twoFactor.recoveryCodes || []).filter(stored => stored !== hashed);
+    user.unmarkModified('twoFactor.recoveryCodes');
+    return true;
+  }
+
+  return false;
+};
@@ -0,0 +1,319 @@
+// Unit handling for health metrics. Values are stored in one canonical unit
+// per metric type, converted from whatever supported unit a client sends and
+// converted back to the reader's preferred units on output.
+
+// Conversions into and out of each dimension's canonical unit
+const DIMENSIONS = {
+  mass: {
+    canonical: 'kg',
+    units: {
+      kg: { factor: 1, decimals: 2 },
+      lbs: { factor: 0.45359237, decimals: 1 },
+      g: { factor: 0.001, decimals: 0 }
+    }
+  },
+  temperature: {
+    canonical: 'celsius',
+    units: {
+      celsius: { toCanonical: v => v, fromCanonical: v => v, decimals: 2 },
+      fahrenheit: {
+        toCanonical: v => (v - 32) * 5 / 9,
+        fromCanonical: v => v * 9 / 5 + 32,
+        decimals: 1
+      }
+    }
+  },
+  glucose: {
+    canonical: 'mg/dL',
+    units: {
+      'mg/dL': { factor: 1, decimals: 0 },
+      // 1 mmol/L of glucose is 18.016 mg/dL
+      'mmol/L': { factor: 18.016, decimals: 1 }
+    }
+  },
+  volume: {
+    canonical: 'ml',
+    units: {
+      ml: { factor: 1, decimals: 0 },
+      l: { factor: 1000, decimals: 2 },
+      'fl oz': { factor: 29.5735, decimals: 1 },
+      cups: { factor: 236.588, decimals: 1 }
+    }
+  },
+  duration: {
+    canonical: 'hours',
+    units: {
+      hours: { factor: 1, decimals: 2 },
+      minutes: { factor: 1 / 60, decimals: 0 }
+    }
+  },
+  energy: {
+    canonical: 'kcal',
+    units: {
+      kcal: { factor: 1, decimals: 0 },
+      kJ: { factor: 0.239006, decimals: 0 }
+    }
+  },
+  heart_rate: { canonical: 'bpm', units: { bpm: { factor: 1, decimals: 0 } } },
+  pressure: { canonical: 'mmHg', units: { mmHg: { factor: 1, decimals: 0 } } },
+  percent: { canonical: '%', units: { '%': { factor: 1, decimals: 1 } } },
+  count: { canonical: 'steps', units: { steps: { factor: 1, decimals: 0 } } }
+};
+
+// Dimension of each built-in metric type; custom metrics keep their unit
+const TYPE_DIMENSIONS = {
+  weight: 'mass',
+  temperature: 'temperature',
+  glucose: 'glucose',
+  water: 'volume',
+  sleep: 'duration',
+  calories: 'energy',
+  heart_rate: 'heart_rate',
+  blood_pressure: 'pressure',
+  oxygen_saturation: 'percent',
+  steps: 'count'
+};
+
+// Spellings clients send, lowercased, mapped to the unit names used above
+const ALIASES = {
+  kg: 'kg', kgs: 'kg', kilogram: 'kg', kilograms: 'kg',
+  lb: 'lbs', lbs: 'lbs', pound: 'lbs', pounds: 'lbs',
+  g: 'g', gram: 'g', grams: 'g',
+  c: 'celsius', '°c': 'celsius', celsius: 'celsius',
+  f: 'fahrenheit', '°f': 'fahrenheit', fahrenheit: 'fahrenheit',
+  'mg/dl': 'mg/dL', mgdl: 'mg/dL',
+  'mmol/l': 'mmol/L', mmol: 'mmol/L',
+  ml: 'ml', milliliter: 'ml', milliliters: 'ml', millilitre: 'ml', millilitres: 'ml',
+  l: 'l', liter: 'l', liters: 'l', litre: 'l', litres: 'l',
+  'fl oz': 'fl oz', floz: 'fl oz', oz: 'fl oz',
+  cup: 'cups', cups: 'cups',
+  h: 'hours', hr: 'hours', hrs: 'hours', hour: 'hours', hours: 'hours',
+  min: 'minutes', mins: 'minutes', minute: 'minutes', minutes: 'minutes',
+  kcal: 'kcal', cal: 'kcal', calories: 'kcal', kilocalories: 'kcal',
+  kj: 'kJ', kilojoules: 'kJ',
+  bpm: 'bpm', 'beats/min': 'bpm', '/min': 'bpm',
+  mmhg: 'mmHg', 'mm hg': 'mmHg',
+  '%': '%', percent: '%',
+  steps: 'steps', step: 'steps', count: 'steps'
+};
+
+// Which preference in User.preferences.units applies to a metric type
+const PREFERENCE_KEYS = {
+  weight: 'weight',
+  temperature: 'temperature',
+  glucose: 'glucose'
+};
+
+// Preference values that are spelled differently from unit names
+const PREFERENCE_UNITS = {
+  weight: { kg: 'kg', lbs: 'lbs' },
+  temperature: { celsius: 'celsius', fahrenheit: 'fahrenheit' },
+  glucose: { 'mg/dL': 'mg/dL', 'mmol/L': 'mmol/L' }
+};
+
+const round = (value, decimals) => {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+};
+
+const convertNumber = (value, from, to) => {
+  const canonical = from.toCanonical ? from.toCanonical(value) : value * from.factor;
+  return to.fromCanonical ? to.fromCanonical(canonical) : canonical / to.factor;
+};
+
+// Apply a numeric conversion to a scalar or a blood pressure object
+const mapValue = (value, fn) => {
+  if (value !== null && typeof value === 'object') {
+    const mapped = {};
+    for (const [key, component] of Object.entries(value)) {
+      mapped[key] = typeof component === 'number' ? fn(component) : component;
+    }
+    return mapped;
+  }
+
+  const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  return typeof number === 'number' && !isNaN(number) ? fn(number) : value;
+};
+
+/**
+ * Returns the unit a metric type is stored in
+ * @param {String} type - Metric type
+ * @returns {String|null} Canonical unit, or null for types without one
+ */
+exports.getCanonicalUnit = (type) => {
+  const dimension = DIMENSIONS[TYPE_DIMENSIONS[type]];
+  return dimension ? dimension.canonical : null;
+};
+
+/**
+ * Lists the units accepted for a metric type
+ * @param {String} type - Metric type
+ * @returns {String[]} Supported units, empty for free-form types
+ */
+exports.getSupportedUnits = (type) => {
+  const dimension = DIMENSIONS[TYPE_DIMENSIONS[type]];
+  return dimension ? Object.keys(dimension.units) : [];
+};
+
+/**
+ * Resolves a client-supplied unit for a metric type
+ * @param {String} type - Metric type
+ * @param {String} unit - Unit as sent by the client
+ * @returns {String|null} Unit name, or null when it is not supported
+ */
+exports.resolveUnit = (type, unit) => {
+  const dimension = DIMENSIONS[TYPE_DIMENSIONS[type]];
+  if (!dimension || typeof unit !== 'string') return null;
+
+  const trimmed = unit.trim();
+  const name = dimension.units[trimmed] ? trimmed : ALIASES[trimmed.toLowerCase()];
+
+  return name && dimension.units[name] ? name : null;
+};
+
+/**
+ * Converts a value into the canonical unit of its metric type. Values are
+ * kept at full precision so repeated conversions do not drift.
+ * @param {String} type - Metric type
+ * @param {*} value - Number or { systolic, diastolic }
+ * @param {String} unit - Unit of the value
+ * @returns {Object} { value, unit } in canonical units
+ * @throws {Error} When the unit is not supported for the type
+ */
+exports.toCanonical = (type, value, unit) => {
+  const dimension = DIMENSIONS[TYPE_DIMENSIONS[type]];
+  if (!dimension) return { value, unit };
+
+  const name = exports.resolveUnit(type, unit);
+  if (!name) {
+    throw new Error(
+      `Unsupported unit '${unit}' for ${type}. Use one of: ${Object.keys(dimension.units).join(', ')}`
+    );
+  }
+
+  const from = dimension.units[name];
+  const to = dimension.units[dimension.canonical];
+
+  return {
+    value: mapValue(value, v => convertNumber(v, from, to)),
+    unit: dimension.canonical
+  };
+};
+
+/**
+ * Returns the unit a user wants to see a metric type in
+ * @param {String} type - Metric type
+ * @param {Object} [preferences] - User.preferences
+ * @returns {String|null} Preferred unit, or the canonical unit
+ */
+exports.getPreferredUnit = (type, preferences) => {
+  const key = PREFERENCE_KEYS[type];
+  const units = preferences && preferences.units;
+  const preferred = key && units && PREFERENCE_UNITS[key][units[key]];
+
+  return preferred || exports.getCanonicalUnit(type);
+};
+
+/**
+ * Converts a canonical value into a user's preferred unit
+ * @param {String} type - Metric type
+ * @param {*} value - Canonical value
+ * @param {Object} [preferences] - User.preferences
+ * @returns {Object} { value, unit } for display
+ */
+exports.fromCanonical = (type, value, preferences) => {
+  const dimension = DIMENSIONS[TYPE_DIMENSIONS[type]];
+  if (!dimension || value === null || value === undefined) {
+    return { value, unit: exports.getCanonicalUnit(type) };
+  }
+
+  const unit = exports.getPreferredUnit(type, preferences);
+  const from = dimension.units[dimension.canonical];
+  const to = dimension.units[unit];
+
+  return {
+    value: mapValue(value, v => round(convertNumber(v, from, to), to.decimals)),
+    unit
+  };
+};
+
+/**
+ * Converts a stored metric for output in a user's preferred units
+ * @param {Object} metric - HealthMetric document or plain object
+ * @param {Object} [preferences] - User.preferences
+ * @returns {Object} Plain metric with value and unit converted
+ */
+exports.presentMetric = (metric, preferences) => {
+  const data = typeof metric.toJSON === 'function' ? metric.toJSON() : { ...metric };
+
+  // Skip partial documents (e.g. ?select=) and values in other units
+  if (data.value === undefined || !data.type || data.unit !== exports.getCanonicalUnit(data.type)) {
+    return data;
+  }
+
+  const { value, unit } = exports.fromCanonical(data.type, data.value, preferences);
+  const presented = { ...data, value, unit };
+
+  // The anomaly baseline is a value of the same type
+  const baseline = data.anomaly && data.anomaly.baseline;
+  if (baseline && baseline.median !== undefined && baseline.median !== null) {
+    presented.anomaly = {
+      ...data.anomaly,
+      baseline: { ...baseline, median: exports.fromCanonical(data.type, baseline.median, preferences).value }
+    };
+  }
+
+  return presented;
+};
+
+/**
+ * Converts metric statistics (computed in canonical units) for output
+ * @param {Object} stats - Result of statsService.getMetricStats
+ * @param {String} [type] - Metric type the stats are for
+ * @param {Object} [preferences] - User.preferences
+ * @returns {Object} Stats in the preferred unit
+ */
+exports.presentStats = (stats, type, preferences) => {
+  // Stats across all types mix units and cannot be converted
+  if (!type || !exports.getCanonicalUnit(type)) return stats;
+
+  const convert = (value) => exports.fromCanonical(type, value, preferences).value;
+
+  return {
+    ...stats,
+    unit: exports.getPreferredUnit(type, preferences),
+    average: convert(stats.average),
+    min: convert(stats.min),
+    max: convert(stats.max),
+    latest: stats.latest ? exports.presentMetric(stats.latest, preferences) : null
+  };
+};
+
+/**
+ * Converts a metric series (computed in canonical units) for output
+ * @param {Object[]} series - Result of statsService.getMetricSeries
+ * @param {String} type - Metric type of the series
+ * @param {Object} [preferences] - User.preferences
+ * @returns {Object[]} Buckets with every statistic in the preferred unit
+ */
+exports.presentSeries = (series, type, preferences) => {
+  if (!exports.getCanonicalUnit(type)) return series;
+
+  const convertStats = (stats) => {
+    const converted = { ...stats };
+    for (const [key, value] of Object.entries(stats)) {
+      if (key !== 'count') converted[key] = exports.fromCanonical(type, value, preferences).value;
+    }
+    return converted;
+  };
+
+  return series.map(({ start, ...bucket }) => {
+    if (type !== 'blood_pressure') return { start, ...convertStats(bucket) };
+
+    const converted = { start };
+    for (const [component, stats] of Object.entries(bucket)) {
+      converted[component] = convertStats(stats);
+    }
+    return converted;
+  });
+};
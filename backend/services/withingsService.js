@@ -0,0 +1,179 @@
+// Reading of Withings data exports. The export is a zip of CSV files; we read
+// weight.csv and bp.csv, which holds blood pressure with the heart rate
+// measured alongside it. Either file can also be uploaded on its own.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { StringDecoder } = require('string_decoder');
+const ErrorResponse = require('../utils/errorResponse');
+const { parseCsv } = require('../utils/csv');
+const { openZip, readEntries } = require('../utils/zip');
+const dates = require('../utils/dates');
+
+const BATCH_SIZE = 500;
+
+const FILE_PATTERN = /(^|\/)(weight|bp)\.csv$/i;
+
+// Withings rows carry no id, so identify them by what they contain
+const externalId = (...parts) => crypto.createHash('sha1').update(parts.join('|')).digest('hex');
+
+// Column of each field, found by header name; units are written in the
+// header, e.g. "Weight (kg)" or "Weight (lb)"
+const findColumns = (headers) => {
+  const names = headers.map(header => header.trim().toLowerCase());
+  const find = (test) => names.findIndex(test);
+
+  const weight = find(name => name.startsWith('weight'));
+
+  return {
+    date: find(name => name === 'date'),
+    weight,
+    weightUnit: weight >= 0 && /\((lb|lbs)\)/.test(names[weight]) ? 'lbs' : 'kg',
+    heartRate: find(name => name.startsWith('heart rate') || name.startsWith('heart pulse')),
+    systolic: find(name => name.startsWith('systolic')),
+    diastolic: find(name => name.startsWith('diastolic'))
+  };
+};
+
+// Decode a byte stream, counting bytes as they are read
+async function* decode(stream, counter) {
+  const decoder = new StringDecoder('utf8');
+  for await (const chunk of stream) {
+    counter.bytes += chunk.length;
+    yield decoder.write(chunk);
+  }
+  yield decoder.end();
+}
+
+const readNumber = (cell) => {
+  const text = (cell || '').trim();
+  return text === '' ? null : Number(text.replace(',', '.'));
+};
+
+// Metrics in one row of weight.csv or bp.csv
+const rowToMetrics = (cells, columns, timezone) => {
+  const dateText = (cells[columns.date] || '').trim();
+  const timestamp = dates.parseDate(dateText, 'iso', timezone);
+  if (!timestamp) throw new Error('Date is not a valid date');
+
+  const metrics = [];
+
+  if (columns.weight >= 0) {
+    const weight = readNumber(cells[columns.weight]);
+    if (weight !== null) {
+      metrics.push({
+        type: 'weight',
+        value: weight,
+        unit: columns.weightUnit,
+        timestamp,
+        externalId: externalId('weight', dateText, weight)
+      });
+    }
+  }
+
+  const systolic = columns.systolic >= 0 ? readNumber(cells[columns.systolic]) : null;
+  const diastolic = columns.diastolic >= 0 ? readNumber(cells[columns.diastolic]) : null;
+  if (systolic !== null || diastolic !== null) {
+    metrics.push({
+      type: 'blood_pressure',
+      value: { systolic, diastolic },
+      unit: 'mmHg',
+      timestamp,
+      externalId: externalId('blood_pressure', dateText, systolic, diastolic)
+    });
+  }
+
+  const heartRate = columns.heartRate >= 0 ? readNumber(cells[columns.heartRate]) : null;
+  if (heartRate !== null) {
+    metrics.push({
+      type: 'heart_rate',
+      value: heartRate,
+      unit: 'bpm',
+      timestamp,
+      externalId: externalId('heart_rate', dateText, heartRate)
+    });
+  }
+
+  return metrics;
+};
+
+/**
+ * Reads weight, blood pressure and heart rate from a Withings data export
+ * @param {String} filePath - Path to the uploaded zip or CSV
+ * @param {String} fileName - Name it was uploaded as
+ * @param {Object} options
+ * @param {String} options.timezone - Timezone the export's dates are in
+ * @yields {Object} { items, bytesProcessed, totalBytes, recordsRead }, with
+ *   items of { row, data } or { row, error } where row names the file and
+ *   line of the record
+ * @throws {ErrorResponse} When the upload is not a readable export
+ */
+exports.readExport = async function* (filePath, fileName, { timezone }) {
+  const { size } = await fs.promises.stat(filePath);
+  const isZip = fileName.toLowerCase().endsWith('.zip');
+  const zipfile = isZip ? await openZip(filePath) : null;
+
+  const files = isZip
+    ? readEntries(zipfile, name => FILE_PATTERN.test(name))
+    : [{ fileName, stream: fs.createReadStream(filePath), size, compressedSize: size }];
+
+  const pending = [];
+  const counter = { bytes: 0 };
+  let recordsRead = 0;
+  let filesRead = 0;
+  let bytesProcessed = 0;
+
+  try {
+    for await (const file of files) {
+      const name = path.basename(file.fileName);
+      let columns = null;
+      let line = 0;
+
+      counter.bytes = 0;
+
+      for await (const cells of parseCsv(decode(file.stream, counter))) {
+        line++;
+
+        if (!columns) {
+          columns = findColumns(cells);
+          if (columns.date < 0 || (columns.weight < 0 && columns.systolic < 0 && columns.heartRate < 0)) {
+            throw new ErrorResponse(`${name} is not a Withings weight or blood pressure export`, 400);
+          }
+          filesRead++;
+          continue;
+        }
+
+        if (cells.every(cell => cell.trim() === '')) continue;
+
+        recordsRead++;
+        try {
+          for (const data of rowToMetrics(cells, columns, timezone)) {
+            pending.push({ row: `${name}:${line}`, data });
+          }
+        } catch (err) {
+          pending.push({ row: `${name}:${line}`, error: err.message });
+        }
+
+        if (pending.length >= BATCH_SIZE) {
+          // Each file counts towards progress by its compressed share, read
+          // in proportion to the uncompressed bytes decoded so far
+          const read = file.size > 0 ? Math.min(counter.bytes / file.size, 1) : 1;
+          const progress = Math.min(bytesProcessed + Math.round(read * file.compressedSize), size);
+          yield { items: pending.splice(0, BATCH_SIZE), bytesProcessed: progress, totalBytes: size, recordsRead };
+        }
+      }
+
+      bytesProcessed += file.compressedSize;
+    }
+  } finally {
+    if (zipfile) zipfile.close();
+  }
+
+  if (filesRead === 0) {
+    throw new ErrorResponse('The upload does not contain a Withings weight.csv or bp.csv', 400);
+  }
+
+  while (pending.length > 0) {
+    yield { items: pending.splice(0, BATCH_SIZE), bytesProcessed: size, totalBytes: size, recordsRead };
+  }
+};
@@ -0,0 +1,141 @@
+// Acting for another user through a delegation. Delegations and users are
+// kept in memory instead of MongoDB.
+const mongoose = require('mongoose');
+const { actAs, canAccessRecord, canReadResource } = require('../middleware/access');
+const Delegation = require('../models/Delegation');
+const User = require('../models/User');
+
+// Run a middleware and resolve with what it passed to next
+const run = (middleware, req) => new Promise(resolve => middleware(req, {}, resolve));
+
+let owner;
+let delegate;
+let delegations;
+
+const request = (method, actAsId) => ({
+  method,
+  headers: actAsId ? { 'x-act-as': actAsId } : {},
+  user: delegate
+});
+
+const delegateTo = (fields) => {
+  const delegation = new Delegation({
+    owner: owner._id,
+    delegate: delegate._id,
+    email: delegate.email,
+    status: 'accepted',
+    access: 'read',
+    resources: ['metrics'],
+    ...fields
+  });
+  delegations.push(delegation);
+  return delegation;
+};
+
+beforeEach(() => {
+  owner = new User({ name: 'Owner', email: 'owner@example.com' });
+  delegate = new User({ name: 'Caregiver', email: 'caregiver@example.com' });
+  delegations = [];
+
+  jest.spyOn(Delegation, 'findOne').mockImplementation(async (filter) =>
+    delegations.find(delegation =>
+      delegation.owner.toString() === filter.owner &&
+      delegation.delegate.toString() === filter.delegate &&
+      delegation.status === filter.status) || null);
+
+  jest.spyOn(User, 'findById').mockImplementation((id) => ({
+    select: async () => [owner, delegate].find(user => user.id === id) || null
+  }));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('actAs', () => {
+  it('works with the signed-in user\'s own records without the header', async () => {
+    const req = request('POST');
+
+    await expect(run(actAs('metrics'), req)).resolves.toBeUndefined();
+    expect(req.ownerId).toBe(delegate.id);
+    expect(req.delegation).toBeNull();
+    expect(Delegation.findOne).not.toHaveBeenCalled();
+  });
+
+  it('lets a delegate read the shared resource', async () => {
+    const delegation = delegateTo();
+    const req = request('GET', owner.id);
+
+    await expect(run(actAs('metrics'), req)).resolves.toBeUndefined();
+    expect(req.ownerId).toBe(owner.id);
+    expect(req.delegation).toBe(delegation);
+  });
+
+  it('refuses writes under read-only access', async () => {
+    delegateTo();
+    const req = request('POST', owner.id);
+
+    expect(await run(actAs('metrics'), req)).toMatchObject({ statusCode: 403 });
+    expect(req.ownerId).toBe(delegate.id);
+  });
+
+  it('allows writes under read-write access', async () => {
+    delegateTo({ access: 'read_write' });
+
+    await expect(run(actAs('metrics'), request('DELETE', owner.id))).resolves.toBeUndefined();
+  });
+
+  it('refuses resources that were not shared', async () => {
+    delegateTo({ access: 'read_write' });
+
+    expect(await run(actAs('journal'), request('GET', owner.id))).toMatchObject({ statusCode: 403 });
+  });
+
+  it('refuses delegations that are not accepted', async () => {
+    for (const status of ['pending', 'revoked']) {
+      delegations = [];
+      delegateTo({ status });
+
+      expect(await run(actAs('metrics'), request('GET', owner.id))).toMatchObject({ statusCode: 403 });
+    }
+  });
+
+  it('refuses users who delegated nothing', async () => {
+    const stranger = new mongoose.Types.ObjectId().toString();
+
+    expect(await run(actAs('metrics'), request('GET', stranger))).toMatchObject({ statusCode: 403 });
+  });
+
+  it('refuses acting for a disabled owner', async () => {
+    delegateTo();
+    owner.disabled = true;
+
+    expect(await run(actAs('metrics'), request('GET', owner.id))).toMatchObject({ statusCode: 403 });
+  });
+
+  it('rejects a malformed header', async () => {
+    expect(await run(actAs('metrics'), request('GET', 'not-an-id'))).toMatchObject({ statusCode: 400 });
+    expect(Delegation.findOne).not.toHaveBeenCalled();
+  });
+});
+
+describe('record checks', () => {
+  it('only allows records of the user the request acts for', async () => {
+    delegateTo();
+    const req = request('GET', owner.id);
+    await run(actAs('metrics'), req);
+
+    expect(canAccessRecord(req, { user: owner._id })).toBe(true);
+    expect(canAccessRecord(req, { user: delegate._id })).toBe(false);
+  });
+
+  it('limits combined reads to the shared resources', async () => {
+    delegateTo({ resources: ['symptoms'] });
+    const req = request('GET', owner.id);
+    await run(actAs('symptoms'), req);
+
+    expect(canReadResource(req, 'symptoms')).toBe(true);
+    expect(canReadResource(req, 'metrics')).toBe(false);
+    expect(canReadResource(request('GET'), 'metrics')).toBe(true);
+  });
+});
@@ -0,0 +1,93 @@
+// Completing a login with a two-factor code. The user is stubbed instead of
+// read from MongoDB.
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+
+const User = require('../models/User');
+const sessionService = require('../services/sessionService');
+const loginProtection = require('../services/loginProtectionService');
+const totpService = require('../services/totpService');
+const { loginTwoFactor } = require('../controllers/authController');
+
+const secret = 'JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP';
+
+// Call a handler and resolve with the response, or the error passed to next
+const call = async (handler, req) => {
+  const res = {
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+    set() {
+      return this;
+    }
+  };
+  let error;
+
+  await handler(req, res, (err) => { error = err; });
+
+  return error || res;
+};
+
+let user;
+
+const completeLogin = (code = totpService.generateCode(secret)) => call(loginTwoFactor, {
+  body: { challengeToken: user.getTwoFactorChallengeToken(), code },
+  headers: {},
+  ip: '127.0.0.1'
+});
+
+beforeEach(() => {
+  user = new User({
+    firstName: 'Jane',
+    lastName: 'Doe',
+    email: 'jane@example.com',
+    emailVerified: true,
+    twoFactor: { enabled: true, secret }
+  });
+
+  jest.spyOn(User, 'findById').mockImplementation(() => ({ select: async () => user }));
+  jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  jest.spyOn(loginProtection, 'checkAccount').mockResolvedValue();
+  jest.spyOn(loginProtection, 'recordFailure').mockResolvedValue();
+  jest.spyOn(loginProtection, 'recordSuccess').mockResolvedValue();
+  jest.spyOn(sessionService, 'createSession').mockResolvedValue({ token: 'access', refreshToken: 'refresh' });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('loginTwoFactor', () => {
+  it('starts a session for a valid code', async () => {
+    const res = await completeLogin();
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toMatchObject({ token: 'access', refreshToken: 'refresh' });
+  });
+
+  it('refuses accounts disabled after the challenge was issued', async () => {
+    user.disabled = true;
+
+    expect(await completeLogin()).toMatchObject({ statusCode: 401 });
+    expect(sessionService.createSession).not.toHaveBeenCalled();
+  });
+
+  it('refuses accounts flagged for a password reset after the challenge was issued', async () => {
+    user.passwordResetRequired = true;
+
+    expect(await completeLogin()).toMatchObject({ statusCode: 403 });
+    expect(sessionService.createSession).not.toHaveBeenCalled();
+  });
+
+  it('refuses a code another request claimed first', async () => {
+    User.updateOne.mockResolvedValue({ modifiedCount: 0 });
+
+    expect(await completeLogin()).toMatchObject({ statusCode: 401 });
+    expect(loginProtection.recordFailure).toHaveBeenCalled();
+    expect(sessionService.createSession).not.toHaveBeenCalled();
+  });
+});
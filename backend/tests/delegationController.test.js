@@ -0,0 +1,126 @@
+// Creating, accepting and declining delegation invitations. Delegations are
+// stubbed instead of read from MongoDB.
+const Delegation = require('../models/Delegation');
+const User = require('../models/User');
+const emailService = require('../services/emailService');
+const {
+  createDelegation,
+  acceptInvitation,
+  declineInvitation
+} = require('../controllers/delegationController');
+
+// Call a handler and resolve with the response, or the error passed to next
+const call = async (handler, req) => {
+  const res = {
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+  let error;
+
+  await handler(req, res, (err) => { error = err; });
+
+  return error || res;
+};
+
+let owner;
+let invitation;
+
+const newUser = (email) => new User({ firstName: 'Jane', lastName: 'Doe', email, emailVerified: true });
+
+beforeEach(() => {
+  owner = newUser('owner@example.com');
+  invitation = new Delegation({
+    owner: owner._id,
+    email: 'jane@example.com',
+    resources: ['metrics'],
+    status: 'pending'
+  });
+
+  jest.spyOn(Delegation, 'findOne').mockResolvedValue(null);
+  jest.spyOn(Delegation, 'create').mockImplementation(async (data) => new Delegation(data));
+  jest.spyOn(Delegation.prototype, 'save').mockImplementation(async function() {
+    return this;
+  });
+  jest.spyOn(emailService, 'sendDelegationInviteEmail').mockResolvedValue();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('createDelegation', () => {
+  const invite = (user, email) => call(createDelegation, {
+    user,
+    body: { email, access: 'read', resources: ['metrics'] }
+  });
+
+  it('stores the invited email lowercased', async () => {
+    const res = await invite(owner, ' Jane@Example.com ');
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.data.email).toBe('jane@example.com');
+    expect(Delegation.findOne).toHaveBeenCalledWith(expect.objectContaining({ email: 'jane@example.com' }));
+  });
+
+  it('refuses an invitation to the user\'s own address in any case', async () => {
+    const user = newUser('Owner@Example.com');
+
+    expect(await invite(user, 'owner@EXAMPLE.com')).toMatchObject({ statusCode: 400 });
+    expect(Delegation.create).not.toHaveBeenCalled();
+  });
+
+  it('rejects an email that is not a string', async () => {
+    for (const email of [42, ['jane@example.com'], { $ne: null }]) {
+      expect(await invite(owner, email)).toMatchObject({ statusCode: 400 });
+    }
+    expect(Delegation.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('acceptInvitation', () => {
+  it('accepts an invitation for an account registered with capitals', async () => {
+    Delegation.findOne.mockResolvedValue(invitation);
+    const user = newUser('Jane@Example.com');
+
+    const res = await call(acceptInvitation, { user, params: { token: 'token' } });
+
+    expect(res.statusCode).toBe(200);
+    expect(invitation.status).toBe('accepted');
+    expect(invitation.delegate).toEqual(user._id);
+  });
+
+  it('refuses an invitation sent to another address', async () => {
+    Delegation.findOne.mockResolvedValue(invitation);
+
+    const res = await call(acceptInvitation, { user: newUser('john@example.com'), params: { token: 'token' } });
+
+    expect(res).toMatchObject({ statusCode: 403 });
+    expect(invitation.status).toBe('pending');
+  });
+});
+
+describe('declineInvitation', () => {
+  it('declines an invitation for an account registered with capitals', async () => {
+    Delegation.findOne.mockResolvedValue(invitation);
+
+    const res = await call(declineInvitation, { user: newUser('JANE@example.com'), params: { token: 'token' } });
+
+    expect(res.statusCode).toBe(200);
+    expect(invitation.status).toBe('declined');
+  });
+
+  it('refuses an invitation sent to another address', async () => {
+    Delegation.findOne.mockResolvedValue(invitation);
+
+    const res = await call(declineInvitation, { user: newUser('john@example.com'), params: { token: 'token' } });
+
+    expect(res).toMatchObject({ statusCode: 400 });
+    expect(invitation.status).toBe('pending');
+  });
+});
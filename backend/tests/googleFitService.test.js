@@ -0,0 +1,305 @@
+// Google Fit sync against a local stub of Google's token endpoint and
+// Fitness API. Stored metrics are kept in memory instead of MongoDB.
+const express = require('express');
+const config = require('../config/config');
+const User = require('../models/User');
+const HealthMetric = require('../models/HealthMetric');
+const anomalies = require('../services/anomalyService');
+const googleFitService = require('../services/googleFitService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// What the stub answers, and the requests it received
+let google;
+let server;
+
+// Metrics "stored" by the sync
+let stored;
+
+const resetGoogle = () => {
+  google = {
+    tokenStatus: 200,
+    tokenResponse: { access_token: 'fresh-token', expires_in: 3600 },
+    rejectedToken: null,
+    // Points per data type name: [{ startTimeMillis, value }]
+    points: {},
+    sessions: [],
+    tokenRequests: [],
+    fitRequests: []
+  };
+};
+
+const startStub = async () => {
+  const app = express();
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: false }));
+
+  app.post('/token', (req, res) => {
+    google.tokenRequests.push(req.body);
+    res.status(google.tokenStatus).json(
+      google.tokenStatus === 200 ? google.tokenResponse : { error: 'invalid_grant' }
+    );
+  });
+
+  app.use('/fit', (req, res, next) => {
+    google.fitRequests.push({ path: req.path, authorization: req.headers.authorization, body: req.body });
+    if (req.headers.authorization === `Bearer ${google.rejectedToken}`) {
+      return res.status(401).json({ error: { code: 401 } });
+    }
+    next();
+  });
+
+  app.post('/fit/users/me/dataset:aggregate', (req, res) => {
+    const { aggregateBy, startTimeMillis, endTimeMillis } = req.body;
+    const points = google.points[aggregateBy[0].dataTypeName] || [];
+
+    res.json({
+      bucket: points
+        .filter(point => point.startTimeMillis >= startTimeMillis && point.startTimeMillis < endTimeMillis)
+        .map(point => ({
+          startTimeMillis: String(point.startTimeMillis),
+          dataset: [{ point: [{ value: [point.value] }] }]
+        }))
+    });
+  });
+
+  app.get('/fit/users/me/sessions', (req, res) => {
+    res.json({ session: google.sessions });
+  });
+
+  server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+
+  const base = `http://127.0.0.1:${server.address().port}`;
+  config.google.tokenUrl = `${base}/token`;
+  config.google.fitApiUrl = `${base}/fit`;
+};
+
+const stubMetricStore = () => {
+  stored = [];
+
+  jest.spyOn(HealthMetric, 'find').mockImplementation((filter) => ({
+    select: () => ({
+      lean: async () => stored.filter(metric =>
+        metric.source === filter.source && filter.externalId.$in.includes(metric.externalId))
+    })
+  }));
+
+  jest.spyOn(HealthMetric, 'insertMany').mockImplementation(async (docs) => {
+    stored.push(...docs.map(doc => doc.toObject()));
+    return docs;
+  });
+
+  jest.spyOn(HealthMetric, 'bulkWrite').mockImplementation(async (operations) => {
+    for (const { updateOne } of operations) {
+      const metric = stored.find(item => item._id.equals(updateOne.filter._id));
+      Object.assign(metric, updateOne.update.$set);
+    }
+  });
+};
+
+const newUser = (fields) => {
+  const user = new User({ name: 'Fit User', email: 'fit@example.com', ...fields });
+  jest.spyOn(user, 'save').mockResolvedValue(user);
+  return user;
+};
+
+const validTokens = () => ({
+  access_token: 'valid-token',
+  refresh_token: 'refresh-token',
+  expiry_date: Date.now() + 60 * 60 * 1000
+});
+
+const stepsOn = (day, value) => ({ startTimeMillis: day.getTime(), value: { intVal: value } });
+
+const storedSteps = () => stored
+  .filter(metric => metric.type === 'steps')
+  .sort((a, b) => a.timestamp - b.timestamp)
+  .map(metric => metric.value);
+
+beforeAll(startStub);
+
+afterAll(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+  resetGoogle();
+  stubMetricStore();
+  jest.spyOn(anomalies, 'evaluateMetrics').mockResolvedValue();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('access tokens', () => {
+  it('refreshes an expired access token and saves it before syncing', async () => {
+    const user = newUser({
+      googleFitTokens: { access_token: 'old-token', refresh_token: 'refresh-token', expiry_date: Date.now() - 1000 }
+    });
+
+    await googleFitService.syncUser(user);
+
+    expect(google.tokenRequests).toHaveLength(1);
+    expect(google.tokenRequests[0]).toMatchObject({
+      grant_type: 'refresh_token',
+      refresh_token: 'refresh-token'
+    });
+    expect(google.fitRequests.length).toBeGreaterThan(0);
+    expect(google.fitRequests.every(request => request.authorization === 'Bearer fresh-token')).toBe(true);
+
+    // Google did not rotate the refresh token, so the stored one is kept
+    expect(user.googleFitTokens.access_token).toBe('fresh-token');
+    expect(user.googleFitTokens.refresh_token).toBe('refresh-token');
+    expect(user.googleFitTokens.expiry_date).toBeGreaterThan(Date.now());
+    expect(user.save).toHaveBeenCalled();
+  });
+
+  it('keeps a rotated refresh token', async () => {
+    google.tokenResponse = { access_token: 'fresh-token', refresh_token: 'rotated-token', expires_in: 3600 };
+    const user = newUser({ googleFitTokens: { refresh_token: 'refresh-token' } });
+
+    await googleFitService.getAccessToken(user);
+
+    expect(user.googleFitTokens.refresh_token).toBe('rotated-token');
+  });
+
+  it('uses a valid access token without refreshing it', async () => {
+    const user = newUser({ googleFitTokens: validTokens() });
+
+    await googleFitService.syncUser(user);
+
+    expect(google.tokenRequests).toHaveLength(0);
+    expect(google.fitRequests.every(request => request.authorization === 'Bearer valid-token')).toBe(true);
+  });
+
+  it('refreshes once and retries when Google rejects the access token', async () => {
+    google.rejectedToken = 'valid-token';
+    const user = newUser({ googleFitTokens: validTokens() });
+
+    await googleFitService.syncUser(user);
+
+    expect(google.tokenRequests).toHaveLength(1);
+    expect(google.fitRequests[0].authorization).toBe('Bearer valid-token');
+    expect(google.fitRequests[1].authorization).toBe('Bearer fresh-token');
+    expect(user.googleFitTokens.access_token).toBe('fresh-token');
+  });
+
+  it('asks the user to reconnect when the refresh token is rejected', async () => {
+    google.tokenStatus = 400;
+    const user = newUser({
+      googleFitTokens: { access_token: 'old-token', refresh_token: 'refresh-token', expiry_date: Date.now() - 1000 }
+    });
+
+    await expect(googleFitService.syncUser(user)).rejects.toMatchObject({ statusCode: 401 });
+    expect(google.fitRequests).toHaveLength(0);
+    expect(user.googleFitSync.cursor).toBeUndefined();
+  });
+
+  it('asks the user to reconnect when there is no refresh token', async () => {
+    const user = newUser({ googleFitTokens: { access_token: 'old-token', expiry_date: Date.now() - 1000 } });
+
+    await expect(googleFitService.getAccessToken(user)).rejects.toMatchObject({ statusCode: 401 });
+    expect(google.tokenRequests).toHaveLength(0);
+  });
+});
+
+describe('overlapping syncs', () => {
+  it('updates readings that changed since the last sync instead of adding them again', async () => {
+    const today = new Date(Math.floor(Date.now() / DAY_MS) * DAY_MS);
+    const yesterday = new Date(today.getTime() - DAY_MS);
+    const user = newUser({ googleFitTokens: validTokens() });
+
+    google.points['com.google.step_count.delta'] = [stepsOn(yesterday, 8000), stepsOn(today, 1200)];
+
+    const first = await googleFitService.syncUser(user, { timezone: 'UTC' });
+
+    expect(first).toMatchObject({ created: 2, updated: 0, unchanged: 0 });
+    expect(storedSteps()).toEqual([8000, 1200]);
+
+    // The phone uploaded more steps for today
+    google.points['com.google.step_count.delta'] = [stepsOn(yesterday, 8000), stepsOn(today, 4500)];
+
+    const second = await googleFitService.syncUser(user);
+
+    expect(second).toMatchObject({ created: 0, updated: 1, unchanged: 1, types: { steps: 1 } });
+    expect(storedSteps()).toEqual([8000, 4500]);
+    expect(anomalies.evaluateMetrics).toHaveBeenLastCalledWith([
+      expect.objectContaining({ type: 'steps', value: 4500 })
+    ]);
+
+    const third = await googleFitService.syncUser(user);
+
+    expect(third).toMatchObject({ created: 0, updated: 0, unchanged: 2 });
+    expect(stored).toHaveLength(2);
+  });
+
+  it('counts readings another sync stored first as unchanged', async () => {
+    const today = new Date(Math.floor(Date.now() / DAY_MS) * DAY_MS);
+    const user = newUser({ googleFitTokens: validTokens() });
+
+    google.points['com.google.step_count.delta'] = [stepsOn(today, 1200)];
+
+    HealthMetric.insertMany.mockImplementationOnce(async () => {
+      const error = new Error('E11000 duplicate key error');
+      error.writeErrors = [{ index: 0, err: { code: 11000 } }];
+      throw error;
+    });
+
+    const summary = await googleFitService.syncUser(user, { timezone: 'UTC' });
+
+    expect(summary).toMatchObject({ created: 0, updated: 0, unchanged: 1 });
+    expect(anomalies.evaluateMetrics).not.toHaveBeenCalled();
+  });
+});
+
+describe('sync cursor', () => {
+  const aggregateStarts = () => google.fitRequests
+    .filter(request => request.path === '/users/me/dataset:aggregate')
+    .map(request => request.body.startTimeMillis);
+
+  it('reaches back the initial sync days on the first sync', async () => {
+    const user = newUser({ googleFitTokens: validTokens() });
+
+    const summary = await googleFitService.syncUser(user, { timezone: 'UTC' });
+
+    const expected = Math.floor((Date.now() - config.googleFit.initialSyncDays * DAY_MS) / DAY_MS) * DAY_MS;
+    expect(summary.from.getTime()).toBe(expected);
+    expect(Math.min(...aggregateStarts())).toBe(expected);
+  });
+
+  it('re-reads the overlap days before the cursor from local midnight', async () => {
+    const cursor = new Date(Date.now() - 3 * DAY_MS);
+    const user = newUser({
+      googleFitTokens: validTokens(),
+      googleFitSync: { cursor, timezone: 'America/New_York' }
+    });
+
+    const summary = await googleFitService.syncUser(user);
+
+    const overlapStart = new Date(cursor.getTime() - config.googleFit.overlapDays * DAY_MS);
+    const day = new Intl.DateTimeFormat('en-CA', { timeZone: 'America/New_York' }).format(overlapStart);
+    const midnight = summary.from;
+
+    expect(new Intl.DateTimeFormat('en-CA', { timeZone: 'America/New_York' }).format(midnight)).toBe(day);
+    expect(new Intl.DateTimeFormat('en-GB', {
+      timeZone: 'America/New_York', hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+    }).format(midnight)).toBe('00:00');
+    expect(aggregateStarts()).toEqual(Array(4).fill(midnight.getTime()));
+  });
+
+  it('moves the cursor to the end of the sync and keeps the timezone', async () => {
+    const cursor = new Date(Date.now() - 3 * DAY_MS);
+    const user = newUser({
+      googleFitTokens: validTokens(),
+      googleFitSync: { cursor, timezone: 'Europe/Berlin' }
+    });
+
+    const summary = await googleFitService.syncUser(user);
+
+    expect(user.googleFitSync.cursor.getTime()).toBe(summary.to.getTime());
+    expect(user.googleFitSync.timezone).toBe('Europe/Berlin');
+    expect(user.save).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,114 @@
+// OAuth state values: signed, bound to the browser's nonce cookie and
+// redeemable once. Redeemed nonces are kept in memory instead of MongoDB.
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const OAuthNonce = require('../models/OAuthNonce');
+const googleOAuth = require('../services/googleOAuthService');
+
+let redeemed;
+
+beforeEach(() => {
+  redeemed = new Set();
+
+  jest.spyOn(OAuthNonce, 'create').mockImplementation(async ({ nonce }) => {
+    if (redeemed.has(nonce)) {
+      const error = new Error('E11000 duplicate key error');
+      error.code = 11000;
+      throw error;
+    }
+    redeemed.add(nonce);
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('consumeState', () => {
+  it('accepts a state with the nonce from its cookie', async () => {
+    const userId = new mongoose.Types.ObjectId().toString();
+    const { state, nonce } = googleOAuth.createState('fit', userId);
+
+    const decoded = await googleOAuth.consumeState(state, 'fit', nonce);
+
+    expect(decoded).toMatchObject({ flow: 'fit', uid: userId, nonce });
+    expect(OAuthNonce.create).toHaveBeenCalledWith(expect.objectContaining({ nonce, flow: 'fit', user: userId }));
+  });
+
+  it('accepts each state once', async () => {
+    const { state, nonce } = googleOAuth.createState('signin');
+
+    await expect(googleOAuth.consumeState(state, 'signin', nonce)).resolves.not.toBeNull();
+    await expect(googleOAuth.consumeState(state, 'signin', nonce)).resolves.toBeNull();
+  });
+
+  it('rejects a state without the nonce cookie, for either flow', async () => {
+    for (const flow of ['signin', 'fit']) {
+      const { state } = googleOAuth.createState(flow);
+
+      await expect(googleOAuth.consumeState(state, flow)).resolves.toBeNull();
+      await expect(googleOAuth.consumeState(state, flow, '')).resolves.toBeNull();
+    }
+    expect(OAuthNonce.create).not.toHaveBeenCalled();
+  });
+
+  it('rejects a state with the nonce of another browser', async () => {
+    const { state } = googleOAuth.createState('fit', new mongoose.Types.ObjectId().toString());
+    const other = googleOAuth.createState('fit', new mongoose.Types.ObjectId().toString());
+
+    await expect(googleOAuth.consumeState(state, 'fit', other.nonce)).resolves.toBeNull();
+
+    // The state was not used up by the failed attempt
+    expect(redeemed.size).toBe(0);
+  });
+
+  it('rejects a state issued for the other flow', async () => {
+    const { state, nonce } = googleOAuth.createState('signin');
+
+    await expect(googleOAuth.consumeState(state, 'fit', nonce)).resolves.toBeNull();
+  });
+
+  it('rejects states that are expired, forged or not OAuth states', async () => {
+    const nonce = 'a'.repeat(32);
+    const payload = { purpose: 'google_oauth_state', flow: 'signin', nonce };
+
+    const expired = jwt.sign({ ...payload, exp: Math.floor(Date.now() / 1000) - 60 }, process.env.JWT_SECRET);
+    const forged = jwt.sign(payload, 'not-the-secret');
+    const loginToken = jwt.sign({ id: 'user', flow: 'signin', nonce }, process.env.JWT_SECRET);
+
+    for (const state of [expired, forged, loginToken, 'garbage', undefined]) {
+      await expect(googleOAuth.consumeState(state, 'signin', nonce)).resolves.toBeNull();
+    }
+  });
+
+  it('passes on database errors other than a redeemed nonce', async () => {
+    OAuthNonce.create.mockRejectedValueOnce(new Error('connection lost'));
+    const { state, nonce } = googleOAuth.createState('signin');
+
+    await expect(googleOAuth.consumeState(state, 'signin', nonce)).rejects.toThrow('connection lost');
+  });
+});
+
+describe('readCookie', () => {
+  const request = (cookie) => ({ headers: { cookie } });
+
+  it('reads and decodes a cookie among others', () => {
+    const cookie = `theme=dark; ${googleOAuth.NONCE_COOKIE}=abc%3D%3D; other=1`;
+
+    expect(googleOAuth.readCookie(request(cookie), googleOAuth.NONCE_COOKIE)).toBe('abc==');
+  });
+
+  it('returns undefined when the cookie is missing', () => {
+    expect(googleOAuth.readCookie(request(undefined), googleOAuth.NONCE_COOKIE)).toBeUndefined();
+    expect(googleOAuth.readCookie(request(`${googleOAuth.NONCE_COOKIE}x=1`), googleOAuth.NONCE_COOKIE))
+      .toBeUndefined();
+  });
+
+  it('treats a malformed cookie as missing', () => {
+    const cookie = `${googleOAuth.FIT_NONCE_COOKIE}=%E0%A4%A`;
+
+    expect(googleOAuth.readCookie(request(cookie), googleOAuth.FIT_NONCE_COOKIE)).toBeUndefined();
+  });
+});
@@ -0,0 +1,172 @@
+// Replay of requests sent with an Idempotency-Key, through a small express
+// app. Keys are kept in memory instead of MongoDB.
+const http = require('http');
+const crypto = require('crypto');
+const express = require('express');
+const mongoose = require('mongoose');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const { idempotent } = require('../middleware/idempotency');
+const errorHandler = require('../middleware/error');
+const ErrorResponse = require('../utils/errorResponse');
+
+const ownerId = new mongoose.Types.ObjectId().toString();
+
+let server;
+let keys;
+let runs;
+
+const sameKey = (record, filter) =>
+  String(record.user) === String(filter.user) && record.key === filter.key;
+
+const stubKeyStore = () => {
+  keys = [];
+
+  jest.spyOn(IdempotencyKey, 'create').mockImplementation(async (data) => {
+    if (keys.some(record => sameKey(record, data))) {
+      const error = new Error('E11000 duplicate key error');
+      error.code = 11000;
+      throw error;
+    }
+    const record = { _id: new mongoose.Types.ObjectId(), status: 'processing', ...data };
+    keys.push(record);
+    return record;
+  });
+
+  jest.spyOn(IdempotencyKey, 'findOne').mockImplementation(async (filter) =>
+    keys.find(record => sameKey(record, filter)) || null);
+
+  jest.spyOn(IdempotencyKey, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+    const record = keys.find(item => item._id.equals(filter._id) &&
+      item.status === filter.status && item.lockedUntil <= filter.lockedUntil.$lte);
+    if (record) Object.assign(record, update.$set);
+    return record || null;
+  });
+
+  jest.spyOn(IdempotencyKey, 'updateOne').mockImplementation(async (filter, update) => {
+    Object.assign(keys.find(record => record._id.equals(filter._id)), update.$set);
+  });
+
+  jest.spyOn(IdempotencyKey, 'deleteOne').mockImplementation(async (filter) => {
+    keys = keys.filter(record => !record._id.equals(filter._id));
+  });
+};
+
+// POST a JSON body to the test app
+const send = (body, key) => new Promise((resolve, reject) => {
+  const headers = { 'Content-Type': 'application/json' };
+  if (key !== undefined) headers['Idempotency-Key'] = key;
+
+  const req = http.request({ port: server.address().port, path: '/records', method: 'POST', headers }, (res) => {
+    let data = '';
+    res.on('data', chunk => { data += chunk; });
+    res.on('end', () => resolve({
+      status: res.statusCode,
+      replayed: res.headers['idempotent-replayed'],
+      body: JSON.parse(data)
+    }));
+  });
+  req.on('error', reject);
+  req.end(JSON.stringify(body));
+});
+
+beforeAll(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.ownerId = ownerId;
+    next();
+  });
+  app.post('/records', idempotent(), (req, res, next) => {
+    runs++;
+    if (req.body.fail) return next(new ErrorResponse('Invalid record', 400));
+    res.status(201).json({ success: true, data: { run: runs } });
+  });
+  app.use(errorHandler);
+
+  server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+});
+
+afterAll(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+  runs = 0;
+  stubKeyStore();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('idempotent', () => {
+  it('replays the stored response instead of running the request again', async () => {
+    const first = await send({ value: 1 }, 'key-1');
+    const second = await send({ value: 1 }, 'key-1');
+
+    expect(first).toMatchObject({ status: 201, replayed: undefined, body: { data: { run: 1 } } });
+    expect(second).toMatchObject({ status: 201, replayed: 'true', body: { data: { run: 1 } } });
+    expect(runs).toBe(1);
+  });
+
+  it('refuses a key reused for a different request', async () => {
+    await send({ value: 1 }, 'key-1');
+
+    const reused = await send({ value: 2 }, 'key-1');
+
+    expect(reused.status).toBe(422);
+    expect(runs).toBe(1);
+  });
+
+  it('releases the key when the request fails so it can be retried', async () => {
+    expect((await send({ fail: true }, 'key-1')).status).toBe(400);
+    expect(keys).toHaveLength(0);
+
+    expect((await send({ fail: true }, 'key-1')).status).toBe(400);
+    expect(runs).toBe(2);
+  });
+
+  it('refuses a retry while the first request is still being processed', async () => {
+    await send({ value: 1 }, 'key-1');
+    Object.assign(keys[0], { status: 'processing', lockedUntil: new Date(Date.now() + 60 * 1000) });
+
+    expect((await send({ value: 1 }, 'key-1')).status).toBe(409);
+    expect(runs).toBe(1);
+  });
+
+  it('takes over a key whose request never finished', async () => {
+    await send({ value: 1 }, 'key-1');
+    Object.assign(keys[0], { status: 'processing', lockedUntil: new Date(Date.now() - 1000) });
+
+    const retry = await send({ value: 1 }, 'key-1');
+
+    expect(retry).toMatchObject({ status: 201, replayed: undefined });
+    expect(runs).toBe(2);
+    expect(keys[0].status).toBe('completed');
+  });
+
+  it('keeps keys of different users apart', async () => {
+    await send({ value: 1 }, 'key-1');
+    keys[0].user = new mongoose.Types.ObjectId().toString();
+
+    const other = await send({ value: 1 }, 'key-1');
+
+    expect(other).toMatchObject({ status: 201, replayed: undefined });
+    expect(runs).toBe(2);
+  });
+
+  it('runs requests without the header every time', async () => {
+    await send({ value: 1 });
+    await send({ value: 1 });
+
+    expect(runs).toBe(2);
+    expect(IdempotencyKey.create).not.toHaveBeenCalled();
+  });
+
+  it('rejects empty and overlong keys', async () => {
+    expect((await send({ value: 1 }, '')).status).toBe(400);
+    expect((await send({ value: 1 }, crypto.randomBytes(128).toString('hex'))).status).toBe(400);
+    expect(runs).toBe(0);
+  });
+});
@@ -0,0 +1,80 @@
+// Job locks held by a run. Locks and runs are stubbed instead of stored in
+// MongoDB, and the jobs are replaced by one the test finishes by hand.
+const JobLock = require('../models/JobLock');
+const JobRun = require('../models/JobRun');
+const config = require('../config/config');
+
+// Resolves the running job's handler
+let finishJob;
+
+jest.mock('../services/jobDefinitions', () => [{
+  name: 'slow-job',
+  description: 'A job that runs until the test ends it',
+  schedule: '0 * * * *',
+  handler: () => new Promise(resolve => { finishJob = resolve; })
+}]);
+
+const jobService = require('../services/jobService');
+
+const LOCK_MS = config.jobs.lockMinutes * 60 * 1000;
+
+// Let the background run reach its next await
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+beforeEach(() => {
+  jest.useFakeTimers({ now: Date.UTC(2026, 0, 15, 12), doNotFake: ['nextTick', 'setImmediate'] });
+
+  jest.spyOn(JobLock, 'findOneAndUpdate').mockResolvedValue({ _id: 'slow-job' });
+  jest.spyOn(JobLock, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  jest.spyOn(JobLock, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+  jest.spyOn(JobRun, 'create').mockImplementation(async (data) => new JobRun(data));
+  jest.spyOn(JobRun.prototype, 'save').mockImplementation(async function() {
+    return this;
+  });
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+describe('job locks', () => {
+  it('renews the lock while a run takes longer than the lock lasts', async () => {
+    const run = await jobService.startJob('slow-job', { trigger: 'manual' });
+    await flush();
+
+    jest.advanceTimersByTime(2 * LOCK_MS);
+
+    expect(JobLock.updateOne).toHaveBeenCalledTimes(6);
+    expect(JobLock.updateOne).toHaveBeenLastCalledWith(
+      { _id: 'slow-job', owner: run.instance },
+      { $set: { lockedUntil: new Date(Date.now() + LOCK_MS) } }
+    );
+
+    finishJob({ done: true });
+    await flush();
+
+    expect(run.status).toBe('succeeded');
+    expect(JobLock.deleteOne).toHaveBeenCalledWith({ _id: 'slow-job', owner: run.instance });
+  });
+
+  it('stops renewing the lock once the run ends', async () => {
+    await jobService.startJob('slow-job', { trigger: 'manual' });
+    await flush();
+
+    finishJob();
+    await flush();
+    JobLock.updateOne.mockClear();
+
+    jest.advanceTimersByTime(2 * LOCK_MS);
+
+    expect(JobLock.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('does not start a job whose lock another run holds', async () => {
+    JobLock.findOneAndUpdate.mockRejectedValue(Object.assign(new Error('E11000'), { code: 11000 }));
+
+    await expect(jobService.startJob('slow-job', { trigger: 'schedule' })).resolves.toBeNull();
+    expect(JobRun.create).not.toHaveBeenCalled();
+  });
+});
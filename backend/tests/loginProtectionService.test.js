@@ -0,0 +1,178 @@
+// Account lockout, progressive delays and the per-IP limit on failed logins.
+// The user and login history are kept in memory instead of MongoDB.
+const User = require('../models/User');
+const LoginAttempt = require('../models/LoginAttempt');
+const emailService = require('../services/emailService');
+const loginProtection = require('../services/loginProtectionService');
+const config = require('../config/config');
+
+const req = { headers: { 'user-agent': 'jest' }, ip: '203.0.113.7' };
+
+let user;
+let attempts;
+let res;
+
+// Apply an update the service sends to the stored user
+const applyUpdate = (update) => {
+  for (const [field, value] of Object.entries(update.$inc || {})) user.set(field, (user.get(field) || 0) + value);
+  for (const [field, value] of Object.entries(update.$set || {})) user.set(field, value);
+  for (const field of Object.keys(update.$unset || {})) user.set(field, undefined);
+};
+
+// Fail the password check the way the login handler does
+const failLogin = async () => {
+  await loginProtection.checkAccount(user, req, res);
+  await loginProtection.recordFailure(req, { user });
+};
+
+beforeEach(() => {
+  user = new User({ name: 'Locked Out', email: 'locked@example.com' });
+  attempts = [];
+  res = { set: jest.fn() };
+
+  jest.spyOn(LoginAttempt, 'create').mockImplementation(async (attempt) => {
+    attempts.push(attempt);
+    return attempt;
+  });
+
+  jest.spyOn(LoginAttempt, 'countDocuments').mockImplementation(async (filter) =>
+    attempts.filter(attempt => attempt.ip === filter.ip && attempt.success === filter.success &&
+      filter.reason.$in.includes(attempt.reason)).length);
+
+  jest.spyOn(User, 'findByIdAndUpdate').mockImplementation(async (id, update) => {
+    applyUpdate(update);
+    return user;
+  });
+
+  jest.spyOn(User, 'updateOne').mockImplementation(async (filter, update) => {
+    applyUpdate(update);
+    return { modifiedCount: 1 };
+  });
+
+  jest.spyOn(emailService, 'sendAccountLockedEmail').mockResolvedValue();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+describe('account lockout', () => {
+  beforeEach(() => {
+    // Step past each progressive delay
+    jest.useFakeTimers({ now: Date.UTC(2026, 0, 15, 12), doNotFake: ['nextTick', 'setImmediate'] });
+  });
+
+  const waitOutDelay = () => jest.advanceTimersByTime(config.loginProtection.maxDelaySeconds * 1000);
+
+  it('locks the account and emails the user after too many failures', async () => {
+    const { maxFailedAttempts, lockoutMinutes } = config.loginProtection;
+
+    for (let i = 1; i < maxFailedAttempts; i++) {
+      await failLogin();
+      waitOutDelay();
+    }
+
+    expect(user.isLocked()).toBe(false);
+    await failLogin();
+
+    expect(user.isLocked()).toBe(true);
+    expect(user.lockUntil.getTime()).toBe(Date.now() + lockoutMinutes * 60 * 1000);
+    expect(user.failedLoginAttempts).toBe(0);
+    expect(emailService.sendAccountLockedEmail).toHaveBeenCalledTimes(1);
+
+    await expect(loginProtection.checkAccount(user, req, res)).rejects.toMatchObject({ statusCode: 423 });
+    expect(res.set).toHaveBeenCalledWith('Retry-After', expect.any(String));
+    expect(attempts[attempts.length - 1]).toMatchObject({ success: false, reason: 'locked' });
+  });
+
+  it('lets the user try again once the lock has expired', async () => {
+    for (let i = 0; i < config.loginProtection.maxFailedAttempts; i++) {
+      await failLogin();
+      waitOutDelay();
+    }
+
+    jest.advanceTimersByTime(config.loginProtection.lockoutMinutes * 60 * 1000);
+
+    await expect(loginProtection.checkAccount(user, req, res)).resolves.toBeUndefined();
+  });
+
+  it('makes each retry wait longer after repeated failures', async () => {
+    const { delayAfterFailures, baseDelaySeconds } = config.loginProtection;
+
+    for (let i = 0; i < delayAfterFailures; i++) {
+      await failLogin();
+    }
+
+    await expect(loginProtection.checkAccount(user, req, res)).rejects.toMatchObject({ statusCode: 429 });
+    expect(res.set).toHaveBeenLastCalledWith('Retry-After', String(baseDelaySeconds));
+    expect(attempts[attempts.length - 1]).toMatchObject({ reason: 'throttled' });
+
+    jest.advanceTimersByTime(baseDelaySeconds * 1000);
+    await failLogin();
+
+    // The next delay is twice as long
+    jest.advanceTimersByTime(baseDelaySeconds * 1000);
+    await expect(loginProtection.checkAccount(user, req, res)).rejects.toMatchObject({ statusCode: 429 });
+    jest.advanceTimersByTime(baseDelaySeconds * 1000);
+    await expect(loginProtection.checkAccount(user, req, res)).resolves.toBeUndefined();
+  });
+
+  it('clears the failure count on a successful login', async () => {
+    await failLogin();
+    await failLogin();
+
+    await loginProtection.recordSuccess(req, user);
+
+    expect(user.failedLoginAttempts).toBe(0);
+    expect(user.lastFailedLoginAt).toBeUndefined();
+    expect(attempts[attempts.length - 1]).toMatchObject({ success: true, method: 'password' });
+  });
+
+  it('counts failed second factors towards the lockout', async () => {
+    await loginProtection.recordFailure(req, { user, method: 'two_factor' });
+
+    expect(user.failedLoginAttempts).toBe(1);
+    expect(attempts[0]).toMatchObject({ reason: 'invalid_two_factor', method: 'two_factor' });
+  });
+});
+
+describe('IP limit', () => {
+  it('blocks an address after too many failures across accounts', async () => {
+    for (let i = 0; i < config.loginProtection.ipMaxFailures; i++) {
+      await loginProtection.checkIp(req, res);
+      await loginProtection.recordFailure(req, { email: `nobody${i}@example.com` });
+    }
+
+    await expect(loginProtection.checkIp(req, res)).rejects.toMatchObject({ statusCode: 429 });
+    expect(res.set).toHaveBeenCalledWith('Retry-After', String(config.loginProtection.ipWindowMinutes * 60));
+
+    // Failures for unknown emails do not touch any account
+    expect(User.findByIdAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('does not count attempts refused while locked or throttled', async () => {
+    const { ipMaxFailures, delayAfterFailures } = config.loginProtection;
+
+    jest.useFakeTimers({ now: Date.UTC(2026, 0, 15, 12), doNotFake: ['nextTick', 'setImmediate'] });
+
+    for (let i = 0; i < delayAfterFailures; i++) {
+      await loginProtection.recordFailure(req, { user });
+    }
+
+    // Retrying during the delay is refused without checking the password
+    for (let i = 0; i < ipMaxFailures; i++) {
+      await expect(loginProtection.checkAccount(user, req, res)).rejects.toMatchObject({ statusCode: 429 });
+    }
+
+    await expect(loginProtection.checkIp(req, res)).resolves.toBeUndefined();
+  });
+
+  it('does not count other addresses', async () => {
+    for (let i = 0; i < config.loginProtection.ipMaxFailures; i++) {
+      await loginProtection.recordFailure({ ...req, ip: '198.51.100.1' }, { email: 'nobody@example.com' });
+    }
+
+    await expect(loginProtection.checkIp(req, res)).resolves.toBeUndefined();
+  });
+});
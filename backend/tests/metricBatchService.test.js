@@ -0,0 +1,143 @@
+// Per-item results of metric batches. Stored metrics are kept in memory
+// instead of MongoDB.
+const mongoose = require('mongoose');
+const HealthMetric = require('../models/HealthMetric');
+const anomalies = require('../services/anomalyService');
+const metricBatchService = require('../services/metricBatchService');
+
+const userId = new mongoose.Types.ObjectId();
+
+let stored;
+
+// externalIds another request stores while the batch is being inserted
+let racing;
+
+beforeEach(() => {
+  stored = [];
+  racing = [];
+
+  jest.spyOn(HealthMetric, 'find').mockImplementation((filter) => ({
+    select: () => ({
+      lean: async () => stored.filter(metric =>
+        metric.user.equals(filter.user) && filter.externalId.$in.includes(metric.externalId))
+    })
+  }));
+
+  // Unordered insert: every document is tried, duplicates fail on their own
+  jest.spyOn(HealthMetric, 'insertMany').mockImplementation(async (docs) => {
+    const writeErrors = [];
+
+    docs.forEach((doc, index) => {
+      if (racing.includes(doc.externalId)) {
+        stored.push({ ...doc.toObject(), _id: new mongoose.Types.ObjectId() });
+        writeErrors.push({ index, err: { code: 11000 } });
+      } else {
+        stored.push(doc.toObject());
+      }
+    });
+
+    if (writeErrors.length > 0) {
+      const error = new Error('E11000 duplicate key error');
+      error.writeErrors = writeErrors;
+      throw error;
+    }
+    return docs;
+  });
+
+  jest.spyOn(anomalies, 'evaluateMetrics').mockResolvedValue();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const steps = (externalId, value = 1000) => ({ type: 'steps', value, unit: 'steps', source: 'apple_health', externalId });
+
+describe('createMetrics', () => {
+  it('reports each item on its own', async () => {
+    const items = [
+      steps('a'),
+      steps('a'),
+      steps('b', -5),
+      { type: 'heart_rate', value: 70, unit: 'bpm' },
+      'not a metric',
+      steps(''),
+      steps('c')
+    ];
+
+    const { results, created } = await metricBatchService.createMetrics(userId, items);
+
+    expect(results.map(result => [result.index, result.status])).toEqual([
+      [0, 'created'],
+      [1, 'duplicate'],
+      [2, 'invalid'],
+      [3, 'created'],
+      [4, 'invalid'],
+      [5, 'invalid'],
+      [6, 'created']
+    ]);
+
+    // A repeat within the batch points at the metric created for the first
+    expect(results[1].id).toEqual(results[0].id);
+    expect(results[2].error).toEqual(expect.any(String));
+    expect(results[5].error).toMatch('externalId');
+
+    expect(created).toHaveLength(3);
+    expect(stored).toHaveLength(3);
+    expect(anomalies.evaluateMetrics).toHaveBeenCalledWith(created);
+  });
+
+  it('stores nothing when the same batch is sent again', async () => {
+    const items = [steps('a'), steps('b')];
+
+    const first = await metricBatchService.createMetrics(userId, items);
+    anomalies.evaluateMetrics.mockClear();
+
+    const second = await metricBatchService.createMetrics(userId, items);
+
+    expect(second.results.map(result => result.status)).toEqual(['duplicate', 'duplicate']);
+    expect(second.results.map(result => result.id)).toEqual(first.results.map(result => result.id));
+    expect(second.created).toHaveLength(0);
+    expect(stored).toHaveLength(2);
+    expect(anomalies.evaluateMetrics).not.toHaveBeenCalled();
+  });
+
+  it('treats the same externalId from another source as a different reading', async () => {
+    await metricBatchService.createMetrics(userId, [steps('a')]);
+
+    const { results } = await metricBatchService.createMetrics(userId, [{ ...steps('a'), source: 'fitbit' }]);
+
+    expect(results[0].status).toBe('created');
+  });
+
+  it('points at the copy another request stored first', async () => {
+    racing = ['b'];
+
+    const { results, created } = await metricBatchService.createMetrics(userId, [steps('a'), steps('b')]);
+
+    expect(results.map(result => result.status)).toEqual(['created', 'duplicate']);
+    expect(results[1].id).toEqual(stored.find(metric => metric.externalId === 'b')._id);
+    expect(created).toHaveLength(1);
+  });
+
+  it('fails the batch on write errors other than duplicates', async () => {
+    HealthMetric.insertMany.mockImplementationOnce(async () => {
+      const error = new Error('write failed');
+      error.writeErrors = [{ index: 0, err: { code: 121 } }];
+      throw error;
+    });
+
+    await expect(metricBatchService.createMetrics(userId, [steps('a')])).rejects.toThrow('write failed');
+  });
+
+  it('ignores owner and anomaly fields sent by the client', async () => {
+    const otherUser = new mongoose.Types.ObjectId();
+
+    const { created } = await metricBatchService.createMetrics(userId, [
+      { ...steps('a'), user: otherUser, anomaly: { flagged: true } }
+    ]);
+
+    expect(created[0].user).toEqual(userId);
+    expect(created[0].anomaly && created[0].anomaly.flagged).toBeFalsy();
+  });
+});
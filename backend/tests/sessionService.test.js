@@ -0,0 +1,148 @@
+// Refresh token rotation, reuse detection and Google sign-in login codes.
+// Sessions are kept in memory instead of MongoDB.
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const sessionService = require('../services/sessionService');
+
+const req = { headers: { 'user-agent': 'jest' }, ip: '127.0.0.1' };
+
+const user = {
+  _id: new mongoose.Types.ObjectId(),
+  getSignedJwtToken: (sessionId) => `access-token-${sessionId}`
+};
+
+let sessions;
+
+// The filters sessionService queries with
+const matches = (session, filter) => Object.entries(filter).every(([field, condition]) => {
+  const value = session.get(field);
+
+  if (field === '_id') return session._id.toString() === condition.toString();
+  if (condition === null) return value === null || value === undefined;
+  if (condition && condition.$gt) return value > condition.$gt;
+  return value === condition;
+});
+
+beforeEach(() => {
+  sessions = [];
+
+  jest.spyOn(Session, 'create').mockImplementation(async (data) => {
+    const session = new Session(data);
+    sessions.push(session);
+    return session;
+  });
+
+  jest.spyOn(Session, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+    const session = sessions.find(item => matches(item, filter));
+    if (!session) return null;
+
+    for (const [field, value] of Object.entries(update.$set || {})) session.set(field, value);
+    for (const field of Object.keys(update.$unset || {})) session.set(field, undefined);
+    for (const [field, value] of Object.entries(update.$inc || {})) session.set(field, session.get(field) + value);
+    return session;
+  });
+
+  jest.spyOn(Session, 'findById').mockImplementation(async (id) =>
+    sessions.find(session => session._id.toString() === id.toString()) || null);
+
+  jest.spyOn(Session.prototype, 'save').mockImplementation(async function() {
+    return this;
+  });
+
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('refresh token rotation', () => {
+  it('stores only a hash of the refresh token', async () => {
+    const { refreshToken, session } = await sessionService.createSession(user, req);
+    const [sessionId, secret] = refreshToken.split('.');
+
+    expect(sessionId).toBe(session._id.toString());
+    expect(session.refreshTokenHash).toHaveLength(64);
+    expect(session.refreshTokenHash).not.toBe(secret);
+  });
+
+  it('replaces the refresh token on every use', async () => {
+    const { refreshToken } = await sessionService.createSession(user, req);
+
+    const first = await sessionService.rotateRefreshToken(refreshToken, req);
+    const second = await sessionService.rotateRefreshToken(first.refreshToken, req);
+
+    expect(first.refreshToken).not.toBe(refreshToken);
+    expect(second.refreshToken).not.toBe(first.refreshToken);
+    expect(second.session.rotations).toBe(2);
+    expect(second.session.isActive()).toBe(true);
+  });
+
+  it('revokes the session when a rotated refresh token is presented again', async () => {
+    const { refreshToken, session } = await sessionService.createSession(user, req);
+    const rotated = await sessionService.rotateRefreshToken(refreshToken, req);
+
+    await expect(sessionService.rotateRefreshToken(refreshToken, req))
+      .rejects.toMatchObject({ statusCode: 401 });
+
+    expect(session.revokedReason).toBe('reuse_detected');
+    expect(session.isActive()).toBe(false);
+
+    // The newest token of the family stops working as well
+    await expect(sessionService.rotateRefreshToken(rotated.refreshToken, req))
+      .rejects.toMatchObject({ statusCode: 401 });
+  });
+
+  it('rejects refresh tokens of expired sessions without flagging reuse', async () => {
+    const { refreshToken, session } = await sessionService.createSession(user, req);
+    session.expiresAt = new Date(Date.now() - 1000);
+
+    await expect(sessionService.rotateRefreshToken(refreshToken, req))
+      .rejects.toMatchObject({ statusCode: 401 });
+    expect(session.revokedReason).toBeUndefined();
+  });
+
+  it('rejects malformed refresh tokens without looking them up', async () => {
+    for (const refreshToken of [undefined, '', 'not-a-token', 'abc.def', `${'a'.repeat(24)}.`]) {
+      await expect(sessionService.rotateRefreshToken(refreshToken, req))
+        .rejects.toMatchObject({ statusCode: 401 });
+    }
+    expect(Session.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+});
+
+describe('login codes', () => {
+  it('hands out the session tokens once for a login code', async () => {
+    const code = await sessionService.createLoginCode(user, req);
+    const { session, refreshToken } = await sessionService.redeemLoginCode(code, req);
+
+    expect(session.loginCodeHash).toBeUndefined();
+    expect(session.expiresAt.getTime()).toBeGreaterThan(Date.now() + 24 * 60 * 60 * 1000);
+
+    await expect(sessionService.redeemLoginCode(code, req))
+      .rejects.toMatchObject({ statusCode: 401 });
+
+    // The refresh token it handed out works like any other
+    const rotated = await sessionService.rotateRefreshToken(refreshToken, req);
+    expect(rotated.session._id).toEqual(session._id);
+  });
+
+  it('expires login codes that are not redeemed in time', async () => {
+    const code = await sessionService.createLoginCode(user, req);
+
+    expect(sessions[0].expiresAt.getTime()).toBeLessThanOrEqual(Date.now() + 60 * 1000);
+    sessions[0].expiresAt = new Date(Date.now() - 1000);
+
+    await expect(sessionService.redeemLoginCode(code, req))
+      .rejects.toMatchObject({ statusCode: 401 });
+  });
+
+  it('rejects a login code with the wrong secret', async () => {
+    const code = await sessionService.createLoginCode(user, req);
+    const [sessionId] = code.split('.');
+
+    await expect(sessionService.redeemLoginCode(`${sessionId}.${'0'.repeat(64)}`, req))
+      .rejects.toMatchObject({ statusCode: 401 });
+    await expect(sessionService.redeemLoginCode(code, req)).resolves.toBeDefined();
+  });
+});
@@ -0,0 +1,44 @@
+// Validation of metric series requests, which fails before any query runs
+const mongoose = require('mongoose');
+const HealthMetric = require('../models/HealthMetric');
+const statsService = require('../services/statsService');
+const config = require('../config/config');
+
+const userId = new mongoose.Types.ObjectId().toString();
+
+const series = (options) => statsService.getMetricSeries(userId, {
+  type: 'steps',
+  from: new Date('2026-01-01T00:00:00Z'),
+  to: new Date('2026-01-31T00:00:00Z'),
+  interval: 'day',
+  ...options
+});
+
+beforeEach(() => {
+  jest.spyOn(HealthMetric, 'aggregate').mockReturnValue({ allowDiskUse: async () => [] });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('getMetricSeries', () => {
+  it('accepts up to the maximum number of percentiles', async () => {
+    const percentiles = [10, 25, 50, 75, 90].slice(0, config.metricSeries.maxPercentiles);
+
+    await expect(series({ percentiles })).resolves.toEqual([]);
+    expect(HealthMetric.aggregate).toHaveBeenCalled();
+  });
+
+  it('rejects more percentiles than the maximum', async () => {
+    const percentiles = Array.from({ length: config.metricSeries.maxPercentiles + 1 }, (_, i) => i * 10);
+
+    await expect(series({ percentiles })).rejects.toMatchObject({ statusCode: 400 });
+    expect(HealthMetric.aggregate).not.toHaveBeenCalled();
+  });
+
+  it('rejects percentiles outside 0 to 100', async () => {
+    await expect(series({ percentiles: [101] })).rejects.toMatchObject({ statusCode: 400 });
+    await expect(series({ percentiles: [NaN] })).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
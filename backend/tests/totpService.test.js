@@ -0,0 +1,176 @@
+// TOTP codes, their replay window and recovery codes. The user's stored
+// two-factor settings are kept in memory instead of MongoDB.
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const totpService = require('../services/totpService');
+
+const STEP_MS = 30 * 1000;
+
+// Start of a time step, so drift of one step either way stays in range
+const NOW = Math.floor(Date.UTC(2026, 0, 15, 12) / STEP_MS) * STEP_MS;
+const NOW_STEP = NOW / STEP_MS;
+
+const secret = 'JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP';
+
+const userId = new mongoose.Types.ObjectId();
+
+// Two-factor settings as stored in the database
+let stored;
+
+// A copy of the user as one request loads it
+const loadUser = () => User.hydrate({
+  _id: userId,
+  firstName: 'Jane',
+  lastName: 'Doe',
+  email: 'jane@example.com',
+  twoFactor: { ...stored, recoveryCodes: [...stored.recoveryCodes] }
+});
+
+// The conditional updates consumeSecondFactor claims factors with
+const claim = async (filter, update) => {
+  if (!stored.enabled) return { modifiedCount: 0 };
+
+  if (update.$set) {
+    const step = update.$set['twoFactor.lastUsedStep'];
+    if (stored.lastUsedStep !== undefined && stored.lastUsedStep >= step) return { modifiedCount: 0 };
+    stored.lastUsedStep = step;
+    return { modifiedCount: 1 };
+  }
+
+  const hashed = update.$pull['twoFactor.recoveryCodes'];
+  if (!stored.recoveryCodes.includes(hashed)) return { modifiedCount: 0 };
+  stored.recoveryCodes = stored.recoveryCodes.filter(code => code !== hashed);
+  return { modifiedCount: 1 };
+};
+
+beforeEach(() => {
+  stored = { enabled: true, secret, recoveryCodes: [] };
+
+  jest.spyOn(Date, 'now').mockReturnValue(NOW);
+  jest.spyOn(User, 'updateOne').mockImplementation(claim);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('verifyCode', () => {
+  it('matches the RFC 6238 SHA-1 test vector', () => {
+    // Secret "12345678901234567890" in base32, at 59 seconds
+    expect(totpService.generateCode('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ', 59 * 1000)).toBe('287082');
+  });
+
+  it('accepts codes one step either side of now and returns their step', () => {
+    expect(totpService.verifyCode(secret, totpService.generateCode(secret, NOW))).toBe(NOW_STEP);
+    expect(totpService.verifyCode(secret, totpService.generateCode(secret, NOW - STEP_MS))).toBe(NOW_STEP - 1);
+    expect(totpService.verifyCode(secret, totpService.generateCode(secret, NOW + STEP_MS))).toBe(NOW_STEP + 1);
+  });
+
+  it('rejects codes outside the drift window', () => {
+    expect(totpService.verifyCode(secret, totpService.generateCode(secret, NOW - 2 * STEP_MS))).toBeNull();
+    expect(totpService.verifyCode(secret, totpService.generateCode(secret, NOW + 2 * STEP_MS))).toBeNull();
+  });
+
+  it('rejects codes of the last used step and earlier', () => {
+    const code = totpService.generateCode(secret, NOW);
+    const earlier = totpService.generateCode(secret, NOW - STEP_MS);
+    const later = totpService.generateCode(secret, NOW + STEP_MS);
+
+    expect(totpService.verifyCode(secret, code, { lastUsedStep: NOW_STEP })).toBeNull();
+    expect(totpService.verifyCode(secret, earlier, { lastUsedStep: NOW_STEP })).toBeNull();
+    expect(totpService.verifyCode(secret, later, { lastUsedStep: NOW_STEP })).toBe(NOW_STEP + 1);
+  });
+
+  it('rejects malformed codes', () => {
+    for (const code of [undefined, '', '12345', '1234567', 'abcdef']) {
+      expect(totpService.verifyCode(secret, code)).toBeNull();
+    }
+  });
+});
+
+describe('consumeSecondFactor', () => {
+  it('accepts a code once', async () => {
+    const user = loadUser();
+    const code = totpService.generateCode(secret, NOW);
+
+    await expect(totpService.consumeSecondFactor(user, { code })).resolves.toBe(true);
+    expect(stored.lastUsedStep).toBe(NOW_STEP);
+    expect(user.twoFactor.lastUsedStep).toBe(NOW_STEP);
+    expect(user.isModified('twoFactor.lastUsedStep')).toBe(false);
+
+    // Replayed within the same 30 seconds
+    await expect(totpService.consumeSecondFactor(user, { code })).resolves.toBe(false);
+  });
+
+  it('accepts a code for only one of two concurrent requests', async () => {
+    const code = totpService.generateCode(secret, NOW);
+
+    // Both requests loaded the user before either claimed the code
+    const results = await Promise.all([
+      totpService.consumeSecondFactor(loadUser(), { code }),
+      totpService.consumeSecondFactor(loadUser(), { code })
+    ]);
+
+    expect(results.sort()).toEqual([false, true]);
+    expect(User.updateOne).toHaveBeenCalledWith(
+      expect.objectContaining({
+        $or: [{ 'twoFactor.lastUsedStep': { $lt: NOW_STEP } }, { 'twoFactor.lastUsedStep': null }]
+      }),
+      { $set: { 'twoFactor.lastUsedStep': NOW_STEP } }
+    );
+  });
+
+  it('rejects an older code still in the drift window after a newer one was used', async () => {
+    const user = loadUser();
+
+    await expect(totpService.consumeSecondFactor(user, { code: totpService.generateCode(secret, NOW) }))
+      .resolves.toBe(true);
+    await expect(totpService.consumeSecondFactor(user, { code: totpService.generateCode(secret, NOW - STEP_MS) }))
+      .resolves.toBe(false);
+  });
+
+  it('accepts the next code once its step comes around', async () => {
+    const user = loadUser();
+
+    await expect(totpService.consumeSecondFactor(user, { code: totpService.generateCode(secret, NOW) }))
+      .resolves.toBe(true);
+
+    Date.now.mockReturnValue(NOW + STEP_MS);
+
+    await expect(totpService.consumeSecondFactor(user, { code: totpService.generateCode(secret, NOW + STEP_MS) }))
+      .resolves.toBe(true);
+    expect(stored.lastUsedStep).toBe(NOW_STEP + 1);
+  });
+
+  it('accepts each recovery code once', async () => {
+    const [first, second] = totpService.generateRecoveryCodes(2);
+    stored.recoveryCodes = [first, second].map(totpService.hashRecoveryCode);
+    const user = loadUser();
+
+    await expect(totpService.consumeSecondFactor(user, { recoveryCode: ` ${first.toUpperCase()} ` }))
+      .resolves.toBe(true);
+    await expect(totpService.consumeSecondFactor(user, { recoveryCode: first })).resolves.toBe(false);
+    expect(stored.recoveryCodes).toEqual([totpService.hashRecoveryCode(second)]);
+    expect(user.twoFactor.recoveryCodes).toEqual([totpService.hashRecoveryCode(second)]);
+  });
+
+  it('accepts a recovery code for only one of two concurrent requests', async () => {
+    const [recoveryCode] = totpService.generateRecoveryCodes(1);
+    stored.recoveryCodes = [totpService.hashRecoveryCode(recoveryCode)];
+
+    const results = await Promise.all([
+      totpService.consumeSecondFactor(loadUser(), { recoveryCode }),
+      totpService.consumeSecondFactor(loadUser(), { recoveryCode })
+    ]);
+
+    expect(results.sort()).toEqual([false, true]);
+  });
+
+  it('rejects every factor while two-factor authentication is disabled', async () => {
+    stored.enabled = false;
+
+    await expect(totpService.consumeSecondFactor(loadUser(), { code: totpService.generateCode(secret, NOW) }))
+      .resolves.toBe(false);
+    expect(User.updateOne).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * Escapes a single value for a CSV cell (RFC 4180)
+ * @param {*} value - Cell value; objects and arrays are JSON encoded
+ * @returns {String} Escaped cell
+ */
+const escapeCell = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text;
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (Array.isArray(value)) {
+    text = value.join(';');
+  } else if (typeof value === 'object') {
+    text = JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+
+  return text;
+};
+
+/**
+ * Formats one CSV line
+ * @param {Array} values - Cell values
+ * @returns {String} Line terminated with CRLF
+ */
+exports.toCsvRow = (values) => `${values.map(escapeCell).join(',')}\r\n`;
+
+// Pick the delimiter that occurs most often in the first line
+const detectDelimiter = (text) => {
+  const firstLine = text.split('\n')[0];
+  let best = ',';
+  let bestCount = 0;
+
+  for (const candidate of [',', ';', '\t']) {
+    const count = firstLine.split(candidate).length - 1;
+    if (count > bestCount) {
+      best = candidate;
+      bestCount = count;
+    }
+  }
+
+  return best;
+};
+
+/**
+ * Parses CSV text (RFC 4180) from string chunks, one row at a time, so large
+ * files are never held in memory. Quoted fields may contain delimiters,
+ * line breaks and doubled quotes. A leading byte order mark is dropped.
+ * @param {AsyncIterable<String>} chunks - Text, e.g. a utf8 read stream
+ * @param {Object} [options]
+ * @param {String} [options.delimiter] - Detected from the first line when omitted
+ * @returns {AsyncGenerator<Array<String>>} Rows of cell values
+ */
+exports.parseCsv = async function* (chunks, { delimiter } = {}) {
+  let field = '';
+  let row = [];
+  let inQuotes = false;
+  // A quote inside a quoted field ends it unless another quote follows
+  let quoteSeen = false;
+  let first = true;
+
+  for await (let text of chunks) {
+    if (first) {
+      if (text.charCodeAt(0) === 0xfeff) text = text.slice(1);
+      delimiter = delimiter || detectDelimiter(text);
+      first = false;
+    }
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (inQuotes) {
+        if (quoteSeen) {
+          quoteSeen = false;
+          if (char === '"') {
+            field += '"';
+            continue;
+          }
+          inQuotes = false;
+        } else if (char === '"') {
+          quoteSeen = true;
+          continue;
+        } else {
+          field += char;
+          continue;
+        }
+      }
+
+      if (char === '"' && field === '') {
+        inQuotes = true;
+      } else if (char === delimiter) {
+        row.push(field);
+        field = '';
+      } else if (char === '\n') {
+        row.push(field);
+        yield row;
+        field = '';
+        row = [];
+      } else if (char !== '\r') {
+        field += char;
+      }
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    yield row;
+  }
+};
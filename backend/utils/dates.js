@@ -0,0 +1,167 @@
+// Parsing of dates written in the formats people and devices export. Dates
+// without a UTC offset are read in a given IANA timezone.
+
+const TIME = '(?:[ T](\\d{1,2}):(\\d{2})(?::(\\d{2})(?:\\.(\\d{1,3})\\d*)?)?\\s*([AaPp][Mm])?)?';
+
+// Day, month and year are taken from the regex groups listed in `order`
+const numericFormat = (datePattern, order) => {
+  const pattern = new RegExp(`^${datePattern}${TIME}$`);
+
+  return (text) => {
+    const match = text.match(pattern);
+    if (!match) return null;
+
+    const date = {};
+    order.forEach((part, i) => { date[part] = Number(match[i + 1]); });
+
+    const [hour, minute, second, ms, meridiem] = match.slice(4);
+    let hours = hour === undefined ? 0 : Number(hour);
+
+    if (meridiem) {
+      if (hours < 1 || hours > 12) return null;
+      const pm = meridiem.toLowerCase() === 'pm';
+      hours = (hours % 12) + (pm ? 12 : 0);
+    }
+
+    return {
+      ...date,
+      hour: hours,
+      minute: minute === undefined ? 0 : Number(minute),
+      second: second === undefined ? 0 : Number(second),
+      ms: ms === undefined ? 0 : Number(ms.padEnd(3, '0'))
+    };
+  };
+};
+
+const ISO_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3})\d*)?)?\s*(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+// Formats in the order they are preferred when several fit
+const FORMATS = {
+  iso: (text) => {
+    const match = text.match(ISO_PATTERN);
+    if (!match) return null;
+
+    const [, year, month, day, hour, minute, second, ms, offset] = match;
+    const parts = {
+      year: Number(year),
+      month: Number(month),
+      day: Number(day),
+      hour: Number(hour || 0),
+      minute: Number(minute || 0),
+      second: Number(second || 0),
+      ms: ms ? Number(ms.padEnd(3, '0')) : 0
+    };
+
+    if (offset) {
+      const sign = offset === 'Z' || offset[0] === '+' ? 1 : -1;
+      const digits = offset.replace(/[^\d]/g, '');
+      parts.offsetMinutes = offset === 'Z'
+        ? 0
+        : sign * (Number(digits.slice(0, 2)) * 60 + Number(digits.slice(2)));
+    }
+
+    return parts;
+  },
+  unix_ms: (text) => (/^\d{12,13}$/.test(text) ? { epochMs: Number(text) } : null),
+  unix: (text) => (/^\d{9,10}(\.\d+)?$/.test(text) ? { epochMs: Math.round(Number(text) * 1000) } : null),
+  'YYYY/MM/DD': numericFormat('(\\d{4})/(\\d{1,2})/(\\d{1,2})', ['year', 'month', 'day']),
+  'DD.MM.YYYY': numericFormat('(\\d{1,2})\\.(\\d{1,2})\\.(\\d{4})', ['day', 'month', 'year']),
+  'MM/DD/YYYY': numericFormat('(\\d{1,2})[/-](\\d{1,2})[/-](\\d{4})', ['month', 'day', 'year']),
+  'DD/MM/YYYY': numericFormat('(\\d{1,2})[/-](\\d{1,2})[/-](\\d{4})', ['day', 'month', 'year'])
+};
+
+exports.DATE_FORMATS = Object.keys(FORMATS);
+
+// Offset of a timezone from UTC at an instant, in minutes
+const timezoneOffset = (epochMs, timezone) => {
+  const formatted = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(new Date(epochMs));
+
+  const part = (type) => Number(formatted.find(p => p.type === type).value);
+  const asUtc = Date.UTC(part('year'), part('month') - 1, part('day'), part('hour'), part('minute'), part('second'));
+
+  return Math.round((asUtc - Math.floor(epochMs / 1000) * 1000) / 60000);
+};
+
+/**
+ * Checks that a timezone name is known
+ * @param {String} timezone - IANA timezone, e.g. Europe/Berlin
+ * @returns {Boolean}
+ */
+exports.isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+/**
+ * Parses a date in a known format
+ * @param {String} text - Date as written
+ * @param {String} format - One of DATE_FORMATS
+ * @param {String} [timezone] - Timezone of dates without an offset
+ * @returns {Date|null} Date, or null when the text does not fit the format
+ */
+exports.parseDate = (text, format, timezone = 'UTC') => {
+  const parse = FORMATS[format];
+  const parts = parse && typeof text === 'string' ? parse(text.trim()) : null;
+  if (!parts) return null;
+
+  if (parts.epochMs !== undefined) return new Date(parts.epochMs);
+
+  const { year, month, day, hour, minute, second, ms } = parts;
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second, ms);
+  const check = new Date(wallClock);
+
+  // Reject dates that roll over, such as 31/02 or 25:00
+  if (check.getUTCFullYear() !== year || check.getUTCMonth() !== month - 1 ||
+      check.getUTCDate() !== day || check.getUTCHours() !== hour ||
+      minute > 59 || second > 59) {
+    return null;
+  }
+
+  if (parts.offsetMinutes !== undefined) {
+    return new Date(wallClock - parts.offsetMinutes * 60000);
+  }
+
+  // Correct for the offset at the resulting instant too, in case it
+  // differs because of daylight saving time
+  let epoch = wallClock - timezoneOffset(wallClock, timezone) * 60000;
+  epoch = wallClock - timezoneOffset(epoch, timezone) * 60000;
+
+  return new Date(epoch);
+};
+
+/**
+ * Finds the format that fits the most samples, so a few malformed dates do
+ * not prevent detection
+ * @param {String[]} samples - Dates as written
+ * @returns {Object} { format, ambiguous }; format is null when none fits.
+ *   ambiguous is set when day-first and month-first fit equally well.
+ */
+exports.detectDateFormat = (samples) => {
+  const values = samples.map(sample => String(sample).trim()).filter(Boolean);
+
+  const counts = {};
+  for (const format of exports.DATE_FORMATS) {
+    counts[format] = values.filter(value => exports.parseDate(value, format) !== null).length;
+  }
+
+  const best = Math.max(0, ...Object.values(counts));
+  if (best === 0) return { format: null, ambiguous: false };
+
+  return {
+    format: exports.DATE_FORMATS.find(format => counts[format] === best),
+    ambiguous: counts['MM/DD/YYYY'] === best && counts['DD/MM/YYYY'] === best
+  };
+};
@@ -0,0 +1,38 @@
+// Unordered inserts that tolerate unique index violations, for writes that
+// can race with another request inserting the same records.
+
+const DUPLICATE_KEY = 11000;
+
+// Mongoose copies the driver's write errors, leaving the code on err
+const errorCode = (writeError) => (writeError.err ? writeError.err.code : writeError.code);
+
+/**
+ * Inserts documents with ordered: false. Documents rejected by a unique
+ * index are returned as duplicates instead of failing the insert.
+ * @param {Object} model - Mongoose model
+ * @param {Object[]} docs - Validated documents of the model
+ * @returns {Promise<Object>} { inserted, duplicates }, both lists of the
+ *   given documents
+ * @throws Any other write error
+ */
+exports.insertSkippingDuplicates = async (model, docs) => {
+  if (docs.length === 0) return { inserted: [], duplicates: [] };
+
+  try {
+    await model.insertMany(docs, { ordered: false });
+    return { inserted: docs, duplicates: [] };
+  } catch (error) {
+    const writeErrors = error.writeErrors || [];
+
+    if (writeErrors.length === 0 || writeErrors.some(writeError => errorCode(writeError) !== DUPLICATE_KEY)) {
+      throw error;
+    }
+
+    const failed = new Set(writeErrors.map(writeError => writeError.index));
+
+    return {
+      inserted: docs.filter((doc, index) => !failed.has(index)),
+      duplicates: docs.filter((doc, index) => failed.has(index))
+    };
+  }
+};
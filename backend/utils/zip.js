@@ -0,0 +1,82 @@
+const yauzl = require('yauzl');
+const ErrorResponse = require('./errorResponse');
+
+/**
+ * Opens a zip file for reading entries one at a time
+ * @param {String} filePath - Path to the zip
+ * @returns {Promise<Object>} yauzl ZipFile; close it when done
+ */
+exports.openZip = (filePath) => new Promise((resolve, reject) => {
+  yauzl.open(filePath, { lazyEntries: true }, (err, zipfile) => {
+    if (err) return reject(new ErrorResponse('Uploaded file is not a valid zip archive', 400));
+    resolve(zipfile);
+  });
+});
+
+/**
+ * Finds the first entry accepted by test and opens it as a stream
+ * @param {Object} zipfile - Result of openZip
+ * @param {Function} test - Called with each entry's fileName
+ * @param {String} missingMessage - Error message when no entry matches
+ * @returns {Promise<Object>} { stream, size } with the uncompressed size
+ */
+exports.openEntry = (zipfile, test, missingMessage) => new Promise((resolve, reject) => {
+  zipfile.on('entry', (entry) => {
+    if (!test(entry.fileName)) {
+      return zipfile.readEntry();
+    }
+
+    zipfile.openReadStream(entry, (err, stream) => {
+      if (err) return reject(err);
+      resolve({ stream, size: entry.uncompressedSize });
+    });
+  });
+
+  zipfile.on('end', () => reject(new ErrorResponse(missingMessage, 400)));
+  zipfile.on('error', reject);
+
+  zipfile.readEntry();
+});
+
+// Next entry of a zip opened with lazyEntries, or null at the end
+const nextEntry = (zipfile) => new Promise((resolve, reject) => {
+  const done = () => {
+    zipfile.removeListener('entry', onEntry);
+    zipfile.removeListener('end', onEnd);
+    zipfile.removeListener('error', onError);
+  };
+  const onEntry = (entry) => { done(); resolve(entry); };
+  const onEnd = () => { done(); resolve(null); };
+  const onError = (err) => { done(); reject(err); };
+
+  zipfile.on('entry', onEntry);
+  zipfile.on('end', onEnd);
+  zipfile.on('error', onError);
+
+  zipfile.readEntry();
+});
+
+/**
+ * Opens each entry accepted by test in turn. Read each stream to the end
+ * before asking for the next entry.
+ * @param {Object} zipfile - Result of openZip
+ * @param {Function} test - Called with each entry's fileName
+ * @yields {Object} { fileName, stream, size, compressedSize }
+ */
+exports.readEntries = async function* (zipfile, test) {
+  let entry;
+  while ((entry = await nextEntry(zipfile))) {
+    if (entry.fileName.endsWith('/') || !test(entry.fileName)) continue;
+
+    const stream = await new Promise((resolve, reject) => {
+      zipfile.openReadStream(entry, (err, result) => (err ? reject(err) : resolve(result)));
+    });
+
+    yield {
+      fileName: entry.fileName,
+      stream,
+      size: entry.uncompressedSize,
+      compressedSize: entry.compressedSize
+    };
+  }
+};